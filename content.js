@@ -0,0 +1,2563 @@
+/**
+ * Game content bundled for file:// mode
+ *
+ * GENERATED by scripts/build-content.js from lang.json, packs.json, data.json, packs/work.json, packs/school.json, packs/leadership.json.
+ * Don't edit this file: change the JSON files and run
+ * `node scripts/build-content.js` again.
+ */
+window.TIME_MATRIX_CONTENT = {
+  "lang.json": {
+    "en": {
+      "title": "FranklinCovey Time Matrix Game",
+      "instructions": "Classify each activity into the correct quadrant of the Time Matrix: <strong>Q1 (Important & Urgent)</strong>, <strong>Q2 (Important & Not Urgent)</strong>, <strong>Q3 (Not Important & Urgent)</strong>, or <strong>Q4 (Not Important & Not Urgent)</strong>.",
+      "scoreLabel": "Score:",
+      "activitiesLabel": "Activities:",
+      "progressValue": {
+        "one": "{n} / {total}",
+        "other": "{n} / {total}"
+      },
+      "currentActivityTitle": "Current Activity",
+      "timeMatrixTitle": "Time Matrix Quadrants",
+      "helpButton": "Help",
+      "closeButton": "Close",
+      "helpModalTitle": "Game Rules & Instructions",
+      "howToPlay": "How to Play",
+      "howToPlayStep1": "Read the Activity: An activity description will appear above the Time Matrix.",
+      "howToPlayStep2": "Classify the Activity: Click on the quadrant (Q1, Q2, Q3, or Q4) where you think this activity belongs, or drag the activity card onto it.",
+      "howToPlayStep3": "Get Feedback: You'll see immediate feedback - green for correct, red for incorrect.",
+      "howToPlayStep4": "Learn: If incorrect, you'll see which quadrant was correct with an explanation.",
+      "howToPlayStep5": "Continue: The next activity will appear automatically after a short delay.",
+      "quadrantGuide": "The Four Quadrants",
+      "q1Title": "Q1: Important & Urgent",
+      "q1Examples": "Examples: Crises, deadlines, emergencies, urgent problems",
+      "q1Strategy": "Strategy: Handle immediately, but try to reduce these through better planning",
+      "q2Title": "Q2: Important & Not Urgent",
+      "q2Examples": "Examples: Planning, prevention, values, relationship building",
+      "q2Strategy": "Strategy: Schedule time for these - they're key to long-term success",
+      "q3Title": "Q3: Not Important & Urgent",
+      "q3Examples": "Examples: Some calls, meetings, interruptions, some emails",
+      "q3Strategy": "Strategy: Delegate or minimize - they feel urgent but aren't truly important",
+      "q4Title": "Q4: Not Important & Not Urgent",
+      "q4Examples": "Examples: Time wasters, excessive entertainment, trivial busywork",
+      "q4Strategy": "Strategy: Eliminate or minimize - these are pure time drains",
+      "q1Name": "Important & Urgent",
+      "q2Name": "Important & Not Urgent",
+      "q3Name": "Not Important & Urgent",
+      "q4Name": "Not Important & Not Urgent",
+      "selectQuadrant": "Select {quadrant}",
+      "scoringTitle": "Scoring",
+      "scoringCorrect": "+1 point for each correct classification",
+      "scoringIncorrect": "0 points for incorrect answers (no penalty)",
+      "scoringProgress": "See your progress and final accuracy percentage",
+      "learningGoals": "Learning Goals",
+      "learningGoal1": "Identify what's truly important vs. just urgent",
+      "learningGoal2": "Recognize time-wasting activities",
+      "learningGoal3": "Focus energy on Q2 activities for long-term success",
+      "learningGoal4": "Reduce time spent in Q1 through better planning",
+      "proTip": "Pro Tip:",
+      "proTipText": "The goal isn't just to win the game, but to learn how to apply these principles to your real life. Ask yourself: 'Which quadrant does this activity in my life belong to?'",
+      "gameComplete": "Game Complete!",
+      "finalScore": "Final Score:",
+      "accuracy": "Accuracy:",
+      "playAgain": "Play Again",
+      "reviewMistakes": "Review Mistakes",
+      "reviewComplete": "Review Complete!",
+      "nextActivity": "Next",
+      "changePack": "Change Pack",
+      "historyButton": "Your Progress",
+      "resumeTitle": "Resume game?",
+      "resumeDetails": "Your {mode} round with the {pack} pack was interrupted after {answered} of {total} activities.",
+      "resumeGame": "Resume",
+      "resumeDiscard": "Start Over",
+      "resumeFailed": "The unfinished game could not be resumed: its activities are no longer available.",
+      "exportTitle": "Save your results",
+      "playerNameLabel": "Your name:",
+      "exportAnswersCsv": "Answers (CSV)",
+      "exportAnswersJson": "Answers (JSON)",
+      "exportSummary": "Summary (JSON)",
+      "printCertificate": "Print Certificate",
+      "certificateTitle": "Certificate of Completion",
+      "certificateIntro": "This certifies that",
+      "certificateAnonymous": "The participant",
+      "certificateCompleted": "has completed the Time Matrix game with the pack \"{pack}\".",
+      "historyTitle": "Your Progress",
+      "historyEmpty": "No rounds yet. Finish a round to start tracking your progress.",
+      "historySessions": "Rounds played",
+      "historyBest": "Personal best",
+      "historyRecent": "Last 5 rounds",
+      "historyTrendUp": {
+        "one": "▲ {count} point better than the 5 before",
+        "other": "▲ {count} points better than the 5 before"
+      },
+      "historyTrendDown": {
+        "one": "▼ {count} point below the 5 before",
+        "other": "▼ {count} points below the 5 before"
+      },
+      "historyTrendFlat": "Same as the 5 before",
+      "historyChartTitle": "Accuracy over time",
+      "historyDate": "Date",
+      "historyPack": "Pack",
+      "historyMode": "Mode",
+      "historyLanguage": "Language",
+      "historyScore": "Score",
+      "historyAccuracy": "Accuracy",
+      "historyDuration": "Duration",
+      "historyBack": "Back",
+      "clearHistory": "Clear History",
+      "clearHistoryConfirm": "Delete your whole history of rounds?",
+      "facilitatorButton": "Facilitator View",
+      "facilitatorTitle": "Facilitator View",
+      "facilitatorHint": "Drop the players' exported answers or summaries here, or click to choose them.",
+      "facilitatorEmpty": "No results yet. Ask each player to save their answers from the results screen, then add the files here.",
+      "facilitatorPlayers": "Players",
+      "facilitatorAnswers": "Answers",
+      "facilitatorAverage": "Class accuracy",
+      "facilitatorDistribution": "Accuracy distribution",
+      "facilitatorHardest": "Hardest activities",
+      "facilitatorActivity": "Activity",
+      "facilitatorTopWrong": "Most common wrong answer",
+      "facilitatorNoMistakes": "Nobody missed a single activity.",
+      "resultsAnswerCount": {
+        "one": "{count} answer",
+        "other": "{count} answers"
+      },
+      "resultsSummaryOnly": "summary only",
+      "resultsImportFailed": "Could not read the file:",
+      "resultsRemove": "Remove file",
+      "resultsClear": "Remove All Files",
+      "debriefTitle": "Debrief",
+      "debriefDownload": "Download Debrief",
+      "debriefOverview": {
+        "one": "{count} player took part, with an accuracy of {accuracy}%.",
+        "other": "{count} players took part, with an average accuracy of {accuracy}%."
+      },
+      "debriefWeakestQuadrant": "The group found {quadrant} hardest to recognize ({accuracy}% correct).",
+      "debriefHardActivity": "\"{activity}\": {accuracy}% correct, most often placed in {wrong} instead of {correct}.",
+      "debriefQuestion": "Discuss: what made these activities look more or less urgent or important than they are?",
+      "correctFeedback": "✅ Correct! Well done!",
+      "incorrectFeedback": "❌ Incorrect. This activity belongs in",
+      "timeUpFeedback": "⏰ Time's up! This activity belongs in",
+      "speedBonusFeedback": "⚡ +{points} speed bonus",
+      "timedOutAnswer": "time ran out",
+      "correctAnswersLabel": "Correct answers:",
+      "averageResponseTime": "Average response time:",
+      "countdownLabel": "Time:",
+      "axisImportantQuestion": "Is it important?",
+      "axisUrgentQuestion": "Is it urgent?",
+      "axisYes": "Yes",
+      "axisNo": "No",
+      "axisWasImportant": "Importance: this activity is important.",
+      "axisWasNotImportant": "Importance: this activity is not important.",
+      "axisWasUrgent": "Urgency: this activity is urgent.",
+      "axisWasNotUrgent": "Urgency: this activity is not urgent.",
+      "importanceAccuracy": "Importance accuracy:",
+      "boardInstructions": "Drag each card into a quadrant, or pick a card and press 1–4. Move cards freely, then press Check.",
+      "boardStatus": "{placed} of {total} cards placed",
+      "boardCheck": "Check",
+      "urgencyAccuracy": "Urgency accuracy:",
+      "axisRatedTooHigh": "rated too high {count}×",
+      "axisRatedTooLow": "too low {count}×",
+      "explanationLabel": "Why:",
+      "whyNotLabel": "Why not",
+      "reviewTitle": "Activities to review",
+      "confusionTitle": "Where your answers went",
+      "confusionCorrectAxis": "Correct",
+      "confusionChosenAxis": "Your answer",
+      "confusionNoAnswer": "No answer",
+      "confusionTopMistake": "Most common mix-up: {correct} activities placed in {chosen} ({count}×)",
+      "yourAnswerLabel": "Your answer:",
+      "correctAnswerLabel": "Correct:",
+      "perfectRound": "You classified every activity correctly!",
+      "problemsTitle": "Problems found in the game content",
+      "problemsSkipped": {
+        "one": "{count} error; the entry with errors was skipped.",
+        "other": "{count} errors; entries with errors were skipped."
+      },
+      "packPickerTitle": "Choose an Activity Pack",
+      "startGame": "Start Game",
+      "mixedPackTitle": "Mixed",
+      "mixedPackDescription": "Activities drawn from several packs.",
+      "mixedPackHint": "Packs to include:",
+      "noPacksSelected": "Select at least one pack to include.",
+      "noActivitiesLoaded": "No activities could be loaded from the selected packs.",
+      "roundSettingsTitle": "Round Settings",
+      "roundModeLabel": "Mode:",
+      "modeClassic": "Classic",
+      "modeClassicHint": "Take your time: 1 point for each correct answer.",
+      "modeTimed": "Timed challenge",
+      "modeTimedHint": "10 seconds per activity. Running out of time counts as a miss; correct answers within 3 s earn +2 bonus points, within 6 s +1.",
+      "modeTwoAxis": "Importance & urgency",
+      "modeTwoAxisHint": "Answer two questions for each activity: is it important, and is it urgent?",
+      "modeBoard": "Sort the board",
+      "modeBoardHint": "All activities of the round appear at once. Place every card in a quadrant, move them around as you like, then press Check.",
+      "modePractice": "Practice",
+      "modePracticeHint": "Remembers how well you know each activity. Activities you miss come back in the next session; the ones you know come back after longer and longer breaks.",
+      "practiceSummary": "{mastered} of {total} activities mastered · {due} due for review",
+      "practiceNothingDue": "Nothing is due for practice. Come back on {date}.",
+      "modeHotSeat": "Hot seat",
+      "modeHotSeatHint": "2 to 6 players take turns on this device. Everyone gets the same number of activities; a tie for first place goes to sudden death.",
+      "playersLabel": "Players:",
+      "playerDefaultName": "Player {number}",
+      "addPlayer": "Add player",
+      "removePlayer": "Remove player",
+      "playerTurn": "{name}'s turn",
+      "hotSeatTooFewActivities": "There are fewer activities than players, so not everyone would get a turn. Choose more packs, a longer round or fewer players.",
+      "suddenDeath": "Sudden death!",
+      "playerWins": "{name} wins!",
+      "playersTied": "Tie between {names}",
+      "leaderboardPlayer": "Player",
+      "leaderboardTeam": "Team",
+      "modeBuzzer": "Team buzzer",
+      "modeBuzzerHint": "For a projected screen: each team answers with its own keys. The first team to answer wins 2 points if right and loses 1 if wrong. Clicking a quadrant answers for no team.",
+      "teamName": "Team {letter}",
+      "teamKeysLabel": "{name} keys:",
+      "teamKeysHelp": "Four keys per team, for Q1 to Q4 in order.",
+      "teamKeysHint": "{name}: {keys}",
+      "teamKeysInvalid": "Give every team four keys, and don't use a key twice.",
+      "addTeam": "Add team",
+      "removeTeam": "Remove team",
+      "roundLengthLabel": "Questions per round:",
+      "roundLengthAll": "All",
+      "roundBalancedLabel": "Same number of activities from each quadrant",
+      "roundWaitLabel": "Wait for me: show a Next button instead of moving on automatically",
+      "roundSeedLabel": "Seed (optional):",
+      "roundSeedHint": "Players using the same pack and seed get the same sequence.",
+      "customPackDescription": "Imported from {file}",
+      "deletePack": "Delete pack",
+      "deletePackConfirm": "Delete the pack \"{name}\"?",
+      "importTitle": "Import your own pack",
+      "importHint": "Drop a JSON or CSV file here, or click to choose one.",
+      "importPreviewTitle": "Preview",
+      "importPackName": "Pack name:",
+      "importSummary": {
+        "one": "{count} activity ready to import",
+        "other": "{count} activities ready to import"
+      },
+      "importActivityColumn": "Activity",
+      "importQuadrantColumn": "Quadrant",
+      "importExplanationColumn": "Explanation",
+      "importSave": "Save Pack",
+      "importCancel": "Cancel",
+      "importFailed": "Could not read the file:",
+      "importNothingValid": "No valid activities found in this file.",
+      "importStorageFull": "The pack could not be saved: browser storage is full.",
+      "editPack": "Edit pack",
+      "newPack": "Create a new pack",
+      "newPackName": "My pack",
+      "editorTitle": "Pack Editor",
+      "editorAdd": "Add Activity",
+      "editorExport": "Export JSON",
+      "editorSave": "Save Pack",
+      "editorBack": "Back",
+      "editorDiscardConfirm": "Discard your unsaved changes?",
+      "editorMoveUp": "Move up",
+      "editorMoveDown": "Move down",
+      "editorRemove": "Remove activity",
+      "editorDescription": "Description",
+      "editorPreview": "Preview",
+      "editorMissingTranslation": "Missing translation:",
+      "editorActivityCount": {
+        "one": "{count} activity",
+        "other": "{count} activities"
+      },
+      "editorValid": {
+        "one": "{count} activity, no errors",
+        "other": "{count} activities, no errors"
+      },
+      "editorFixErrors": "Please fix the errors listed above before saving the pack.",
+      "languageLabel": "Language:",
+      "languageName": "English"
+    },
+    "pt": {
+      "title": "Jogo da Matriz de Tempo FranklinCovey",
+      "instructions": "Classifique cada atividade no quadrante correto da Matriz de Tempo: <strong>Q1 (Importante & Urgente)</strong>, <strong>Q2 (Importante & Não Urgente)</strong>, <strong>Q3 (Não Importante & Urgente)</strong>, ou <strong>Q4 (Não Importante & Não Urgente)</strong>.",
+      "scoreLabel": "Pontuação:",
+      "activitiesLabel": "Atividades:",
+      "progressValue": {
+        "one": "{n} / {total}",
+        "other": "{n} / {total}"
+      },
+      "currentActivityTitle": "Atividade Atual",
+      "timeMatrixTitle": "Quadrantes da Matriz de Tempo",
+      "helpButton": "Ajuda",
+      "closeButton": "Fechar",
+      "helpModalTitle": "Regras do Jogo & Instruções",
+      "howToPlay": "Como Jogar",
+      "howToPlayStep1": "Leia a Atividade: Uma descrição de atividade aparecerá acima da Matriz de Tempo.",
+      "howToPlayStep2": "Classifique a Atividade: Clique no quadrante (Q1, Q2, Q3 ou Q4) onde você acha que essa atividade pertence, ou arraste o cartão da atividade até ele.",
+      "howToPlayStep3": "Receba Feedback: Você verá feedback imediato - verde para correto, vermelho para incorreto.",
+      "howToPlayStep4": "Aprenda: Se estiver incorreto, você verá qual quadrante estava correto com uma explicação.",
+      "howToPlayStep5": "Continue: A próxima atividade aparecerá automaticamente após um curto intervalo.",
+      "quadrantGuide": "Os Quatro Quadrantes",
+      "q1Title": "Q1: Importante & Urgente",
+      "q1Examples": "Exemplos: Crises, prazos, emergências, problemas urgentes",
+      "q1Strategy": "Estratégia: Lidar imediatamente, mas tentar reduzir isso através de melhor planejamento",
+      "q2Title": "Q2: Importante & Não Urgente",
+      "q2Examples": "Exemplos: Planejamento, prevenção, valores, construção de relacionamentos",
+      "q2Strategy": "Estratégia: Agendar tempo para isso - são fundamentais para o sucesso a longo prazo",
+      "q3Title": "Q3: Não Importante & Urgente",
+      "q3Examples": "Exemplos: Algumas chamadas, reuniões, interrupções, alguns e-mails",
+      "q3Strategy": "Estratégia: Delegar ou minimizar - parecem urgentes mas não são realmente importantes",
+      "q4Title": "Q4: Não Importante & Não Urgente",
+      "q4Examples": "Exemplos: Perda de tempo, entretenimento excessivo, trabalho trivial",
+      "q4Strategy": "Estratégia: Eliminar ou minimizar - são puro desperdício de tempo",
+      "q1Name": "Importante & Urgente",
+      "q2Name": "Importante & Não Urgente",
+      "q3Name": "Não Importante & Urgente",
+      "q4Name": "Não Importante & Não Urgente",
+      "selectQuadrant": "Selecionar {quadrant}",
+      "scoringTitle": "Pontuação",
+      "scoringCorrect": "+1 ponto para cada classificação correta",
+      "scoringIncorrect": "0 pontos para respostas incorretas (sem penalidade)",
+      "scoringProgress": "Veja seu progresso e percentual de acerto final",
+      "learningGoals": "Objetivos de Aprendizagem",
+      "learningGoal1": "Identificar o que é realmente importante versus apenas urgente",
+      "learningGoal2": "Reconhecer atividades que desperdiçam tempo",
+      "learningGoal3": "Focar energia nas atividades Q2 para sucesso a longo prazo",
+      "learningGoal4": "Reduzir tempo gasto no Q1 através de melhor planejamento",
+      "proTip": "Dica Profissional:",
+      "proTipText": "O objetivo não é apenas vencer o jogo, mas aprender a aplicar esses princípios à sua vida real. Pergunte-se: 'Em qual quadrante essa atividade da minha vida pertence?'",
+      "gameComplete": "Jogo Completo!",
+      "finalScore": "Pontuação Final:",
+      "accuracy": "Precisão:",
+      "playAgain": "Jogar Novamente",
+      "reviewMistakes": "Revisar Erros",
+      "reviewComplete": "Revisão Completa!",
+      "nextActivity": "Próxima",
+      "changePack": "Trocar Pacote",
+      "historyButton": "Seu Progresso",
+      "resumeTitle": "Retomar o jogo?",
+      "resumeDetails": "Sua rodada {mode} com o pacote {pack} foi interrompida após {answered} de {total} atividades.",
+      "resumeGame": "Retomar",
+      "resumeDiscard": "Recomeçar",
+      "resumeFailed": "Não foi possível retomar o jogo inacabado: suas atividades não estão mais disponíveis.",
+      "exportTitle": "Salve seus resultados",
+      "playerNameLabel": "Seu nome:",
+      "exportAnswersCsv": "Respostas (CSV)",
+      "exportAnswersJson": "Respostas (JSON)",
+      "exportSummary": "Resumo (JSON)",
+      "printCertificate": "Imprimir Certificado",
+      "certificateTitle": "Certificado de Conclusão",
+      "certificateIntro": "Certificamos que",
+      "certificateAnonymous": "O participante",
+      "certificateCompleted": "concluiu o jogo da Matriz de Tempo com o pacote \"{pack}\".",
+      "historyTitle": "Seu Progresso",
+      "historyEmpty": "Nenhuma rodada ainda. Termine uma rodada para começar a acompanhar seu progresso.",
+      "historySessions": "Rodadas jogadas",
+      "historyBest": "Melhor resultado",
+      "historyRecent": "Últimas 5 rodadas",
+      "historyTrendUp": {
+        "one": "▲ {count} ponto acima das 5 anteriores",
+        "other": "▲ {count} pontos acima das 5 anteriores"
+      },
+      "historyTrendDown": {
+        "one": "▼ {count} ponto abaixo das 5 anteriores",
+        "other": "▼ {count} pontos abaixo das 5 anteriores"
+      },
+      "historyTrendFlat": "Igual às 5 anteriores",
+      "historyChartTitle": "Precisão ao longo do tempo",
+      "historyDate": "Data",
+      "historyPack": "Pacote",
+      "historyMode": "Modo",
+      "historyLanguage": "Idioma",
+      "historyScore": "Pontuação",
+      "historyAccuracy": "Precisão",
+      "historyDuration": "Duração",
+      "historyBack": "Voltar",
+      "clearHistory": "Limpar Histórico",
+      "clearHistoryConfirm": "Excluir todo o seu histórico de rodadas?",
+      "facilitatorButton": "Visão do Facilitador",
+      "facilitatorTitle": "Visão do Facilitador",
+      "facilitatorHint": "Solte aqui as respostas ou resumos exportados pelos jogadores, ou clique para escolhê-los.",
+      "facilitatorEmpty": "Nenhum resultado ainda. Peça a cada jogador para salvar suas respostas na tela de resultados e adicione os arquivos aqui.",
+      "facilitatorPlayers": "Jogadores",
+      "facilitatorAnswers": "Respostas",
+      "facilitatorAverage": "Precisão da turma",
+      "facilitatorDistribution": "Distribuição da precisão",
+      "facilitatorHardest": "Atividades mais difíceis",
+      "facilitatorActivity": "Atividade",
+      "facilitatorTopWrong": "Resposta errada mais comum",
+      "facilitatorNoMistakes": "Ninguém errou nenhuma atividade.",
+      "resultsAnswerCount": {
+        "one": "{count} resposta",
+        "other": "{count} respostas"
+      },
+      "resultsSummaryOnly": "apenas resumo",
+      "resultsImportFailed": "Não foi possível ler o arquivo:",
+      "resultsRemove": "Remover arquivo",
+      "resultsClear": "Remover Todos os Arquivos",
+      "debriefTitle": "Debriefing",
+      "debriefDownload": "Baixar Debriefing",
+      "debriefOverview": {
+        "one": "{count} jogador participou, com precisão de {accuracy}%.",
+        "other": "{count} jogadores participaram, com precisão média de {accuracy}%."
+      },
+      "debriefWeakestQuadrant": "O grupo teve mais dificuldade em reconhecer {quadrant} ({accuracy}% de acertos).",
+      "debriefHardActivity": "\"{activity}\": {accuracy}% de acertos, colocada com mais frequência em {wrong} em vez de {correct}.",
+      "debriefQuestion": "Discuta: o que fez essas atividades parecerem mais ou menos urgentes ou importantes do que são?",
+      "correctFeedback": "✅ Correto! Muito bem!",
+      "incorrectFeedback": "❌ Incorreto. Esta atividade pertence ao",
+      "timeUpFeedback": "⏰ O tempo acabou! Esta atividade pertence ao",
+      "speedBonusFeedback": "⚡ +{points} de bônus por rapidez",
+      "timedOutAnswer": "o tempo acabou",
+      "correctAnswersLabel": "Respostas corretas:",
+      "averageResponseTime": "Tempo médio de resposta:",
+      "countdownLabel": "Tempo:",
+      "axisImportantQuestion": "É importante?",
+      "axisUrgentQuestion": "É urgente?",
+      "axisYes": "Sim",
+      "axisNo": "Não",
+      "axisWasImportant": "Importância: esta atividade é importante.",
+      "axisWasNotImportant": "Importância: esta atividade não é importante.",
+      "axisWasUrgent": "Urgência: esta atividade é urgente.",
+      "axisWasNotUrgent": "Urgência: esta atividade não é urgente.",
+      "importanceAccuracy": "Precisão na importância:",
+      "boardInstructions": "Arraste cada cartão para um quadrante, ou escolha um cartão e pressione 1–4. Mova os cartões à vontade e depois pressione Verificar.",
+      "boardStatus": "{placed} de {total} cartões colocados",
+      "boardCheck": "Verificar",
+      "urgencyAccuracy": "Precisão na urgência:",
+      "axisRatedTooHigh": "superestimada {count}×",
+      "axisRatedTooLow": "subestimada {count}×",
+      "explanationLabel": "Por quê:",
+      "whyNotLabel": "Por que não",
+      "reviewTitle": "Atividades para revisar",
+      "confusionTitle": "Para onde foram suas respostas",
+      "confusionCorrectAxis": "Correto",
+      "confusionChosenAxis": "Sua resposta",
+      "confusionNoAnswer": "Sem resposta",
+      "confusionTopMistake": "Confusão mais comum: atividades de {correct} colocadas em {chosen} ({count}×)",
+      "yourAnswerLabel": "Sua resposta:",
+      "correctAnswerLabel": "Correto:",
+      "perfectRound": "Você classificou todas as atividades corretamente!",
+      "problemsTitle": "Problemas encontrados no conteúdo do jogo",
+      "problemsSkipped": {
+        "one": "{count} erro; a entrada com erros foi ignorada.",
+        "other": "{count} erros; as entradas com erros foram ignoradas."
+      },
+      "packPickerTitle": "Escolha um Pacote de Atividades",
+      "startGame": "Começar Jogo",
+      "mixedPackTitle": "Misto",
+      "mixedPackDescription": "Atividades de vários pacotes.",
+      "mixedPackHint": "Pacotes a incluir:",
+      "noPacksSelected": "Selecione pelo menos um pacote.",
+      "noActivitiesLoaded": "Não foi possível carregar atividades dos pacotes selecionados.",
+      "roundSettingsTitle": "Configurações da Rodada",
+      "roundModeLabel": "Modo:",
+      "modeClassic": "Clássico",
+      "modeClassicHint": "Sem pressa: 1 ponto para cada resposta correta.",
+      "modeTimed": "Desafio cronometrado",
+      "modeTimedHint": "10 segundos por atividade. Se o tempo acabar, conta como erro; respostas corretas em até 3 s ganham +2 pontos de bônus, em até 6 s +1.",
+      "modeTwoAxis": "Importância e urgência",
+      "modeTwoAxisHint": "Responda duas perguntas para cada atividade: é importante? É urgente?",
+      "modeBoard": "Organize o quadro",
+      "modeBoardHint": "Todas as atividades da rodada aparecem de uma vez. Coloque cada cartão em um quadrante, mova-os como quiser e depois pressione Verificar.",
+      "modePractice": "Praticar",
+      "modePracticeHint": "Lembra o quanto você conhece cada atividade. As atividades que você erra voltam na próxima sessão; as que você conhece voltam depois de intervalos cada vez maiores.",
+      "practiceSummary": "{mastered} de {total} atividades dominadas · {due} para revisar",
+      "practiceNothingDue": "Nada para praticar agora. Volte em {date}.",
+      "modeHotSeat": "Revezamento",
+      "modeHotSeatHint": "De 2 a 6 jogadores se revezam neste dispositivo. Todos recebem o mesmo número de atividades; um empate no primeiro lugar vai para a morte súbita.",
+      "playersLabel": "Jogadores:",
+      "playerDefaultName": "Jogador {number}",
+      "addPlayer": "Adicionar jogador",
+      "removePlayer": "Remover jogador",
+      "playerTurn": "Vez de {name}",
+      "hotSeatTooFewActivities": "Há menos atividades do que jogadores, então nem todos teriam sua vez. Escolha mais pacotes, uma rodada mais longa ou menos jogadores.",
+      "suddenDeath": "Morte súbita!",
+      "playerWins": "{name} venceu!",
+      "playersTied": "Empate entre {names}",
+      "leaderboardPlayer": "Jogador",
+      "leaderboardTeam": "Equipe",
+      "modeBuzzer": "Equipes com campainha",
+      "modeBuzzerHint": "Para uma tela projetada: cada equipe responde com suas próprias teclas. A primeira equipe a responder ganha 2 pontos se acertar e perde 1 se errar. Clicar em um quadrante responde sem equipe.",
+      "teamName": "Equipe {letter}",
+      "teamKeysLabel": "Teclas da {name}:",
+      "teamKeysHelp": "Quatro teclas por equipe, para Q1 a Q4 em ordem.",
+      "teamKeysHint": "{name}: {keys}",
+      "teamKeysInvalid": "Dê quatro teclas a cada equipe e não use a mesma tecla duas vezes.",
+      "addTeam": "Adicionar equipe",
+      "removeTeam": "Remover equipe",
+      "roundLengthLabel": "Perguntas por rodada:",
+      "roundLengthAll": "Todas",
+      "roundBalancedLabel": "Mesmo número de atividades de cada quadrante",
+      "roundWaitLabel": "Espere por mim: mostrar um botão Próxima em vez de avançar automaticamente",
+      "roundSeedLabel": "Semente (opcional):",
+      "roundSeedHint": "Jogadores com o mesmo pacote e a mesma semente recebem a mesma sequência.",
+      "customPackDescription": "Importado de {file}",
+      "deletePack": "Excluir pacote",
+      "deletePackConfirm": "Excluir o pacote \"{name}\"?",
+      "importTitle": "Importe seu próprio pacote",
+      "importHint": "Solte um arquivo JSON ou CSV aqui, ou clique para escolher um.",
+      "importPreviewTitle": "Pré-visualização",
+      "importPackName": "Nome do pacote:",
+      "importSummary": {
+        "one": "{count} atividade pronta para importar",
+        "other": "{count} atividades prontas para importar"
+      },
+      "importActivityColumn": "Atividade",
+      "importQuadrantColumn": "Quadrante",
+      "importExplanationColumn": "Explicação",
+      "importSave": "Salvar Pacote",
+      "importCancel": "Cancelar",
+      "importFailed": "Não foi possível ler o arquivo:",
+      "importNothingValid": "Nenhuma atividade válida encontrada neste arquivo.",
+      "importStorageFull": "Não foi possível salvar o pacote: o armazenamento do navegador está cheio.",
+      "editPack": "Editar pacote",
+      "newPack": "Criar um novo pacote",
+      "newPackName": "Meu pacote",
+      "editorTitle": "Editor de Pacotes",
+      "editorAdd": "Adicionar Atividade",
+      "editorExport": "Exportar JSON",
+      "editorSave": "Salvar Pacote",
+      "editorBack": "Voltar",
+      "editorDiscardConfirm": "Descartar as alterações não salvas?",
+      "editorMoveUp": "Mover para cima",
+      "editorMoveDown": "Mover para baixo",
+      "editorRemove": "Remover atividade",
+      "editorDescription": "Descrição",
+      "editorPreview": "Pré-visualização",
+      "editorMissingTranslation": "Tradução ausente:",
+      "editorActivityCount": {
+        "one": "{count} atividade",
+        "other": "{count} atividades"
+      },
+      "editorValid": {
+        "one": "{count} atividade, sem erros",
+        "other": "{count} atividades, sem erros"
+      },
+      "editorFixErrors": "Corrija os erros listados acima antes de salvar o pacote.",
+      "languageLabel": "Idioma:",
+      "languageName": "Português"
+    },
+    "es": {
+      "title": "Juego de la Matriz del Tiempo FranklinCovey",
+      "instructions": "Clasifica cada actividad en el cuadrante correcto de la Matriz del Tiempo: <strong>Q1 (Importante y Urgente)</strong>, <strong>Q2 (Importante y No Urgente)</strong>, <strong>Q3 (No Importante y Urgente)</strong> o <strong>Q4 (No Importante y No Urgente)</strong>.",
+      "scoreLabel": "Puntuación:",
+      "activitiesLabel": "Actividades:",
+      "progressValue": {
+        "one": "{n} / {total}",
+        "other": "{n} / {total}"
+      },
+      "currentActivityTitle": "Actividad Actual",
+      "timeMatrixTitle": "Cuadrantes de la Matriz del Tiempo",
+      "helpButton": "Ayuda",
+      "closeButton": "Cerrar",
+      "helpModalTitle": "Reglas e Instrucciones del Juego",
+      "howToPlay": "Cómo Jugar",
+      "howToPlayStep1": "Lee la actividad: la descripción de una actividad aparecerá encima de la Matriz del Tiempo.",
+      "howToPlayStep2": "Clasifica la actividad: haz clic en el cuadrante (Q1, Q2, Q3 o Q4) al que crees que pertenece, o arrastra la tarjeta de la actividad hasta él.",
+      "howToPlayStep3": "Recibe la respuesta: verás el resultado al instante, verde si aciertas y rojo si te equivocas.",
+      "howToPlayStep4": "Aprende: si te equivocas, verás cuál era el cuadrante correcto con una explicación.",
+      "howToPlayStep5": "Continúa: la siguiente actividad aparecerá automáticamente tras una breve pausa.",
+      "quadrantGuide": "Los Cuatro Cuadrantes",
+      "q1Title": "Q1: Importante y Urgente",
+      "q1Examples": "Ejemplos: crisis, plazos, emergencias, problemas urgentes",
+      "q1Strategy": "Estrategia: atiéndelas de inmediato, pero intenta reducirlas con una mejor planificación",
+      "q2Title": "Q2: Importante y No Urgente",
+      "q2Examples": "Ejemplos: planificación, prevención, valores, construcción de relaciones",
+      "q2Strategy": "Estrategia: reserva tiempo para ellas; son la clave del éxito a largo plazo",
+      "q3Title": "Q3: No Importante y Urgente",
+      "q3Examples": "Ejemplos: algunas llamadas, reuniones, interrupciones, algunos correos",
+      "q3Strategy": "Estrategia: delega o minimiza; parecen urgentes pero no son realmente importantes",
+      "q4Title": "Q4: No Importante y No Urgente",
+      "q4Examples": "Ejemplos: pérdidas de tiempo, entretenimiento excesivo, tareas triviales",
+      "q4Strategy": "Estrategia: elimina o minimiza; solo consumen tiempo",
+      "q1Name": "Importante y Urgente",
+      "q2Name": "Importante y No Urgente",
+      "q3Name": "No Importante y Urgente",
+      "q4Name": "No Importante y No Urgente",
+      "selectQuadrant": "Elegir {quadrant}",
+      "scoringTitle": "Puntuación",
+      "scoringCorrect": "+1 punto por cada clasificación correcta",
+      "scoringIncorrect": "0 puntos por respuestas incorrectas (sin penalización)",
+      "scoringProgress": "Consulta tu progreso y tu porcentaje final de aciertos",
+      "learningGoals": "Objetivos de Aprendizaje",
+      "learningGoal1": "Distinguir lo realmente importante de lo que solo es urgente",
+      "learningGoal2": "Reconocer las actividades que hacen perder el tiempo",
+      "learningGoal3": "Concentrar la energía en actividades Q2 para el éxito a largo plazo",
+      "learningGoal4": "Reducir el tiempo en Q1 gracias a una mejor planificación",
+      "proTip": "Consejo:",
+      "proTipText": "El objetivo no es solo ganar el juego, sino aprender a aplicar estos principios en tu vida real. Pregúntate: '¿A qué cuadrante pertenece esta actividad de mi vida?'",
+      "gameComplete": "¡Juego Completado!",
+      "finalScore": "Puntuación Final:",
+      "accuracy": "Precisión:",
+      "playAgain": "Jugar de Nuevo",
+      "reviewMistakes": "Repasar Errores",
+      "reviewComplete": "¡Repaso Completado!",
+      "nextActivity": "Siguiente",
+      "changePack": "Cambiar Paquete",
+      "historyButton": "Tu Progreso",
+      "resumeTitle": "¿Reanudar la partida?",
+      "resumeDetails": "Tu ronda {mode} con el paquete {pack} se interrumpió tras {answered} de {total} actividades.",
+      "resumeGame": "Reanudar",
+      "resumeDiscard": "Empezar de Nuevo",
+      "resumeFailed": "No se pudo reanudar la partida sin terminar: sus actividades ya no están disponibles.",
+      "exportTitle": "Guarda tus resultados",
+      "playerNameLabel": "Tu nombre:",
+      "exportAnswersCsv": "Respuestas (CSV)",
+      "exportAnswersJson": "Respuestas (JSON)",
+      "exportSummary": "Resumen (JSON)",
+      "printCertificate": "Imprimir Certificado",
+      "certificateTitle": "Certificado de Finalización",
+      "certificateIntro": "Se certifica que",
+      "certificateAnonymous": "La persona participante",
+      "certificateCompleted": "ha completado el juego de la Matriz del Tiempo con el paquete \"{pack}\".",
+      "historyTitle": "Tu Progreso",
+      "historyEmpty": "Aún no hay rondas. Termina una ronda para empezar a seguir tu progreso.",
+      "historySessions": "Rondas jugadas",
+      "historyBest": "Mejor resultado",
+      "historyRecent": "Últimas 5 rondas",
+      "historyTrendUp": {
+        "one": "▲ {count} punto por encima de las 5 anteriores",
+        "other": "▲ {count} puntos por encima de las 5 anteriores"
+      },
+      "historyTrendDown": {
+        "one": "▼ {count} punto por debajo de las 5 anteriores",
+        "other": "▼ {count} puntos por debajo de las 5 anteriores"
+      },
+      "historyTrendFlat": "Igual que las 5 anteriores",
+      "historyChartTitle": "Precisión a lo largo del tiempo",
+      "historyDate": "Fecha",
+      "historyPack": "Paquete",
+      "historyMode": "Modo",
+      "historyLanguage": "Idioma",
+      "historyScore": "Puntuación",
+      "historyAccuracy": "Precisión",
+      "historyDuration": "Duración",
+      "historyBack": "Volver",
+      "clearHistory": "Borrar Historial",
+      "clearHistoryConfirm": "¿Borrar todo tu historial de rondas?",
+      "facilitatorButton": "Vista del Facilitador",
+      "facilitatorTitle": "Vista del Facilitador",
+      "facilitatorHint": "Suelta aquí las respuestas o los resúmenes exportados por los jugadores, o haz clic para elegirlos.",
+      "facilitatorEmpty": "Aún no hay resultados. Pide a cada jugador que guarde sus respuestas desde la pantalla de resultados y añade los archivos aquí.",
+      "facilitatorPlayers": "Jugadores",
+      "facilitatorAnswers": "Respuestas",
+      "facilitatorAverage": "Precisión del grupo",
+      "facilitatorDistribution": "Distribución de la precisión",
+      "facilitatorHardest": "Actividades más difíciles",
+      "facilitatorActivity": "Actividad",
+      "facilitatorTopWrong": "Respuesta incorrecta más común",
+      "facilitatorNoMistakes": "Nadie falló ninguna actividad.",
+      "resultsAnswerCount": {
+        "one": "{count} respuesta",
+        "other": "{count} respuestas"
+      },
+      "resultsSummaryOnly": "solo resumen",
+      "resultsImportFailed": "No se pudo leer el archivo:",
+      "resultsRemove": "Quitar archivo",
+      "resultsClear": "Quitar Todos los Archivos",
+      "debriefTitle": "Puesta en común",
+      "debriefDownload": "Descargar Puesta en Común",
+      "debriefOverview": {
+        "one": "Participó {count} jugador, con una precisión del {accuracy}%.",
+        "other": "Participaron {count} jugadores, con una precisión media del {accuracy}%."
+      },
+      "debriefWeakestQuadrant": "Al grupo le costó más reconocer {quadrant} ({accuracy}% de aciertos).",
+      "debriefHardActivity": "\"{activity}\": {accuracy}% de aciertos, colocada casi siempre en {wrong} en lugar de {correct}.",
+      "debriefQuestion": "Debatid: ¿qué hizo que estas actividades parecieran más o menos urgentes o importantes de lo que son?",
+      "correctFeedback": "✅ ¡Correcto! ¡Bien hecho!",
+      "incorrectFeedback": "❌ Incorrecto. Esta actividad pertenece a",
+      "timeUpFeedback": "⏰ ¡Se acabó el tiempo! Esta actividad pertenece a",
+      "speedBonusFeedback": "⚡ +{points} de bonificación por rapidez",
+      "timedOutAnswer": "se acabó el tiempo",
+      "correctAnswersLabel": "Respuestas correctas:",
+      "averageResponseTime": "Tiempo medio de respuesta:",
+      "countdownLabel": "Tiempo:",
+      "axisImportantQuestion": "¿Es importante?",
+      "axisUrgentQuestion": "¿Es urgente?",
+      "axisYes": "Sí",
+      "axisNo": "No",
+      "axisWasImportant": "Importancia: esta actividad es importante.",
+      "axisWasNotImportant": "Importancia: esta actividad no es importante.",
+      "axisWasUrgent": "Urgencia: esta actividad es urgente.",
+      "axisWasNotUrgent": "Urgencia: esta actividad no es urgente.",
+      "importanceAccuracy": "Precisión en importancia:",
+      "boardInstructions": "Arrastra cada tarjeta a un cuadrante, o elige una tarjeta y pulsa 1–4. Mueve las tarjetas libremente y luego pulsa Comprobar.",
+      "boardStatus": "{placed} de {total} tarjetas colocadas",
+      "boardCheck": "Comprobar",
+      "urgencyAccuracy": "Precisión en urgencia:",
+      "axisRatedTooHigh": "sobrevalorada {count}×",
+      "axisRatedTooLow": "infravalorada {count}×",
+      "explanationLabel": "Por qué:",
+      "whyNotLabel": "¿Por qué no",
+      "reviewTitle": "Actividades para repasar",
+      "confusionTitle": "Adónde fueron tus respuestas",
+      "confusionCorrectAxis": "Correcto",
+      "confusionChosenAxis": "Tu respuesta",
+      "confusionNoAnswer": "Sin respuesta",
+      "confusionTopMistake": "Confusión más común: actividades de {correct} colocadas en {chosen} ({count}×)",
+      "yourAnswerLabel": "Tu respuesta:",
+      "correctAnswerLabel": "Correcto:",
+      "perfectRound": "¡Clasificaste correctamente todas las actividades!",
+      "problemsTitle": "Problemas encontrados en el contenido del juego",
+      "problemsSkipped": {
+        "one": "{count} error; la entrada con errores se omitió.",
+        "other": "{count} errores; las entradas con errores se omitieron."
+      },
+      "packPickerTitle": "Elige un Paquete de Actividades",
+      "startGame": "Empezar",
+      "mixedPackTitle": "Mixto",
+      "mixedPackDescription": "Actividades de varios paquetes.",
+      "mixedPackHint": "Paquetes a incluir:",
+      "noPacksSelected": "Selecciona al menos un paquete.",
+      "noActivitiesLoaded": "No se pudo cargar ninguna actividad de los paquetes seleccionados.",
+      "roundSettingsTitle": "Ajustes de la Ronda",
+      "roundModeLabel": "Modo:",
+      "modeClassic": "Clásico",
+      "modeClassicHint": "Tómate tu tiempo: 1 punto por cada respuesta correcta.",
+      "modeTimed": "Contrarreloj",
+      "modeTimedHint": "10 segundos por actividad. Quedarse sin tiempo cuenta como fallo; las respuestas correctas en menos de 3 s ganan +2 puntos extra, en menos de 6 s +1.",
+      "modeTwoAxis": "Importancia y urgencia",
+      "modeTwoAxisHint": "Responde dos preguntas para cada actividad: ¿es importante? y ¿es urgente?",
+      "modeBoard": "Ordena el tablero",
+      "modeBoardHint": "Todas las actividades de la ronda aparecen a la vez. Coloca cada tarjeta en un cuadrante, muévelas como quieras y luego pulsa Comprobar.",
+      "modePractice": "Práctica",
+      "modePracticeHint": "Recuerda lo bien que conoces cada actividad. Las que fallas vuelven en la próxima sesión; las que conoces vuelven tras pausas cada vez más largas.",
+      "practiceSummary": "{mastered} de {total} actividades dominadas · {due} pendientes de repaso",
+      "practiceNothingDue": "No hay nada pendiente de practicar. Vuelve el {date}.",
+      "modeHotSeat": "Por turnos",
+      "modeHotSeatHint": "De 2 a 6 jugadores se turnan en este dispositivo. Todos reciben el mismo número de actividades; un empate en el primer puesto se decide a muerte súbita.",
+      "playersLabel": "Jugadores:",
+      "playerDefaultName": "Jugador {number}",
+      "addPlayer": "Añadir jugador",
+      "removePlayer": "Quitar jugador",
+      "playerTurn": "Turno de {name}",
+      "hotSeatTooFewActivities": "Hay menos actividades que jugadores, así que no todos tendrían turno. Elige más paquetes, una ronda más larga o menos jugadores.",
+      "suddenDeath": "¡Muerte súbita!",
+      "playerWins": "¡Gana {name}!",
+      "playersTied": "Empate entre {names}",
+      "leaderboardPlayer": "Jugador",
+      "leaderboardTeam": "Equipo",
+      "modeBuzzer": "Pulsador por equipos",
+      "modeBuzzerHint": "Para una pantalla proyectada: cada equipo responde con sus propias teclas. El primer equipo en responder gana 2 puntos si acierta y pierde 1 si falla. Hacer clic en un cuadrante responde sin equipo.",
+      "teamName": "Equipo {letter}",
+      "teamKeysLabel": "Teclas del {name}:",
+      "teamKeysHelp": "Cuatro teclas por equipo, para Q1 a Q4 en orden.",
+      "teamKeysHint": "{name}: {keys}",
+      "teamKeysInvalid": "Da cuatro teclas a cada equipo y no uses la misma tecla dos veces.",
+      "addTeam": "Añadir equipo",
+      "removeTeam": "Quitar equipo",
+      "roundLengthLabel": "Preguntas por ronda:",
+      "roundLengthAll": "Todas",
+      "roundBalancedLabel": "Mismo número de actividades de cada cuadrante",
+      "roundWaitLabel": "Espérame: mostrar un botón Siguiente en lugar de avanzar automáticamente",
+      "roundSeedLabel": "Semilla (opcional):",
+      "roundSeedHint": "Los jugadores con el mismo paquete y la misma semilla reciben la misma secuencia.",
+      "customPackDescription": "Importado de {file}",
+      "deletePack": "Eliminar paquete",
+      "deletePackConfirm": "¿Eliminar el paquete \"{name}\"?",
+      "importTitle": "Importa tu propio paquete",
+      "importHint": "Suelta aquí un archivo JSON o CSV, o haz clic para elegir uno.",
+      "importPreviewTitle": "Vista previa",
+      "importPackName": "Nombre del paquete:",
+      "importSummary": {
+        "one": "{count} actividad lista para importar",
+        "other": "{count} actividades listas para importar"
+      },
+      "importActivityColumn": "Actividad",
+      "importQuadrantColumn": "Cuadrante",
+      "importExplanationColumn": "Explicación",
+      "importSave": "Guardar Paquete",
+      "importCancel": "Cancelar",
+      "importFailed": "No se pudo leer el archivo:",
+      "importNothingValid": "No se encontraron actividades válidas en este archivo.",
+      "importStorageFull": "No se pudo guardar el paquete: el almacenamiento del navegador está lleno.",
+      "editPack": "Editar paquete",
+      "newPack": "Crear un paquete nuevo",
+      "newPackName": "Mi paquete",
+      "editorTitle": "Editor de Paquetes",
+      "editorAdd": "Añadir Actividad",
+      "editorExport": "Exportar JSON",
+      "editorSave": "Guardar Paquete",
+      "editorBack": "Volver",
+      "editorDiscardConfirm": "¿Descartar los cambios sin guardar?",
+      "editorMoveUp": "Subir",
+      "editorMoveDown": "Bajar",
+      "editorRemove": "Quitar actividad",
+      "editorDescription": "Descripción",
+      "editorPreview": "Vista previa",
+      "editorMissingTranslation": "Falta traducción:",
+      "editorActivityCount": {
+        "one": "{count} actividad",
+        "other": "{count} actividades"
+      },
+      "editorValid": {
+        "one": "{count} actividad, sin errores",
+        "other": "{count} actividades, sin errores"
+      },
+      "editorFixErrors": "Corrige los errores indicados arriba antes de guardar el paquete.",
+      "languageLabel": "Idioma:",
+      "languageName": "Español"
+    },
+    "fr": {
+      "title": "Jeu de la Matrice du Temps FranklinCovey",
+      "instructions": "Classez chaque activité dans le bon quadrant de la Matrice du Temps : <strong>Q1 (Important et Urgent)</strong>, <strong>Q2 (Important et Non Urgent)</strong>, <strong>Q3 (Non Important et Urgent)</strong> ou <strong>Q4 (Non Important et Non Urgent)</strong>.",
+      "scoreLabel": "Score :",
+      "activitiesLabel": "Activités :",
+      "progressValue": {
+        "one": "{n} / {total}",
+        "other": "{n} / {total}"
+      },
+      "currentActivityTitle": "Activité en cours",
+      "timeMatrixTitle": "Quadrants de la Matrice du Temps",
+      "helpButton": "Aide",
+      "closeButton": "Fermer",
+      "helpModalTitle": "Règles et instructions du jeu",
+      "howToPlay": "Comment jouer",
+      "howToPlayStep1": "Lisez l'activité : la description d'une activité s'affiche au-dessus de la Matrice du Temps.",
+      "howToPlayStep2": "Classez l'activité : cliquez sur le quadrant (Q1, Q2, Q3 ou Q4) auquel elle appartient selon vous, ou faites-y glisser la carte de l'activité.",
+      "howToPlayStep3": "Recevez un retour : le résultat s'affiche aussitôt, en vert si c'est juste et en rouge si c'est faux.",
+      "howToPlayStep4": "Apprenez : en cas d'erreur, vous verrez le bon quadrant avec une explication.",
+      "howToPlayStep5": "Continuez : l'activité suivante apparaît automatiquement après une courte pause.",
+      "quadrantGuide": "Les quatre quadrants",
+      "q1Title": "Q1 : Important et Urgent",
+      "q1Examples": "Exemples : crises, échéances, urgences, problèmes pressants",
+      "q1Strategy": "Stratégie : traitez-les tout de suite, mais essayez de les réduire par une meilleure planification",
+      "q2Title": "Q2 : Important et Non Urgent",
+      "q2Examples": "Exemples : planification, prévention, valeurs, construction de relations",
+      "q2Strategy": "Stratégie : bloquez du temps pour elles ; c'est la clé de la réussite à long terme",
+      "q3Title": "Q3 : Non Important et Urgent",
+      "q3Examples": "Exemples : certains appels, réunions, interruptions, certains e-mails",
+      "q3Strategy": "Stratégie : déléguez ou réduisez ; elles semblent urgentes mais ne sont pas vraiment importantes",
+      "q4Title": "Q4 : Non Important et Non Urgent",
+      "q4Examples": "Exemples : pertes de temps, divertissement excessif, tâches futiles",
+      "q4Strategy": "Stratégie : éliminez ou réduisez ; elles ne font que consommer du temps",
+      "q1Name": "Important et Urgent",
+      "q2Name": "Important et Non Urgent",
+      "q3Name": "Non Important et Urgent",
+      "q4Name": "Non Important et Non Urgent",
+      "selectQuadrant": "Choisir {quadrant}",
+      "scoringTitle": "Score",
+      "scoringCorrect": "+1 point par classement correct",
+      "scoringIncorrect": "0 point pour une réponse fausse (pas de pénalité)",
+      "scoringProgress": "Suivez votre progression et votre taux de réussite final",
+      "learningGoals": "Objectifs d'apprentissage",
+      "learningGoal1": "Distinguer ce qui est vraiment important de ce qui est seulement urgent",
+      "learningGoal2": "Reconnaître les activités qui font perdre du temps",
+      "learningGoal3": "Concentrer son énergie sur les activités Q2 pour réussir à long terme",
+      "learningGoal4": "Réduire le temps passé en Q1 grâce à une meilleure planification",
+      "proTip": "Astuce :",
+      "proTipText": "Le but n'est pas seulement de gagner la partie, mais d'apprendre à appliquer ces principes dans votre vie. Demandez-vous : « À quel quadrant appartient cette activité de ma vie ? »",
+      "gameComplete": "Partie terminée !",
+      "finalScore": "Score final :",
+      "accuracy": "Précision :",
+      "playAgain": "Rejouer",
+      "reviewMistakes": "Revoir les erreurs",
+      "reviewComplete": "Révision terminée !",
+      "nextActivity": "Suivant",
+      "changePack": "Changer de pack",
+      "historyButton": "Votre progression",
+      "resumeTitle": "Reprendre la partie ?",
+      "resumeDetails": "Votre manche {mode} avec le pack {pack} a été interrompue après {answered} activités sur {total}.",
+      "resumeGame": "Reprendre",
+      "resumeDiscard": "Recommencer",
+      "resumeFailed": "Impossible de reprendre la partie inachevée : ses activités ne sont plus disponibles.",
+      "exportTitle": "Enregistrez vos résultats",
+      "playerNameLabel": "Votre nom :",
+      "exportAnswersCsv": "Réponses (CSV)",
+      "exportAnswersJson": "Réponses (JSON)",
+      "exportSummary": "Résumé (JSON)",
+      "printCertificate": "Imprimer le certificat",
+      "certificateTitle": "Certificat de réussite",
+      "certificateIntro": "Nous certifions que",
+      "certificateAnonymous": "Le participant ou la participante",
+      "certificateCompleted": "a terminé le jeu de la Matrice du Temps avec le pack « {pack} ».",
+      "historyTitle": "Votre progression",
+      "historyEmpty": "Aucune manche pour l'instant. Terminez une manche pour suivre votre progression.",
+      "historySessions": "Manches jouées",
+      "historyBest": "Meilleur résultat",
+      "historyRecent": "5 dernières manches",
+      "historyTrendUp": {
+        "one": "▲ {count} point au-dessus des 5 précédentes",
+        "other": "▲ {count} points au-dessus des 5 précédentes"
+      },
+      "historyTrendDown": {
+        "one": "▼ {count} point en dessous des 5 précédentes",
+        "other": "▼ {count} points en dessous des 5 précédentes"
+      },
+      "historyTrendFlat": "Identique aux 5 précédentes",
+      "historyChartTitle": "Précision au fil du temps",
+      "historyDate": "Date",
+      "historyPack": "Pack",
+      "historyMode": "Mode",
+      "historyLanguage": "Langue",
+      "historyScore": "Score",
+      "historyAccuracy": "Précision",
+      "historyDuration": "Durée",
+      "historyBack": "Retour",
+      "clearHistory": "Effacer l'historique",
+      "clearHistoryConfirm": "Effacer tout votre historique de manches ?",
+      "facilitatorButton": "Vue animateur",
+      "facilitatorTitle": "Vue animateur",
+      "facilitatorHint": "Déposez ici les réponses ou résumés exportés par les joueurs, ou cliquez pour les choisir.",
+      "facilitatorEmpty": "Aucun résultat pour l'instant. Demandez à chaque joueur d'enregistrer ses réponses depuis l'écran des résultats, puis ajoutez les fichiers ici.",
+      "facilitatorPlayers": "Joueurs",
+      "facilitatorAnswers": "Réponses",
+      "facilitatorAverage": "Précision du groupe",
+      "facilitatorDistribution": "Répartition de la précision",
+      "facilitatorHardest": "Activités les plus difficiles",
+      "facilitatorActivity": "Activité",
+      "facilitatorTopWrong": "Mauvaise réponse la plus fréquente",
+      "facilitatorNoMistakes": "Personne ne s'est trompé sur une activité.",
+      "resultsAnswerCount": {
+        "one": "{count} réponse",
+        "other": "{count} réponses"
+      },
+      "resultsSummaryOnly": "résumé seulement",
+      "resultsImportFailed": "Impossible de lire le fichier :",
+      "resultsRemove": "Retirer le fichier",
+      "resultsClear": "Retirer tous les fichiers",
+      "debriefTitle": "Débriefing",
+      "debriefDownload": "Télécharger le débriefing",
+      "debriefOverview": {
+        "one": "{count} joueur a participé, avec une précision de {accuracy} %.",
+        "other": "{count} joueurs ont participé, avec une précision moyenne de {accuracy} %."
+      },
+      "debriefWeakestQuadrant": "Le groupe a eu le plus de mal à reconnaître {quadrant} ({accuracy} % de bonnes réponses).",
+      "debriefHardActivity": "« {activity} » : {accuracy} % de bonnes réponses, le plus souvent placée en {wrong} au lieu de {correct}.",
+      "debriefQuestion": "Discutez : qu'est-ce qui a rendu ces activités plus ou moins urgentes ou importantes qu'elles ne le sont ?",
+      "correctFeedback": "✅ Correct ! Bien joué !",
+      "incorrectFeedback": "❌ Incorrect. Cette activité appartient à",
+      "timeUpFeedback": "⏰ Temps écoulé ! Cette activité appartient à",
+      "speedBonusFeedback": "⚡ +{points} de bonus de rapidité",
+      "timedOutAnswer": "temps écoulé",
+      "correctAnswersLabel": "Bonnes réponses :",
+      "averageResponseTime": "Temps de réponse moyen :",
+      "countdownLabel": "Temps :",
+      "axisImportantQuestion": "Est-ce important ?",
+      "axisUrgentQuestion": "Est-ce urgent ?",
+      "axisYes": "Oui",
+      "axisNo": "Non",
+      "axisWasImportant": "Importance : cette activité est importante.",
+      "axisWasNotImportant": "Importance : cette activité n'est pas importante.",
+      "axisWasUrgent": "Urgence : cette activité est urgente.",
+      "axisWasNotUrgent": "Urgence : cette activité n'est pas urgente.",
+      "importanceAccuracy": "Précision sur l'importance :",
+      "boardInstructions": "Faites glisser chaque carte dans un quadrant, ou choisissez une carte et appuyez sur 1–4. Déplacez les cartes librement, puis appuyez sur Vérifier.",
+      "boardStatus": "{placed} cartes placées sur {total}",
+      "boardCheck": "Vérifier",
+      "urgencyAccuracy": "Précision sur l'urgence :",
+      "axisRatedTooHigh": "surestimée {count}×",
+      "axisRatedTooLow": "sous-estimée {count}×",
+      "explanationLabel": "Pourquoi :",
+      "whyNotLabel": "Pourquoi pas",
+      "reviewTitle": "Activités à revoir",
+      "confusionTitle": "Où sont allées vos réponses",
+      "confusionCorrectAxis": "Correct",
+      "confusionChosenAxis": "Votre réponse",
+      "confusionNoAnswer": "Sans réponse",
+      "confusionTopMistake": "Confusion la plus fréquente : activités {correct} placées en {chosen} ({count}×)",
+      "yourAnswerLabel": "Votre réponse :",
+      "correctAnswerLabel": "Correct :",
+      "perfectRound": "Vous avez classé correctement toutes les activités !",
+      "problemsTitle": "Problèmes détectés dans le contenu du jeu",
+      "problemsSkipped": {
+        "one": "{count} erreur ; l'entrée concernée a été ignorée.",
+        "other": "{count} erreurs ; les entrées concernées ont été ignorées."
+      },
+      "packPickerTitle": "Choisissez un pack d'activités",
+      "startGame": "Commencer",
+      "mixedPackTitle": "Mixte",
+      "mixedPackDescription": "Des activités de plusieurs packs.",
+      "mixedPackHint": "Packs à inclure :",
+      "noPacksSelected": "Sélectionnez au moins un pack.",
+      "noActivitiesLoaded": "Aucune activité n'a pu être chargée depuis les packs sélectionnés.",
+      "roundSettingsTitle": "Réglages de la manche",
+      "roundModeLabel": "Mode :",
+      "modeClassic": "Classique",
+      "modeClassicHint": "Prenez votre temps : 1 point par bonne réponse.",
+      "modeTimed": "Contre la montre",
+      "modeTimedHint": "10 secondes par activité. Un temps écoulé compte comme une erreur ; une bonne réponse en moins de 3 s rapporte +2 points bonus, en moins de 6 s +1.",
+      "modeTwoAxis": "Importance et urgence",
+      "modeTwoAxisHint": "Répondez à deux questions pour chaque activité : est-ce important ? est-ce urgent ?",
+      "modeBoard": "Trier le plateau",
+      "modeBoardHint": "Toutes les activités de la manche s'affichent d'un coup. Placez chaque carte dans un quadrant, déplacez-les librement, puis appuyez sur Vérifier.",
+      "modePractice": "Entraînement",
+      "modePracticeHint": "Retient votre maîtrise de chaque activité. Celles que vous ratez reviennent à la séance suivante ; celles que vous connaissez reviennent après des pauses de plus en plus longues.",
+      "practiceSummary": "{mastered} activités maîtrisées sur {total} · {due} à revoir",
+      "practiceNothingDue": "Rien à réviser pour le moment. Revenez le {date}.",
+      "modeHotSeat": "Chacun son tour",
+      "modeHotSeatHint": "De 2 à 6 joueurs se relaient sur cet appareil. Chacun reçoit le même nombre d'activités ; une égalité en tête se joue en mort subite.",
+      "playersLabel": "Joueurs :",
+      "playerDefaultName": "Joueur {number}",
+      "addPlayer": "Ajouter un joueur",
+      "removePlayer": "Retirer le joueur",
+      "playerTurn": "Au tour de {name}",
+      "hotSeatTooFewActivities": "Il y a moins d'activités que de joueurs, donc tout le monde ne jouerait pas. Choisissez plus de packs, une manche plus longue ou moins de joueurs.",
+      "suddenDeath": "Mort subite !",
+      "playerWins": "{name} gagne !",
+      "playersTied": "Égalité entre {names}",
+      "leaderboardPlayer": "Joueur",
+      "leaderboardTeam": "Équipe",
+      "modeBuzzer": "Buzzer par équipes",
+      "modeBuzzerHint": "Pour un écran projeté : chaque équipe répond avec ses propres touches. La première équipe à répondre gagne 2 points si elle a raison et en perd 1 si elle se trompe. Cliquer sur un quadrant répond sans équipe.",
+      "teamName": "Équipe {letter}",
+      "teamKeysLabel": "Touches de l'{name} :",
+      "teamKeysHelp": "Quatre touches par équipe, pour Q1 à Q4 dans l'ordre.",
+      "teamKeysHint": "{name} : {keys}",
+      "teamKeysInvalid": "Donnez quatre touches à chaque équipe et n'utilisez pas deux fois la même touche.",
+      "addTeam": "Ajouter une équipe",
+      "removeTeam": "Retirer l'équipe",
+      "roundLengthLabel": "Questions par manche :",
+      "roundLengthAll": "Toutes",
+      "roundBalancedLabel": "Autant d'activités de chaque quadrant",
+      "roundWaitLabel": "Attendez-moi : afficher un bouton Suivant au lieu de passer automatiquement à la suite",
+      "roundSeedLabel": "Graine (facultatif) :",
+      "roundSeedHint": "Les joueurs qui utilisent le même pack et la même graine reçoivent la même séquence.",
+      "customPackDescription": "Importé depuis {file}",
+      "deletePack": "Supprimer le pack",
+      "deletePackConfirm": "Supprimer le pack « {name} » ?",
+      "importTitle": "Importez votre propre pack",
+      "importHint": "Déposez ici un fichier JSON ou CSV, ou cliquez pour en choisir un.",
+      "importPreviewTitle": "Aperçu",
+      "importPackName": "Nom du pack :",
+      "importSummary": {
+        "one": "{count} activité prête à importer",
+        "other": "{count} activités prêtes à importer"
+      },
+      "importActivityColumn": "Activité",
+      "importQuadrantColumn": "Quadrant",
+      "importExplanationColumn": "Explication",
+      "importSave": "Enregistrer le pack",
+      "importCancel": "Annuler",
+      "importFailed": "Impossible de lire le fichier :",
+      "importNothingValid": "Aucune activité valide n'a été trouvée dans ce fichier.",
+      "importStorageFull": "Impossible d'enregistrer le pack : le stockage du navigateur est plein.",
+      "editPack": "Modifier le pack",
+      "newPack": "Créer un nouveau pack",
+      "newPackName": "Mon pack",
+      "editorTitle": "Éditeur de packs",
+      "editorAdd": "Ajouter une activité",
+      "editorExport": "Exporter en JSON",
+      "editorSave": "Enregistrer le pack",
+      "editorBack": "Retour",
+      "editorDiscardConfirm": "Abandonner les modifications non enregistrées ?",
+      "editorMoveUp": "Monter",
+      "editorMoveDown": "Descendre",
+      "editorRemove": "Retirer l'activité",
+      "editorDescription": "Description",
+      "editorPreview": "Aperçu",
+      "editorMissingTranslation": "Traduction manquante :",
+      "editorActivityCount": {
+        "one": "{count} activité",
+        "other": "{count} activités"
+      },
+      "editorValid": {
+        "one": "{count} activité, aucun problème",
+        "other": "{count} activités, aucun problème"
+      },
+      "editorFixErrors": "Corrigez les problèmes indiqués ci-dessus avant d'enregistrer le pack.",
+      "languageLabel": "Langue :",
+      "languageName": "Français"
+    }
+  },
+  "packs.json": {
+    "packs": [
+      {
+        "id": "home",
+        "file": "data.json",
+        "title": {
+          "en": "Home & Household",
+          "pt": "Casa e Tarefas Domésticas",
+          "es": "Hogar y Tareas Domésticas",
+          "fr": "Maison et Tâches Ménagères"
+        },
+        "description": {
+          "en": "Everyday chores, errands and family life.",
+          "pt": "Tarefas do dia a dia, recados e vida em família.",
+          "es": "Tareas diarias, recados y vida familiar.",
+          "fr": "Corvées quotidiennes, courses et vie de famille."
+        }
+      },
+      {
+        "id": "work",
+        "file": "packs/work.json",
+        "title": {
+          "en": "Work",
+          "pt": "Trabalho",
+          "es": "Trabajo",
+          "fr": "Travail"
+        },
+        "description": {
+          "en": "Deadlines, meetings and email in a corporate setting.",
+          "pt": "Prazos, reuniões e e-mails no ambiente corporativo.",
+          "es": "Plazos, reuniones y correo en un entorno corporativo.",
+          "fr": "Échéances, réunions et e-mails en entreprise."
+        }
+      },
+      {
+        "id": "school",
+        "file": "packs/school.json",
+        "title": {
+          "en": "School",
+          "pt": "Escola",
+          "es": "Escuela",
+          "fr": "École"
+        },
+        "description": {
+          "en": "Exams, assignments and study habits for students.",
+          "pt": "Provas, trabalhos e hábitos de estudo para estudantes.",
+          "es": "Exámenes, trabajos y hábitos de estudio para estudiantes.",
+          "fr": "Examens, devoirs et habitudes de travail pour les élèves."
+        }
+      },
+      {
+        "id": "leadership",
+        "file": "packs/leadership.json",
+        "title": {
+          "en": "Leadership",
+          "pt": "Liderança",
+          "es": "Liderazgo",
+          "fr": "Leadership"
+        },
+        "description": {
+          "en": "Coaching, delegation and strategy for people managers.",
+          "pt": "Coaching, delegação e estratégia para gestores de pessoas.",
+          "es": "Coaching, delegación y estrategia para responsables de equipos.",
+          "fr": "Coaching, délégation et stratégie pour les managers."
+        }
+      }
+    ]
+  },
+  "data.json": {
+    "activities": [
+      {
+        "id": "home-001",
+        "description": {
+          "en": "Clean up after a water leak or spill",
+          "pt": "Limpar após um vazamento de água ou derramamento",
+          "es": "Limpiar después de una fuga o derrame de agua",
+          "fr": "Nettoyer après une fuite ou un dégât des eaux"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Water damage spreads quickly and can ruin floors and walls, so it is both important and time-critical.",
+          "pt": "Danos causados pela água se espalham rapidamente e podem estragar pisos e paredes, por isso é importante e urgente.",
+          "es": "Los daños por agua se extienden rápido y pueden arruinar suelos y paredes, así que es importante y no puede esperar.",
+          "fr": "Les dégâts des eaux se propagent vite et peuvent abîmer sols et murs : c'est à la fois important et pressant."
+        },
+        "whyNot": {
+          "q3": {
+            "en": "It is not a mere interruption: ignoring it causes real, lasting damage.",
+            "pt": "Não é uma simples interrupção: ignorá-lo causa danos reais e duradouros.",
+            "es": "No es una simple interrupción: ignorarlo causa daños reales y duraderos.",
+            "fr": "Ce n'est pas une simple interruption : l'ignorer cause des dégâts réels et durables."
+          }
+        }
+      },
+      {
+        "id": "home-002",
+        "description": {
+          "en": "Cook dinner because the family needs to eat now",
+          "pt": "Cozinhar o jantar porque a família precisa comer agora",
+          "es": "Preparar la cena porque la familia necesita comer ya",
+          "fr": "Préparer le dîner parce que la famille doit manger maintenant"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Feeding the family is a real need and the deadline is right now.",
+          "pt": "Alimentar a família é uma necessidade real e o prazo é agora.",
+          "es": "Alimentar a la familia es una necesidad real y el plazo es ahora mismo.",
+          "fr": "Nourrir la famille est un vrai besoin et l'échéance, c'est tout de suite."
+        },
+        "whyNot": {
+          "q2": {
+            "en": "It would be Q2 if it were planned ahead; here the meal is needed immediately.",
+            "pt": "Seria Q2 se fosse planejado com antecedência; aqui a refeição é necessária imediatamente.",
+            "es": "Sería Q2 si se hubiera planificado con antelación; aquí la comida se necesita de inmediato.",
+            "fr": "Ce serait Q2 si c'était prévu à l'avance ; ici, le repas est nécessaire immédiatement."
+          }
+        }
+      },
+      {
+        "id": "home-003",
+        "description": {
+          "en": "Wash dishes when there are none left for the next meal",
+          "pt": "Lavar a louça quando não há mais para a próxima refeição",
+          "es": "Lavar los platos cuando no quedan para la próxima comida",
+          "fr": "Faire la vaisselle quand il n'en reste plus pour le prochain repas"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Without clean dishes the next meal cannot happen, so the task has become urgent as well as important.",
+          "pt": "Sem louça limpa a próxima refeição não pode acontecer, então a tarefa se tornou urgente além de importante.",
+          "es": "Sin platos limpios no hay próxima comida, así que la tarea se ha vuelto urgente además de importante.",
+          "fr": "Sans vaisselle propre, le prochain repas est impossible : la tâche est devenue urgente en plus d'être importante."
+        }
+      },
+      {
+        "id": "home-004",
+        "description": {
+          "en": "Emergency grocery run due to no food at home",
+          "pt": "Compra de emergência de mantimentos por falta de comida em casa",
+          "es": "Compra de emergencia porque no hay comida en casa",
+          "fr": "Courses d'urgence parce qu'il n'y a plus rien à manger"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Having no food at home is a basic need that cannot wait.",
+          "pt": "Não ter comida em casa é uma necessidade básica que não pode esperar.",
+          "es": "No tener comida en casa es una necesidad básica que no puede esperar.",
+          "fr": "Ne plus avoir de nourriture à la maison est un besoin de base qui ne peut pas attendre."
+        },
+        "whyNot": {
+          "q2": {
+            "en": "Regular grocery planning is Q2; running out turns it into a Q1 crisis.",
+            "pt": "Planejar as compras regularmente é Q2; ficar sem comida transforma isso em uma crise Q1.",
+            "es": "Planificar la compra con regularidad es Q2; quedarse sin comida lo convierte en una crisis Q1.",
+            "fr": "Planifier régulièrement les courses relève de Q2 ; tomber à court en fait une crise Q1."
+          }
+        }
+      },
+      {
+        "id": "home-005",
+        "description": {
+          "en": "Fix a broken appliance essential for daily life",
+          "pt": "Consertar um eletrodoméstico quebrado essencial para o dia a dia",
+          "es": "Arreglar un electrodoméstico averiado imprescindible en el día a día",
+          "fr": "Réparer un appareil en panne indispensable au quotidien"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Daily life depends on the appliance, so repairing it is important and pressing.",
+          "pt": "A rotina diária depende do eletrodoméstico, então consertá-lo é importante e urgente.",
+          "es": "La vida diaria depende del electrodoméstico, así que repararlo es importante y apremiante.",
+          "fr": "La vie quotidienne dépend de cet appareil : le réparer est important et pressant."
+        }
+      },
+      {
+        "id": "home-006",
+        "description": {
+          "en": "Take out overflowing trash",
+          "pt": "Colocar o lixo transbordando para fora",
+          "es": "Sacar la basura que se desborda",
+          "fr": "Sortir les poubelles qui débordent"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Overflowing trash creates hygiene problems that need attention now.",
+          "pt": "Lixo transbordando cria problemas de higiene que precisam de atenção agora.",
+          "es": "La basura desbordada crea problemas de higiene que requieren atención ya.",
+          "fr": "Des poubelles qui débordent créent des problèmes d'hygiène à régler tout de suite."
+        },
+        "whyNot": {
+          "q3": {
+            "en": "It feels like a chore, but leaving it causes health and hygiene issues.",
+            "pt": "Parece apenas uma tarefa, mas deixá-lo causa problemas de saúde e higiene.",
+            "es": "Parece una tarea menor, pero dejarla causa problemas de salud e higiene.",
+            "fr": "Cela ressemble à une corvée, mais la laisser traîner pose des problèmes de santé et d'hygiène."
+          }
+        }
+      },
+      {
+        "id": "home-007",
+        "description": {
+          "en": "Handle a sudden pest problem",
+          "pt": "Resolver um problema súbito de pragas",
+          "es": "Resolver una plaga repentina",
+          "fr": "Régler une invasion soudaine de nuisibles"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Pests threaten health and property and get worse every day they are ignored.",
+          "pt": "Pragas ameaçam a saúde e a casa e pioram a cada dia em que são ignoradas.",
+          "es": "Las plagas amenazan la salud y la vivienda, y empeoran cada día que se ignoran.",
+          "fr": "Les nuisibles menacent la santé et le logement, et empirent chaque jour où on les ignore."
+        }
+      },
+      {
+        "id": "home-008",
+        "description": {
+          "en": "Weekly meal planning",
+          "pt": "Planejamento semanal de refeições",
+          "es": "Planificar las comidas de la semana",
+          "fr": "Planifier les repas de la semaine"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Planning meals prevents last-minute crises and saves money, but nothing forces you to do it today.",
+          "pt": "Planejar as refeições evita crises de última hora e economiza dinheiro, mas nada obriga você a fazê-lo hoje.",
+          "es": "Planificar las comidas evita crisis de última hora y ahorra dinero, pero nada te obliga a hacerlo hoy.",
+          "fr": "Planifier les repas évite les crises de dernière minute et fait économiser, mais rien ne vous oblige à le faire aujourd'hui."
+        },
+        "whyNot": {
+          "q1": {
+            "en": "There is no immediate deadline; that is exactly why it is easy to postpone.",
+            "pt": "Não há prazo imediato; é exatamente por isso que é fácil adiar.",
+            "es": "No hay un plazo inmediato; precisamente por eso es fácil posponerlo.",
+            "fr": "Il n'y a pas d'échéance immédiate ; c'est justement pour cela qu'on le repousse facilement."
+          }
+        }
+      },
+      {
+        "id": "home-009",
+        "description": {
+          "en": "Regular house cleaning schedule",
+          "pt": "Agenda regular de limpeza da casa",
+          "es": "Seguir un calendario regular de limpieza de la casa",
+          "fr": "Suivre un planning régulier de ménage"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "A cleaning routine keeps the home in order and avoids emergencies, without being urgent on any given day.",
+          "pt": "Uma rotina de limpeza mantém a casa em ordem e evita emergências, sem ser urgente em nenhum dia específico.",
+          "es": "Una rutina de limpieza mantiene la casa en orden y evita emergencias, sin ser urgente ningún día en concreto.",
+          "fr": "Une routine de ménage garde la maison en ordre et évite les urgences, sans être urgente un jour donné."
+        }
+      },
+      {
+        "id": "home-010",
+        "description": {
+          "en": "Organizing cupboards and storage areas",
+          "pt": "Organizar armários e áreas de armazenamento",
+          "es": "Organizar armarios y trasteros",
+          "fr": "Ranger les placards et les espaces de rangement"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Good organization saves time every day, but it can be scheduled whenever suits you.",
+          "pt": "Uma boa organização economiza tempo todos os dias, mas pode ser agendada quando for conveniente.",
+          "es": "Una buena organización ahorra tiempo cada día, pero puede hacerse cuando mejor te venga.",
+          "fr": "Un bon rangement fait gagner du temps chaque jour, mais peut se programmer quand cela vous convient."
+        },
+        "whyNot": {
+          "q4": {
+            "en": "Unlike reorganizing the same drawer again and again, this creates lasting value.",
+            "pt": "Ao contrário de reorganizar a mesma gaveta várias vezes, isso cria valor duradouro.",
+            "es": "A diferencia de reorganizar el mismo cajón una y otra vez, esto crea un valor duradero.",
+            "fr": "Contrairement au fait de ranger sans cesse le même tiroir, cela crée une valeur durable."
+          }
+        }
+      },
+      {
+        "id": "home-011",
+        "description": {
+          "en": "Preventive home maintenance",
+          "pt": "Manutenção preventiva da casa",
+          "es": "Mantenimiento preventivo del hogar",
+          "fr": "Entretien préventif de la maison"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Prevention is the classic Q2 activity: it stops future breakdowns from becoming Q1 crises.",
+          "pt": "Prevenção é a atividade Q2 clássica: evita que falhas futuras se tornem crises Q1.",
+          "es": "La prevención es la actividad Q2 por excelencia: evita que futuras averías se conviertan en crisis Q1.",
+          "fr": "La prévention est l'activité Q2 par excellence : elle empêche les pannes futures de devenir des crises Q1."
+        },
+        "whyNot": {
+          "q1": {
+            "en": "Nothing is broken yet; acting now is what keeps it out of Q1.",
+            "pt": "Nada está quebrado ainda; agir agora é o que mantém isso fora do Q1.",
+            "es": "Todavía no hay nada roto; actuar ahora es lo que lo mantiene fuera de Q1.",
+            "fr": "Rien n'est encore cassé ; agir maintenant est justement ce qui évite Q1."
+          }
+        }
+      },
+      {
+        "id": "home-012",
+        "description": {
+          "en": "Batch cooking meals for the week",
+          "pt": "Cozinhar refeições em lote para a semana",
+          "es": "Cocinar por adelantado las comidas de la semana",
+          "fr": "Cuisiner à l'avance les repas de la semaine"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Cooking ahead saves time and stress during the week, yet no single moment demands it.",
+          "pt": "Cozinhar com antecedência economiza tempo e estresse durante a semana, mas nenhum momento específico exige isso.",
+          "es": "Cocinar con antelación ahorra tiempo y estrés durante la semana, aunque ningún momento concreto lo exige.",
+          "fr": "Cuisiner à l'avance épargne du temps et du stress dans la semaine, même si aucun moment précis ne l'exige."
+        }
+      },
+      {
+        "id": "home-013",
+        "description": {
+          "en": "Decluttering unused items",
+          "pt": "Desfazer-se de itens não utilizados",
+          "es": "Deshacerse de objetos que no se usan",
+          "fr": "Se débarrasser des objets inutilisés"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Letting go of unused items makes the home easier to manage, with no deadline attached.",
+          "pt": "Desfazer-se de itens não utilizados facilita a gestão da casa, sem nenhum prazo envolvido.",
+          "es": "Desprenderse de lo que no se usa hace la casa más fácil de gestionar, sin ningún plazo.",
+          "fr": "Se séparer de ce qui ne sert pas rend la maison plus facile à gérer, sans aucune échéance."
+        }
+      },
+      {
+        "id": "home-014",
+        "description": {
+          "en": "Creating a household budget",
+          "pt": "Criar um orçamento doméstico",
+          "es": "Crear un presupuesto familiar",
+          "fr": "Établir un budget familial"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "A budget protects the household's future finances; it is important but rarely feels urgent.",
+          "pt": "Um orçamento protege as finanças futuras da casa; é importante, mas raramente parece urgente.",
+          "es": "Un presupuesto protege las finanzas futuras del hogar; es importante pero rara vez parece urgente.",
+          "fr": "Un budget protège les finances futures du foyer ; c'est important mais cela semble rarement urgent."
+        }
+      },
+      {
+        "id": "home-015",
+        "description": {
+          "en": "Teaching children household routines",
+          "pt": "Ensinar às crianças rotinas domésticas",
+          "es": "Enseñar a los niños las rutinas de la casa",
+          "fr": "Apprendre aux enfants les routines de la maison"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Teaching routines builds skills and shares the load over the long term.",
+          "pt": "Ensinar rotinas desenvolve habilidades e divide as tarefas a longo prazo.",
+          "es": "Enseñar rutinas desarrolla habilidades y reparte la carga a largo plazo.",
+          "fr": "Transmettre des routines développe des compétences et répartit la charge sur le long terme."
+        },
+        "whyNot": {
+          "q3": {
+            "en": "It may not feel pressing, but it has real long-term value for the family.",
+            "pt": "Pode não parecer urgente, mas tem valor real a longo prazo para a família.",
+            "es": "Puede que no parezca apremiante, pero tiene un valor real a largo plazo para la familia.",
+            "fr": "Cela ne semble pas pressant, mais a une vraie valeur à long terme pour la famille."
+          }
+        }
+      },
+      {
+        "id": "home-016",
+        "description": {
+          "en": "Deep cleaning bathrooms and kitchen appliances",
+          "pt": "Limpeza profunda de banheiros e eletrodomésticos",
+          "es": "Limpieza a fondo de baños y electrodomésticos de cocina",
+          "fr": "Nettoyer à fond la salle de bain et l'électroménager"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Deep cleaning maintains health and extends the life of appliances, and it can be planned.",
+          "pt": "A limpeza profunda mantém a saúde e prolonga a vida dos eletrodomésticos, e pode ser planejada.",
+          "es": "La limpieza a fondo cuida la salud y alarga la vida de los electrodomésticos, y se puede planificar.",
+          "fr": "Le grand nettoyage préserve la santé et prolonge la vie des appareils, et il peut se planifier."
+        }
+      },
+      {
+        "id": "home-017",
+        "description": {
+          "en": "Cleaning the house suddenly because guests might arrive",
+          "pt": "Limpar a casa de repente porque os convidados podem chegar",
+          "es": "Limpiar la casa de repente porque podrían venir invitados",
+          "fr": "Faire le ménage en catastrophe parce que des invités pourraient passer"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "The pressure comes from a possible visit, not from a real need, so it is urgent but not important.",
+          "pt": "A pressão vem de uma possível visita, não de uma necessidade real, então é urgente mas não importante.",
+          "es": "La presión viene de una posible visita, no de una necesidad real, así que es urgente pero no importante.",
+          "fr": "La pression vient d'une visite possible, pas d'un vrai besoin : c'est urgent mais pas important."
+        },
+        "whyNot": {
+          "q1": {
+            "en": "The urgency is self-imposed; nothing bad happens if the house is not spotless.",
+            "pt": "A urgência é autoimposta; nada de ruim acontece se a casa não estiver impecável.",
+            "es": "La urgencia es autoimpuesta; no pasa nada malo si la casa no está impecable.",
+            "fr": "L'urgence est auto-imposée ; rien de grave n'arrive si la maison n'est pas impeccable."
+          }
+        }
+      },
+      {
+        "id": "home-018",
+        "description": {
+          "en": "Re-cleaning already clean areas unnecessarily",
+          "pt": "Re-limpar áreas já limpas desnecessariamente",
+          "es": "Volver a limpiar sin necesidad zonas que ya están limpias",
+          "fr": "Relaver inutilement des endroits déjà propres"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "It feels like something must be done, but it adds no value to areas that are already clean.",
+          "pt": "Parece que algo precisa ser feito, mas não acrescenta valor a áreas que já estão limpas.",
+          "es": "Parece que hay que hacer algo, pero no aporta nada a zonas que ya están limpias.",
+          "fr": "On a l'impression de devoir agir, mais cela n'apporte rien à des endroits déjà propres."
+        }
+      },
+      {
+        "id": "home-019",
+        "description": {
+          "en": "Cooking an elaborate meal due to social pressure",
+          "pt": "Cozinhar uma refeição elaborada por pressão social",
+          "es": "Preparar una comida elaborada por presión social",
+          "fr": "Préparer un repas élaboré par pression sociale"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "The urgency comes from other people's expectations rather than your own priorities.",
+          "pt": "A urgência vem das expectativas dos outros, e não das suas próprias prioridades.",
+          "es": "La urgencia viene de las expectativas de los demás y no de tus propias prioridades.",
+          "fr": "L'urgence vient des attentes des autres plutôt que de vos propres priorités."
+        },
+        "whyNot": {
+          "q1": {
+            "en": "A simple meal meets the real need; the elaborate version only answers social pressure.",
+            "pt": "Uma refeição simples atende à necessidade real; a versão elaborada só responde à pressão social.",
+            "es": "Una comida sencilla cubre la necesidad real; la versión elaborada solo responde a la presión social.",
+            "fr": "Un repas simple répond au vrai besoin ; la version élaborée ne répond qu'à la pression sociale."
+          }
+        }
+      },
+      {
+        "id": "home-020",
+        "description": {
+          "en": "Responding immediately to non-essential household messages",
+          "pt": "Responder imediatamente a mensagens domésticas não essenciais",
+          "es": "Responder al instante a mensajes domésticos no esenciales",
+          "fr": "Répondre immédiatement à des messages domestiques non essentiels"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "Messages demand attention right away, but these ones do not move anything important forward.",
+          "pt": "Mensagens exigem atenção imediata, mas estas não fazem avançar nada importante.",
+          "es": "Los mensajes piden atención inmediata, pero estos no hacen avanzar nada importante.",
+          "fr": "Les messages réclament une attention immédiate, mais ceux-ci ne font rien avancer d'important."
+        },
+        "whyNot": {
+          "q1": {
+            "en": "The notification feels urgent, yet the content is not essential.",
+            "pt": "A notificação parece urgente, mas o conteúdo não é essencial.",
+            "es": "La notificación parece urgente, pero el contenido no es esencial.",
+            "fr": "La notification semble urgente, mais le contenu n'est pas essentiel."
+          }
+        }
+      },
+      {
+        "id": "home-021",
+        "description": {
+          "en": "Impulsively rearranging furniture",
+          "pt": "Reorganizar impulsivamente os móveis",
+          "es": "Cambiar los muebles de sitio por impulso",
+          "fr": "Déplacer les meubles sur un coup de tête"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "An impulse creates a sense of urgency, but the result does not matter much.",
+          "pt": "Um impulso cria uma sensação de urgência, mas o resultado não importa muito.",
+          "es": "Un impulso crea sensación de urgencia, pero el resultado no importa mucho.",
+          "fr": "Une impulsion crée un sentiment d'urgence, mais le résultat compte peu."
+        },
+        "whyNot": {
+          "q4": {
+            "en": "It is driven by a sudden urge to act now, which is what makes it Q3 rather than Q4.",
+            "pt": "É motivado por uma vontade súbita de agir agora, o que o torna Q3 e não Q4.",
+            "es": "Lo mueve un impulso repentino de actuar ya, y eso es lo que lo hace Q3 en lugar de Q4.",
+            "fr": "C'est une envie soudaine d'agir tout de suite, ce qui en fait du Q3 plutôt que du Q4."
+          }
+        }
+      },
+      {
+        "id": "home-022",
+        "description": {
+          "en": "Running errands that feel urgent but could wait",
+          "pt": "Fazer recados que parecem urgentes mas podem esperar",
+          "es": "Hacer recados que parecen urgentes pero podrían esperar",
+          "fr": "Faire des courses qui semblent urgentes mais pourraient attendre"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "These errands feel pressing, but they could be batched or done later without consequences.",
+          "pt": "Esses recados parecem urgentes, mas poderiam ser agrupados ou feitos depois sem consequências.",
+          "es": "Estos recados parecen apremiantes, pero podrían agruparse o hacerse más tarde sin consecuencias.",
+          "fr": "Ces courses semblent pressantes, mais elles pourraient être regroupées ou faites plus tard sans conséquence."
+        }
+      },
+      {
+        "id": "home-023",
+        "description": {
+          "en": "Excessive TV watching instead of doing chores",
+          "pt": "Assistir TV em excesso em vez de fazer tarefas",
+          "es": "Ver demasiada televisión en lugar de hacer las tareas",
+          "fr": "Regarder trop la télé au lieu de faire les corvées"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Watching too much TV is neither urgent nor important; it simply displaces more useful work.",
+          "pt": "Assistir TV em excesso não é urgente nem importante; apenas toma o lugar de trabalho mais útil.",
+          "es": "Ver demasiada televisión no es ni urgente ni importante; simplemente desplaza trabajo más útil.",
+          "fr": "Regarder trop la télé n'est ni urgent ni important ; cela remplace simplement un travail plus utile."
+        }
+      },
+      {
+        "id": "home-024",
+        "description": {
+          "en": "Endless scrolling on the phone",
+          "pt": "Rolagem interminável no telefone",
+          "es": "Deslizar sin fin en el móvil",
+          "fr": "Faire défiler son téléphone sans fin"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Endless scrolling is a classic time waster with no deadline and no lasting value.",
+          "pt": "Rolar a tela sem parar é uma perda de tempo clássica, sem prazo e sem valor duradouro.",
+          "es": "Deslizar sin fin es la típica pérdida de tiempo, sin plazo y sin valor duradero.",
+          "fr": "Le défilement sans fin est la perte de temps type, sans échéance ni valeur durable."
+        },
+        "whyNot": {
+          "q3": {
+            "en": "Nothing is demanding your attention; you choose to keep scrolling.",
+            "pt": "Nada está exigindo sua atenção; você escolhe continuar rolando.",
+            "es": "Nada reclama tu atención; eres tú quien elige seguir deslizando.",
+            "fr": "Rien ne réclame votre attention ; c'est vous qui choisissez de continuer à défiler."
+          }
+        }
+      },
+      {
+        "id": "home-025",
+        "description": {
+          "en": "Re-organizing the same drawer repeatedly",
+          "pt": "Re-organizar a mesma gaveta repetidamente",
+          "es": "Reorganizar el mismo cajón una y otra vez",
+          "fr": "Réorganiser le même tiroir encore et encore"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Repeating the same task produces nothing new, which makes it busywork.",
+          "pt": "Repetir a mesma tarefa não produz nada de novo, o que a torna um trabalho inútil.",
+          "es": "Repetir la misma tarea no produce nada nuevo, lo que la convierte en trabajo inútil.",
+          "fr": "Répéter la même tâche ne produit rien de nouveau : c'est de l'activité pour l'activité."
+        },
+        "whyNot": {
+          "q2": {
+            "en": "Organizing once is Q2; doing it over and over adds no value.",
+            "pt": "Organizar uma vez é Q2; fazer isso repetidamente não acrescenta valor.",
+            "es": "Organizar una vez es Q2; hacerlo una y otra vez no aporta valor.",
+            "fr": "Ranger une fois relève de Q2 ; le refaire sans cesse n'apporte rien."
+          }
+        }
+      },
+      {
+        "id": "home-026",
+        "description": {
+          "en": "Playing games while chores pile up",
+          "pt": "Jogar videogames enquanto as tarefas se acumulam",
+          "es": "Jugar a videojuegos mientras se acumulan las tareas",
+          "fr": "Jouer aux jeux vidéo pendant que les corvées s'accumulent"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Games are fine as planned rest, but played while chores pile up they are pure avoidance.",
+          "pt": "Jogos são bons como descanso planejado, mas jogados enquanto as tarefas se acumulam são pura fuga.",
+          "es": "Los juegos están bien como descanso planificado, pero mientras se acumulan las tareas son pura evasión.",
+          "fr": "Les jeux sont très bien comme repos prévu, mais pendant que les corvées s'accumulent, c'est de l'évitement pur."
+        }
+      },
+      {
+        "id": "home-027",
+        "description": {
+          "en": "Researching cleaning methods instead of cleaning",
+          "pt": "Pesquisar métodos de limpeza em vez de limpar",
+          "es": "Investigar métodos de limpieza en lugar de limpiar",
+          "fr": "Se renseigner sur les méthodes de ménage au lieu de faire le ménage"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Research that replaces the actual work feels productive, but it is a form of procrastination.",
+          "pt": "Pesquisar em vez de fazer o trabalho parece produtivo, mas é uma forma de procrastinação.",
+          "es": "Investigar en lugar de hacer el trabajo parece productivo, pero es una forma de procrastinar.",
+          "fr": "Se documenter à la place du vrai travail paraît productif, mais c'est une forme de procrastination."
+        },
+        "whyNot": {
+          "q2": {
+            "en": "Learning a better method can be Q2, but here it replaces the cleaning itself.",
+            "pt": "Aprender um método melhor pode ser Q2, mas aqui substitui a própria limpeza.",
+            "es": "Aprender un método mejor puede ser Q2, pero aquí sustituye a la propia limpieza.",
+            "fr": "Apprendre une meilleure méthode peut relever de Q2, mais ici cela remplace le ménage lui-même."
+          }
+        }
+      },
+      {
+        "id": "home-028",
+        "description": {
+          "en": "Over-shopping for unnecessary household items",
+          "pt": "Comprar demais itens domésticos desnecessários",
+          "es": "Comprar en exceso objetos innecesarios para la casa",
+          "fr": "Acheter trop d'objets inutiles pour la maison"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Buying things you do not need costs time and money without any urgency or benefit.",
+          "pt": "Comprar coisas de que você não precisa custa tempo e dinheiro sem urgência nem benefício.",
+          "es": "Comprar cosas que no necesitas cuesta tiempo y dinero sin ninguna urgencia ni beneficio.",
+          "fr": "Acheter des choses dont vous n'avez pas besoin coûte du temps et de l'argent, sans urgence ni bénéfice."
+        }
+      }
+    ]
+  },
+  "packs/work.json": {
+    "activities": [
+      {
+        "id": "work-001",
+        "description": {
+          "en": "Fix a production outage affecting customers",
+          "pt": "Corrigir uma falha em produção que afeta clientes",
+          "es": "Solucionar una caída del servicio que afecta a los clientes",
+          "fr": "Corriger une panne de production qui touche les clients"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Customers are affected right now and the business loses value every minute it continues.",
+          "pt": "Os clientes estão sendo afetados agora e a empresa perde valor a cada minuto que a falha continua.",
+          "es": "Los clientes están afectados ahora mismo y el negocio pierde valor cada minuto que continúa.",
+          "fr": "Les clients sont touchés en ce moment et l'entreprise perd de la valeur à chaque minute."
+        }
+      },
+      {
+        "id": "work-002",
+        "description": {
+          "en": "Finish a client proposal due this afternoon",
+          "pt": "Finalizar uma proposta para um cliente que vence hoje à tarde",
+          "es": "Terminar una propuesta para un cliente que vence esta tarde",
+          "fr": "Terminer une proposition client à rendre cet après-midi"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "A real commitment to a client with a hard deadline today.",
+          "pt": "Um compromisso real com um cliente, com prazo fixo para hoje.",
+          "es": "Un compromiso real con un cliente y un plazo firme hoy.",
+          "fr": "Un vrai engagement envers un client, avec une échéance ferme aujourd'hui."
+        }
+      },
+      {
+        "id": "work-003",
+        "description": {
+          "en": "Respond to a data security breach",
+          "pt": "Responder a uma violação de segurança de dados",
+          "es": "Responder a una brecha de seguridad de datos",
+          "fr": "Réagir à une violation de la sécurité des données"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Security incidents carry serious consequences and must be contained immediately.",
+          "pt": "Incidentes de segurança têm consequências graves e precisam ser contidos imediatamente.",
+          "es": "Los incidentes de seguridad tienen consecuencias graves y deben contenerse de inmediato.",
+          "fr": "Les incidents de sécurité ont des conséquences graves et doivent être contenus immédiatement."
+        }
+      },
+      {
+        "id": "work-004",
+        "description": {
+          "en": "Prepare for a board meeting that starts in an hour",
+          "pt": "Preparar-se para uma reunião do conselho que começa em uma hora",
+          "es": "Preparar una reunión del consejo que empieza en una hora",
+          "fr": "Préparer une réunion du conseil d'administration qui commence dans une heure"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "The meeting matters and there is no time left, so it is a crisis.",
+          "pt": "A reunião é importante e não há mais tempo, então é uma crise.",
+          "es": "La reunión importa y no queda tiempo, así que es una crisis.",
+          "fr": "La réunion compte et il ne reste plus de temps : c'est une crise."
+        },
+        "whyNot": {
+          "q2": {
+            "en": "Preparing days earlier would have been Q2; with an hour left it has become Q1.",
+            "pt": "Preparar-se dias antes teria sido Q2; faltando uma hora, tornou-se Q1.",
+            "es": "Prepararla días antes habría sido Q2; con una hora por delante se ha convertido en Q1.",
+            "fr": "La préparer quelques jours avant aurait été Q2 ; à une heure de l'échéance, c'est devenu Q1."
+          }
+        }
+      },
+      {
+        "id": "work-005",
+        "description": {
+          "en": "Plan next quarter's priorities with your team",
+          "pt": "Planejar as prioridades do próximo trimestre com a equipe",
+          "es": "Planificar con tu equipo las prioridades del próximo trimestre",
+          "fr": "Planifier les priorités du prochain trimestre avec votre équipe"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Planning sets direction and prevents future fire-fighting, with no immediate deadline.",
+          "pt": "O planejamento define a direção e evita apagar incêndios no futuro, sem prazo imediato.",
+          "es": "Planificar marca el rumbo y evita apagar fuegos en el futuro, sin un plazo inmediato.",
+          "fr": "Planifier donne le cap et évite d'éteindre des incendies plus tard, sans échéance immédiate."
+        }
+      },
+      {
+        "id": "work-006",
+        "description": {
+          "en": "Have a career development conversation with a team member",
+          "pt": "Ter uma conversa sobre desenvolvimento de carreira com um membro da equipe",
+          "es": "Tener una conversación de desarrollo profesional con un miembro del equipo",
+          "fr": "Avoir un entretien de développement de carrière avec un membre de l'équipe"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Developing people matters a great deal, but nothing forces it to happen today.",
+          "pt": "Desenvolver pessoas é muito importante, mas nada obriga que aconteça hoje.",
+          "es": "Desarrollar a las personas importa mucho, pero nada obliga a hacerlo hoy.",
+          "fr": "Faire grandir les personnes compte énormément, mais rien n'impose de le faire aujourd'hui."
+        }
+      },
+      {
+        "id": "work-007",
+        "description": {
+          "en": "Automate a repetitive manual report",
+          "pt": "Automatizar um relatório manual repetitivo",
+          "es": "Automatizar un informe manual repetitivo",
+          "fr": "Automatiser un rapport manuel répétitif"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "An investment of time now that saves time every week from then on.",
+          "pt": "Um investimento de tempo agora que economiza tempo todas as semanas a partir de então.",
+          "es": "Una inversión de tiempo ahora que ahorra tiempo cada semana a partir de entonces.",
+          "fr": "Un investissement de temps maintenant qui en fait gagner chaque semaine ensuite."
+        },
+        "whyNot": {
+          "q4": {
+            "en": "Unlike busywork, this removes future work instead of adding to it.",
+            "pt": "Ao contrário de trabalho inútil, isso elimina trabalho futuro em vez de acrescentar.",
+            "es": "A diferencia del trabajo inútil, esto elimina trabajo futuro en lugar de añadirlo.",
+            "fr": "Contrairement à l'activité pour l'activité, cela supprime du travail futur au lieu d'en ajouter."
+          }
+        }
+      },
+      {
+        "id": "work-008",
+        "description": {
+          "en": "Learn a new skill relevant to your role",
+          "pt": "Aprender uma nova habilidade relevante para sua função",
+          "es": "Aprender una nueva habilidad útil para tu puesto",
+          "fr": "Apprendre une nouvelle compétence utile à votre poste"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Long-term growth that nobody will demand from you today.",
+          "pt": "Crescimento a longo prazo que ninguém vai exigir de você hoje.",
+          "es": "Crecimiento a largo plazo que nadie te exigirá hoy.",
+          "fr": "Une progression à long terme que personne ne vous réclamera aujourd'hui."
+        }
+      },
+      {
+        "id": "work-009",
+        "description": {
+          "en": "Answer a colleague's non-urgent question the moment it arrives",
+          "pt": "Responder à pergunta não urgente de um colega assim que ela chega",
+          "es": "Contestar en cuanto llega la pregunta no urgente de un compañero",
+          "fr": "Répondre dès qu'elle arrive à la question non urgente d'un collègue"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "The interruption feels pressing, but the question could wait or be answered by someone else.",
+          "pt": "A interrupção parece urgente, mas a pergunta poderia esperar ou ser respondida por outra pessoa.",
+          "es": "La interrupción parece apremiante, pero la pregunta podría esperar o responderla otra persona.",
+          "fr": "L'interruption semble pressante, mais la question pourrait attendre ou être traitée par quelqu'un d'autre."
+        }
+      },
+      {
+        "id": "work-010",
+        "description": {
+          "en": "Attend a status meeting where you are not needed",
+          "pt": "Participar de uma reunião de status onde você não é necessário",
+          "es": "Asistir a una reunión de seguimiento en la que no se te necesita",
+          "fr": "Assister à une réunion de suivi où l'on n'a pas besoin de vous"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "The calendar creates urgency, but your presence adds little to the outcome.",
+          "pt": "A agenda cria urgência, mas sua presença pouco acrescenta ao resultado.",
+          "es": "El calendario crea urgencia, pero tu presencia aporta poco al resultado.",
+          "fr": "L'agenda crée l'urgence, mais votre présence apporte peu au résultat."
+        }
+      },
+      {
+        "id": "work-011",
+        "description": {
+          "en": "Reply to every email notification as soon as it pops up",
+          "pt": "Responder a cada notificação de e-mail assim que ela aparece",
+          "es": "Contestar cada notificación de correo en cuanto aparece",
+          "fr": "Répondre à chaque notification d'e-mail dès qu'elle s'affiche"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "Notifications demand attention now, yet most messages do not move your goals forward.",
+          "pt": "Notificações exigem atenção agora, mas a maioria das mensagens não faz seus objetivos avançarem.",
+          "es": "Las notificaciones piden atención ya, pero la mayoría de los mensajes no acercan tus objetivos.",
+          "fr": "Les notifications réclament votre attention tout de suite, mais la plupart des messages ne font pas avancer vos objectifs."
+        },
+        "whyNot": {
+          "q1": {
+            "en": "The alert is urgent; the content usually is not important.",
+            "pt": "O alerta é urgente; o conteúdo geralmente não é importante.",
+            "es": "El aviso es urgente; el contenido normalmente no es importante.",
+            "fr": "L'alerte est urgente ; le contenu, en général, n'est pas important."
+          }
+        }
+      },
+      {
+        "id": "work-012",
+        "description": {
+          "en": "Format a slide deck for someone else's last-minute request",
+          "pt": "Formatar uma apresentação para o pedido de última hora de outra pessoa",
+          "es": "Dar formato a una presentación por una petición de última hora de otra persona",
+          "fr": "Mettre en forme une présentation pour la demande de dernière minute de quelqu'un d'autre"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "It is urgent for someone else but not important for your own goals; it could be delegated or declined.",
+          "pt": "É urgente para outra pessoa, mas não é importante para seus objetivos; poderia ser delegado ou recusado.",
+          "es": "Es urgente para otra persona pero no importante para tus objetivos; podría delegarse o rechazarse.",
+          "fr": "C'est urgent pour quelqu'un d'autre mais pas important pour vos objectifs ; cela pourrait être délégué ou refusé."
+        }
+      },
+      {
+        "id": "work-013",
+        "description": {
+          "en": "Browse social media between tasks",
+          "pt": "Navegar nas redes sociais entre tarefas",
+          "es": "Mirar redes sociales entre tarea y tarea",
+          "fr": "Parcourir les réseaux sociaux entre deux tâches"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Nothing is demanding it and it adds no value to your work.",
+          "pt": "Nada exige isso e não acrescenta valor ao seu trabalho.",
+          "es": "Nada lo exige y no aporta valor a tu trabajo.",
+          "fr": "Rien ne l'exige et cela n'apporte rien à votre travail."
+        }
+      },
+      {
+        "id": "work-014",
+        "description": {
+          "en": "Reorganize your inbox folders for the third time this month",
+          "pt": "Reorganizar as pastas da caixa de entrada pela terceira vez neste mês",
+          "es": "Reorganizar las carpetas del correo por tercera vez este mes",
+          "fr": "Réorganiser les dossiers de sa boîte mail pour la troisième fois ce mois-ci"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Repeating the same tidying produces nothing new; it only feels productive.",
+          "pt": "Repetir a mesma arrumação não produz nada de novo; apenas parece produtivo.",
+          "es": "Repetir la misma limpieza no produce nada nuevo; solo parece productivo.",
+          "fr": "Refaire le même rangement ne produit rien de nouveau ; cela donne seulement l'impression d'être productif."
+        },
+        "whyNot": {
+          "q2": {
+            "en": "Setting up a filing system once can be Q2; redoing it again and again is not.",
+            "pt": "Criar um sistema de organização uma vez pode ser Q2; refazê-lo repetidamente não é.",
+            "es": "Montar un sistema de archivo una vez puede ser Q2; rehacerlo una y otra vez no lo es.",
+            "fr": "Mettre en place un classement une fois peut relever de Q2 ; le refaire sans cesse, non."
+          }
+        }
+      },
+      {
+        "id": "work-015",
+        "description": {
+          "en": "Chat at length about office gossip",
+          "pt": "Conversar longamente sobre fofocas do escritório",
+          "es": "Charlar largo y tendido sobre cotilleos de la oficina",
+          "fr": "Bavarder longuement des ragots du bureau"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Gossip is neither urgent nor important and can harm relationships.",
+          "pt": "Fofoca não é urgente nem importante e pode prejudicar os relacionamentos.",
+          "es": "Los cotilleos no son urgentes ni importantes y pueden dañar las relaciones.",
+          "fr": "Les ragots ne sont ni urgents ni importants et peuvent nuire aux relations."
+        }
+      },
+      {
+        "id": "work-016",
+        "description": {
+          "en": "Polish an internal document nobody will read",
+          "pt": "Aperfeiçoar um documento interno que ninguém vai ler",
+          "es": "Pulir un documento interno que nadie va a leer",
+          "fr": "Peaufiner un document interne que personne ne lira"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Perfecting work that has no audience is a time drain without any deadline.",
+          "pt": "Aperfeiçoar um trabalho que não tem público é uma perda de tempo sem nenhum prazo.",
+          "es": "Perfeccionar un trabajo sin público es una pérdida de tiempo sin ningún plazo.",
+          "fr": "Perfectionner un travail sans lecteur est une perte de temps sans aucune échéance."
+        }
+      }
+    ]
+  },
+  "packs/school.json": {
+    "activities": [
+      {
+        "id": "school-001",
+        "description": {
+          "en": "Study for an exam tomorrow morning",
+          "pt": "Estudar para uma prova amanhã de manhã",
+          "es": "Estudiar para un examen mañana por la mañana",
+          "fr": "Réviser pour un examen demain matin"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "The exam matters and there is no time left to spread the work out.",
+          "pt": "A prova é importante e não há mais tempo para distribuir o estudo.",
+          "es": "El examen importa y ya no queda tiempo para repartir el trabajo.",
+          "fr": "L'examen compte et il ne reste plus de temps pour étaler le travail."
+        },
+        "whyNot": {
+          "q2": {
+            "en": "Studying a little every week would have been Q2; the night before it is Q1.",
+            "pt": "Estudar um pouco toda semana teria sido Q2; na véspera, é Q1.",
+            "es": "Estudiar un poco cada semana habría sido Q2; la noche antes es Q1.",
+            "fr": "Réviser un peu chaque semaine aurait été Q2 ; la veille au soir, c'est Q1."
+          }
+        }
+      },
+      {
+        "id": "school-002",
+        "description": {
+          "en": "Submit an assignment due at midnight",
+          "pt": "Entregar um trabalho com prazo à meia-noite",
+          "es": "Entregar un trabajo que vence a medianoche",
+          "fr": "Rendre un devoir à remettre avant minuit"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "The grade depends on it and the deadline is only hours away.",
+          "pt": "A nota depende disso e o prazo termina em poucas horas.",
+          "es": "La nota depende de ello y el plazo vence en pocas horas.",
+          "fr": "La note en dépend et l'échéance est dans quelques heures."
+        }
+      },
+      {
+        "id": "school-003",
+        "description": {
+          "en": "See the school nurse after getting hurt in PE",
+          "pt": "Ir à enfermaria depois de se machucar na educação física",
+          "es": "Ir a la enfermería del colegio tras hacerte daño en educación física",
+          "fr": "Aller à l'infirmerie après s'être blessé en EPS"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Your health comes first and an injury needs attention straight away.",
+          "pt": "Sua saúde vem em primeiro lugar e uma lesão precisa de atenção imediata.",
+          "es": "Tu salud es lo primero y una lesión necesita atención inmediata.",
+          "fr": "Votre santé passe avant tout et une blessure doit être soignée tout de suite."
+        }
+      },
+      {
+        "id": "school-004",
+        "description": {
+          "en": "Fix an enrollment problem before today's registration deadline",
+          "pt": "Resolver um problema de matrícula antes do prazo que termina hoje",
+          "es": "Resolver un problema de matrícula antes de que cierre hoy el plazo de inscripción",
+          "fr": "Régler un problème d'inscription avant la date limite d'aujourd'hui"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "Missing the deadline would have serious consequences for your studies.",
+          "pt": "Perder o prazo teria consequências sérias para os seus estudos.",
+          "es": "Perder el plazo tendría consecuencias graves para tus estudios.",
+          "fr": "Manquer la date limite aurait des conséquences graves pour vos études."
+        }
+      },
+      {
+        "id": "school-005",
+        "description": {
+          "en": "Review your class notes every week",
+          "pt": "Revisar as anotações das aulas toda semana",
+          "es": "Repasar tus apuntes de clase cada semana",
+          "fr": "Relire vos notes de cours chaque semaine"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Regular review builds real understanding and prevents last-minute cramming.",
+          "pt": "A revisão regular constrói compreensão de verdade e evita estudar tudo na última hora.",
+          "es": "Repasar con regularidad construye una comprensión real y evita los atracones de última hora.",
+          "fr": "Relire régulièrement construit une vraie compréhension et évite le bachotage de dernière minute."
+        }
+      },
+      {
+        "id": "school-006",
+        "description": {
+          "en": "Start a research project weeks before it is due",
+          "pt": "Começar um projeto de pesquisa semanas antes do prazo",
+          "es": "Empezar un proyecto de investigación semanas antes de la entrega",
+          "fr": "Commencer un projet de recherche des semaines avant l'échéance"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Starting early turns a future crisis into calm, steady progress.",
+          "pt": "Começar cedo transforma uma crise futura em progresso tranquilo e constante.",
+          "es": "Empezar pronto convierte una futura crisis en un avance tranquilo y constante.",
+          "fr": "Commencer tôt transforme une crise future en une progression calme et régulière."
+        },
+        "whyNot": {
+          "q1": {
+            "en": "The deadline is still weeks away, so it is not urgent yet.",
+            "pt": "O prazo ainda está a semanas de distância, então ainda não é urgente.",
+            "es": "La entrega aún está a semanas, así que todavía no es urgente.",
+            "fr": "L'échéance est encore dans plusieurs semaines, ce n'est donc pas urgent."
+          }
+        }
+      },
+      {
+        "id": "school-007",
+        "description": {
+          "en": "Get enough sleep and exercise",
+          "pt": "Dormir o suficiente e fazer exercícios",
+          "es": "Dormir lo suficiente y hacer ejercicio",
+          "fr": "Dormir suffisamment et faire de l'exercice"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Health is the foundation for learning, but it never shouts for attention.",
+          "pt": "A saúde é a base para aprender, mas nunca exige atenção aos gritos.",
+          "es": "La salud es la base del aprendizaje, pero nunca reclama atención a gritos.",
+          "fr": "La santé est la base de l'apprentissage, mais elle ne réclame jamais d'attention à grands cris."
+        }
+      },
+      {
+        "id": "school-008",
+        "description": {
+          "en": "Meet a tutor to understand a difficult topic",
+          "pt": "Encontrar um tutor para entender um tema difícil",
+          "es": "Quedar con un tutor para entender un tema difícil",
+          "fr": "Voir un tuteur pour comprendre un sujet difficile"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Closing gaps early prevents bigger problems before exams.",
+          "pt": "Resolver dificuldades cedo evita problemas maiores antes das provas.",
+          "es": "Cubrir lagunas pronto evita problemas mayores antes de los exámenes.",
+          "fr": "Combler les lacunes tôt évite de plus gros problèmes avant les examens."
+        }
+      },
+      {
+        "id": "school-009",
+        "description": {
+          "en": "Reply instantly to every group chat message",
+          "pt": "Responder na hora a todas as mensagens do grupo",
+          "es": "Contestar al instante cada mensaje del chat de grupo",
+          "fr": "Répondre instantanément à chaque message de la discussion de groupe"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "Chats feel urgent because they are live, but most messages can wait.",
+          "pt": "As conversas parecem urgentes porque acontecem ao vivo, mas a maioria das mensagens pode esperar.",
+          "es": "Los chats parecen urgentes porque son en directo, pero la mayoría de los mensajes pueden esperar.",
+          "fr": "Les discussions semblent urgentes parce qu'elles sont en direct, mais la plupart des messages peuvent attendre."
+        }
+      },
+      {
+        "id": "school-010",
+        "description": {
+          "en": "Help a friend with their homework before finishing your own",
+          "pt": "Ajudar um amigo com a lição dele antes de terminar a sua",
+          "es": "Ayudar a un amigo con sus deberes antes de terminar los tuyos",
+          "fr": "Aider un ami à faire ses devoirs avant de finir les vôtres"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "The request is pressing for your friend, but it pushes aside your own priorities.",
+          "pt": "O pedido é urgente para o seu amigo, mas deixa de lado as suas próprias prioridades.",
+          "es": "La petición es apremiante para tu amigo, pero desplaza tus propias prioridades.",
+          "fr": "La demande est pressante pour votre ami, mais elle repousse vos propres priorités."
+        },
+        "whyNot": {
+          "q2": {
+            "en": "Helping friends can be valuable; scheduling it after your own work keeps it that way.",
+            "pt": "Ajudar amigos pode ser valioso; fazer isso depois do seu trabalho mantém esse valor.",
+            "es": "Ayudar a los amigos puede ser valioso; hacerlo después de tu trabajo lo mantiene así.",
+            "fr": "Aider ses amis peut être précieux ; le faire après son propre travail permet que cela le reste."
+          }
+        }
+      },
+      {
+        "id": "school-011",
+        "description": {
+          "en": "Print handouts for a club meeting someone else forgot",
+          "pt": "Imprimir folhetos para uma reunião do clube que outra pessoa esqueceu",
+          "es": "Imprimir fotocopias para una reunión del club que otra persona olvidó",
+          "fr": "Imprimer des documents pour une réunion de club que quelqu'un d'autre a oubliés"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "Someone else's lack of planning creates urgency for you.",
+          "pt": "A falta de planejamento de outra pessoa cria urgência para você.",
+          "es": "La falta de planificación de otra persona te crea una urgencia a ti.",
+          "fr": "Le manque d'organisation de quelqu'un d'autre crée une urgence pour vous."
+        }
+      },
+      {
+        "id": "school-012",
+        "description": {
+          "en": "Answer a phone call during study time",
+          "pt": "Atender a uma ligação durante o horário de estudo",
+          "es": "Contestar una llamada durante el tiempo de estudio",
+          "fr": "Répondre à un appel pendant le temps d'étude"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "A ringing phone demands attention, but the call is rarely more important than your study plan.",
+          "pt": "Um telefone tocando exige atenção, mas a ligação raramente é mais importante que seu plano de estudo.",
+          "es": "Un teléfono que suena pide atención, pero la llamada rara vez es más importante que tu plan de estudio.",
+          "fr": "Un téléphone qui sonne réclame l'attention, mais l'appel est rarement plus important que votre programme de révision."
+        }
+      },
+      {
+        "id": "school-013",
+        "description": {
+          "en": "Watch videos instead of studying",
+          "pt": "Assistir vídeos em vez de estudar",
+          "es": "Ver vídeos en lugar de estudiar",
+          "fr": "Regarder des vidéos au lieu de réviser"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "It is neither urgent nor important, and it takes the place of real work.",
+          "pt": "Não é urgente nem importante e ocupa o lugar do trabalho de verdade.",
+          "es": "No es ni urgente ni importante, y ocupa el lugar del trabajo real.",
+          "fr": "Ce n'est ni urgent ni important, et cela prend la place du vrai travail."
+        }
+      },
+      {
+        "id": "school-014",
+        "description": {
+          "en": "Decorate your notes endlessly instead of learning them",
+          "pt": "Enfeitar as anotações sem parar em vez de aprendê-las",
+          "es": "Decorar tus apuntes sin fin en lugar de aprenderlos",
+          "fr": "Décorer ses notes sans fin au lieu de les apprendre"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Making notes pretty feels productive, but it does not help you learn.",
+          "pt": "Deixar as anotações bonitas parece produtivo, mas não ajuda você a aprender.",
+          "es": "Dejar los apuntes bonitos parece productivo, pero no te ayuda a aprender.",
+          "fr": "Embellir ses notes donne l'impression d'être productif, mais n'aide pas à apprendre."
+        }
+      },
+      {
+        "id": "school-015",
+        "description": {
+          "en": "Play mobile games late into the night",
+          "pt": "Jogar no celular até tarde da noite",
+          "es": "Jugar con el móvil hasta altas horas de la noche",
+          "fr": "Jouer sur son téléphone tard dans la nuit"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "It costs sleep, which is important, for something that is neither urgent nor important.",
+          "pt": "Custa horas de sono, que são importantes, em troca de algo que não é urgente nem importante.",
+          "es": "Cuesta horas de sueño, que son importantes, por algo que no es ni urgente ni importante.",
+          "fr": "Cela coûte du sommeil, qui est important, pour quelque chose qui n'est ni urgent ni important."
+        }
+      },
+      {
+        "id": "school-016",
+        "description": {
+          "en": "Scroll through classmates' social media posts",
+          "pt": "Ver as postagens dos colegas nas redes sociais",
+          "es": "Mirar las publicaciones de tus compañeros en redes sociales",
+          "fr": "Faire défiler les publications de ses camarades sur les réseaux sociaux"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "There is no deadline and no benefit; it is a pure time drain.",
+          "pt": "Não há prazo nem benefício; é pura perda de tempo.",
+          "es": "No hay plazo ni beneficio; es pura pérdida de tiempo.",
+          "fr": "Il n'y a ni échéance ni bénéfice ; c'est une pure perte de temps."
+        }
+      }
+    ]
+  },
+  "packs/leadership.json": {
+    "activities": [
+      {
+        "id": "leadership-001",
+        "description": {
+          "en": "Handle a key client who threatens to cancel their contract",
+          "pt": "Lidar com um cliente importante que ameaça cancelar o contrato",
+          "es": "Atender a un cliente clave que amenaza con cancelar su contrato",
+          "fr": "Gérer un client clé qui menace de résilier son contrat"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "The relationship and the revenue are at stake right now.",
+          "pt": "O relacionamento e a receita estão em jogo neste momento.",
+          "es": "La relación y los ingresos están en juego ahora mismo.",
+          "fr": "La relation et le chiffre d'affaires sont en jeu en ce moment."
+        }
+      },
+      {
+        "id": "leadership-002",
+        "description": {
+          "en": "Address a safety incident on your team",
+          "pt": "Tratar um incidente de segurança na sua equipe",
+          "es": "Atender un incidente de seguridad en tu equipo",
+          "fr": "Traiter un incident de sécurité dans votre équipe"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "People's wellbeing is at risk and the situation needs action immediately.",
+          "pt": "O bem-estar das pessoas está em risco e a situação exige ação imediata.",
+          "es": "El bienestar de las personas está en riesgo y la situación exige actuar de inmediato.",
+          "fr": "Le bien-être des personnes est menacé et la situation exige d'agir immédiatement."
+        }
+      },
+      {
+        "id": "leadership-003",
+        "description": {
+          "en": "Resolve a conflict that is blocking this week's launch",
+          "pt": "Resolver um conflito que está bloqueando o lançamento desta semana",
+          "es": "Resolver un conflicto que bloquea el lanzamiento de esta semana",
+          "fr": "Résoudre un conflit qui bloque le lancement de cette semaine"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "The launch depends on it and the deadline is days away.",
+          "pt": "O lançamento depende disso e o prazo está a poucos dias.",
+          "es": "El lanzamiento depende de ello y el plazo es en pocos días.",
+          "fr": "Le lancement en dépend et l'échéance est dans quelques jours."
+        }
+      },
+      {
+        "id": "leadership-004",
+        "description": {
+          "en": "Approve the budget before today's finance cutoff",
+          "pt": "Aprovar o orçamento antes do prazo do financeiro de hoje",
+          "es": "Aprobar el presupuesto antes del cierre financiero de hoy",
+          "fr": "Approuver le budget avant la clôture financière d'aujourd'hui"
+        },
+        "correctQuadrant": "q1",
+        "explanation": {
+          "en": "The team's resources depend on the budget and the cutoff is today.",
+          "pt": "Os recursos da equipe dependem do orçamento e o prazo é hoje.",
+          "es": "Los recursos del equipo dependen del presupuesto y el cierre es hoy.",
+          "fr": "Les ressources de l'équipe dépendent du budget et la clôture est aujourd'hui."
+        },
+        "whyNot": {
+          "q3": {
+            "en": "Only you can approve it and the consequences of missing it are real.",
+            "pt": "Só você pode aprovar e as consequências de perder o prazo são reais.",
+            "es": "Solo tú puedes aprobarlo y las consecuencias de no hacerlo son reales.",
+            "fr": "Vous seul pouvez l'approuver et les conséquences d'un oubli sont réelles."
+          }
+        }
+      },
+      {
+        "id": "leadership-005",
+        "description": {
+          "en": "Coach a high-potential employee",
+          "pt": "Fazer coaching com um funcionário de alto potencial",
+          "es": "Hacer coaching a un empleado de alto potencial",
+          "fr": "Accompagner un collaborateur à fort potentiel"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Growing future leaders is one of a leader's most important jobs, and it is never urgent.",
+          "pt": "Desenvolver futuros líderes é uma das tarefas mais importantes de um líder, e nunca é urgente.",
+          "es": "Formar a los futuros líderes es una de las tareas más importantes de un líder, y nunca es urgente.",
+          "fr": "Faire grandir les futurs leaders est l'une des missions les plus importantes d'un manager, et ce n'est jamais urgent."
+        }
+      },
+      {
+        "id": "leadership-006",
+        "description": {
+          "en": "Define the team's vision and values",
+          "pt": "Definir a visão e os valores da equipe",
+          "es": "Definir la visión y los valores del equipo",
+          "fr": "Définir la vision et les valeurs de l'équipe"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "A shared direction guides every decision, but nobody sets a deadline for it.",
+          "pt": "Uma direção compartilhada orienta todas as decisões, mas ninguém define um prazo para isso.",
+          "es": "Una dirección compartida guía cada decisión, pero nadie le pone fecha límite.",
+          "fr": "Une direction partagée guide chaque décision, mais personne ne fixe d'échéance pour cela."
+        }
+      },
+      {
+        "id": "leadership-007",
+        "description": {
+          "en": "Build a succession plan for key roles",
+          "pt": "Criar um plano de sucessão para funções-chave",
+          "es": "Elaborar un plan de sucesión para los puestos clave",
+          "fr": "Construire un plan de succession pour les postes clés"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "It protects the team from future crises long before they happen.",
+          "pt": "Protege a equipe de crises futuras muito antes que elas aconteçam.",
+          "es": "Protege al equipo de futuras crisis mucho antes de que ocurran.",
+          "fr": "Cela protège l'équipe de crises futures bien avant qu'elles n'arrivent."
+        },
+        "whyNot": {
+          "q1": {
+            "en": "It becomes Q1 only when someone leaves without a successor ready.",
+            "pt": "Só se torna Q1 quando alguém sai sem um sucessor preparado.",
+            "es": "Solo se vuelve Q1 cuando alguien se va sin un sucesor preparado.",
+            "fr": "Cela ne devient Q1 que lorsque quelqu'un part sans successeur prêt."
+          }
+        }
+      },
+      {
+        "id": "leadership-008",
+        "description": {
+          "en": "Hold regular one-on-ones with your direct reports",
+          "pt": "Fazer reuniões individuais regulares com seus liderados",
+          "es": "Mantener reuniones individuales periódicas con tus colaboradores directos",
+          "fr": "Tenir des entretiens individuels réguliers avec vos collaborateurs directs"
+        },
+        "correctQuadrant": "q2",
+        "explanation": {
+          "en": "Regular conversations build trust and surface problems early.",
+          "pt": "Conversas regulares constroem confiança e revelam problemas cedo.",
+          "es": "Las conversaciones periódicas generan confianza y sacan los problemas a la luz pronto.",
+          "fr": "Des échanges réguliers créent la confiance et font remonter les problèmes tôt."
+        }
+      },
+      {
+        "id": "leadership-009",
+        "description": {
+          "en": "Attend every meeting you are invited to",
+          "pt": "Participar de todas as reuniões para as quais você é convidado",
+          "es": "Asistir a todas las reuniones a las que te invitan",
+          "fr": "Assister à toutes les réunions auxquelles vous êtes invité"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "Invitations create urgency, but many meetings don't need the leader present.",
+          "pt": "Convites criam urgência, mas muitas reuniões não precisam da presença do líder.",
+          "es": "Las invitaciones crean urgencia, pero muchas reuniones no necesitan la presencia del líder.",
+          "fr": "Les invitations créent l'urgence, mais beaucoup de réunions n'ont pas besoin du manager."
+        }
+      },
+      {
+        "id": "leadership-010",
+        "description": {
+          "en": "Approve routine requests your team could decide themselves",
+          "pt": "Aprovar pedidos rotineiros que a equipe poderia decidir sozinha",
+          "es": "Aprobar solicitudes rutinarias que tu equipo podría decidir por sí mismo",
+          "fr": "Approuver des demandes courantes que votre équipe pourrait trancher seule"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "The requests wait on you, but they are not important enough to need you.",
+          "pt": "Os pedidos esperam por você, mas não são importantes a ponto de precisar de você.",
+          "es": "Las solicitudes esperan por ti, pero no son tan importantes como para necesitarte.",
+          "fr": "Les demandes vous attendent, mais elles ne sont pas assez importantes pour avoir besoin de vous."
+        },
+        "whyNot": {
+          "q1": {
+            "en": "Delegating these decisions would free your time for real leadership work.",
+            "pt": "Delegar essas decisões liberaria seu tempo para o verdadeiro trabalho de liderança.",
+            "es": "Delegar estas decisiones liberaría tu tiempo para el verdadero trabajo de liderazgo.",
+            "fr": "Déléguer ces décisions libérerait du temps pour le vrai travail de leadership."
+          }
+        }
+      },
+      {
+        "id": "leadership-011",
+        "description": {
+          "en": "Take a vendor's sales call right away",
+          "pt": "Atender imediatamente à ligação de vendas de um fornecedor",
+          "es": "Atender enseguida la llamada comercial de un proveedor",
+          "fr": "Prendre tout de suite l'appel commercial d'un fournisseur"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "The call is urgent only for the vendor; it could be scheduled or declined.",
+          "pt": "A ligação é urgente apenas para o fornecedor; poderia ser agendada ou recusada.",
+          "es": "La llamada solo es urgente para el proveedor; podría programarse o rechazarse.",
+          "fr": "L'appel n'est urgent que pour le fournisseur ; il pourrait être planifié ou refusé."
+        }
+      },
+      {
+        "id": "leadership-012",
+        "description": {
+          "en": "Compile a report that is requested urgently but rarely read",
+          "pt": "Compilar um relatório pedido com urgência, mas raramente lido",
+          "es": "Elaborar un informe que se pide con urgencia pero casi nadie lee",
+          "fr": "Compiler un rapport demandé en urgence mais rarement lu"
+        },
+        "correctQuadrant": "q3",
+        "explanation": {
+          "en": "The request is pressing, but the report changes no decisions.",
+          "pt": "O pedido é urgente, mas o relatório não muda nenhuma decisão.",
+          "es": "La petición es apremiante, pero el informe no cambia ninguna decisión.",
+          "fr": "La demande est pressante, mais le rapport ne change aucune décision."
+        }
+      },
+      {
+        "id": "leadership-013",
+        "description": {
+          "en": "Micromanage the formatting of team documents",
+          "pt": "Microgerenciar a formatação dos documentos da equipe",
+          "es": "Controlar al detalle el formato de los documentos del equipo",
+          "fr": "Contrôler dans le détail la mise en forme des documents de l'équipe"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "It feels like control, but it adds nothing and takes time from real leadership.",
+          "pt": "Parece controle, mas não acrescenta nada e tira tempo da verdadeira liderança.",
+          "es": "Da sensación de control, pero no aporta nada y quita tiempo al verdadero liderazgo.",
+          "fr": "Cela donne une impression de contrôle, mais n'apporte rien et prend du temps au vrai leadership."
+        },
+        "whyNot": {
+          "q3": {
+            "en": "Nobody is asking for it; the urge comes from habit, not from a deadline.",
+            "pt": "Ninguém está pedindo; a vontade vem do hábito, não de um prazo.",
+            "es": "Nadie lo pide; el impulso viene de la costumbre, no de un plazo.",
+            "fr": "Personne ne le demande ; l'envie vient de l'habitude, pas d'une échéance."
+          }
+        }
+      },
+      {
+        "id": "leadership-014",
+        "description": {
+          "en": "Read industry gossip sites for an hour",
+          "pt": "Ler sites de fofocas do setor por uma hora",
+          "es": "Leer webs de cotilleos del sector durante una hora",
+          "fr": "Lire des sites de potins du secteur pendant une heure"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Gossip is not real insight and has no deadline attached.",
+          "pt": "Fofoca não é conhecimento de verdade e não tem prazo associado.",
+          "es": "Los cotilleos no son conocimiento real y no tienen ningún plazo.",
+          "fr": "Les potins ne sont pas un vrai savoir et n'ont aucune échéance."
+        }
+      },
+      {
+        "id": "leadership-015",
+        "description": {
+          "en": "Rewrite your email signature again",
+          "pt": "Reescrever sua assinatura de e-mail mais uma vez",
+          "es": "Rehacer otra vez tu firma de correo",
+          "fr": "Refaire encore une fois sa signature d'e-mail"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Trivial busywork that is neither urgent nor important.",
+          "pt": "Trabalho trivial que não é urgente nem importante.",
+          "es": "Trabajo trivial que no es ni urgente ni importante.",
+          "fr": "Une occupation futile, ni urgente ni importante."
+        }
+      },
+      {
+        "id": "leadership-016",
+        "description": {
+          "en": "Sit in on a webinar unrelated to your goals out of habit",
+          "pt": "Assistir por hábito a um webinar sem relação com seus objetivos",
+          "es": "Asistir por costumbre a un webinar que no tiene que ver con tus objetivos",
+          "fr": "Suivre par habitude un webinaire sans rapport avec vos objectifs"
+        },
+        "correctQuadrant": "q4",
+        "explanation": {
+          "en": "Learning is Q2 only when it serves your goals; this is a habit that fills time.",
+          "pt": "Aprender só é Q2 quando serve aos seus objetivos; isto é um hábito que ocupa tempo.",
+          "es": "Aprender es Q2 solo cuando sirve a tus objetivos; esto es una costumbre que llena el tiempo.",
+          "fr": "Apprendre ne relève de Q2 que si cela sert vos objectifs ; ici, c'est une habitude qui remplit le temps."
+        }
+      }
+    ]
+  }
+};
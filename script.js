@@ -3,7 +3,7 @@
  * JavaScript Logic
  *
  * This script handles:
- * - Loading activities from data.json
+ * - Loading activity packs listed in packs.json (see loadContentFile)
  * - Game state management
  * - User interactions
  * - Score tracking
@@ -14,10 +14,189 @@
 let activities = []; // All activities from JSON
 let shuffledActivities = []; // Randomized order of activities
 let currentActivityIndex = 0; // Current position in shuffled array
-let score = 0; // User's correct answers
+let score = 0; // User's points, including any speed bonus
+let correctCount = 0; // Activities answered correctly in the current round
 let totalActivities = 0; // Total number of activities
 let currentLanguage = "en"; // Current language setting
 let translations = {}; // Loaded translations
+let answerLog = []; // Answers given in the current round
+let isReviewRound = false; // Whether the current round replays the mistakes of the previous one
+let roundStartedAt = 0; // When the current round started (ms since epoch)
+let roundFinishedAt = 0; // When the current round ended (ms since epoch)
+let contentProblems = []; // Problems found while validating loaded content
+let packManifest = []; // Activity packs listed in packs.json
+let customPacks = []; // Packs imported by the player, kept in localStorage
+let pendingImport = null; // Parsed file waiting for the player to confirm the import
+let editorPack = null; // Pack being edited in the pack editor
+let editorDirty = false; // Whether the pack editor has unsaved changes
+let selectedPackId = "home"; // Pack chosen in the pack picker
+let mixedPackIds = []; // Packs drawn from when the mixed pack is chosen
+let activePackIds = []; // Packs the current game's activities come from
+let facilitatorResults = []; // Result files loaded in the facilitator view
+let facilitatorActivities = {}; // Activities of every pack by id, for the facilitator view
+let roundSettings = {
+  mode: "classic",
+  length: "all",
+  balanced: false,
+  seed: "",
+  waitForNext: false,
+}; // Options for the next round
+
+// Pseudo pack id for drawing activities from several packs
+const MIXED_PACK_ID = "mixed";
+
+// Language every text falls back to; lang.json and every activity must have it
+const FALLBACK_LANGUAGE = "en";
+
+// Valid quadrant codes for an activity's correctQuadrant
+const QUADRANTS = ["q1", "q2", "q3", "q4"];
+
+// Where each quadrant sits on the importance and urgency axes
+const QUADRANT_AXES = {
+  q1: { important: true, urgent: true },
+  q2: { important: true, urgent: false },
+  q3: { important: false, urgent: true },
+  q4: { important: false, urgent: false },
+};
+
+// Round lengths offered in the round settings ("all" plays every activity)
+const ROUND_LENGTHS = [10, 20, "all"];
+
+// Game modes offered in the round settings, with their translation keys
+const GAME_MODES = {
+  CLASSIC: "classic",
+  TIMED: "timed",
+  TWO_AXIS: "two-axis",
+  BOARD: "board",
+  PRACTICE: "practice",
+  HOT_SEAT: "hot-seat",
+  BUZZER: "buzzer",
+};
+
+const GAME_MODE_LABELS = {
+  [GAME_MODES.CLASSIC]: "modeClassic",
+  [GAME_MODES.TIMED]: "modeTimed",
+  [GAME_MODES.TWO_AXIS]: "modeTwoAxis",
+  [GAME_MODES.BOARD]: "modeBoard",
+  [GAME_MODES.PRACTICE]: "modePractice",
+  [GAME_MODES.HOT_SEAT]: "modeHotSeat",
+  [GAME_MODES.BUZZER]: "modeBuzzer",
+};
+
+// Hot-seat mode: number of players taking turns on the same device
+const HOT_SEAT_MIN_PLAYERS = 2;
+const HOT_SEAT_MAX_PLAYERS = 6;
+
+// Keys that answer each quadrant outside buzzer mode
+const NUMBER_KEY_BINDINGS = {
+  1: { quadrant: "q1", team: null },
+  2: { quadrant: "q2", team: null },
+  3: { quadrant: "q3", team: null },
+  4: { quadrant: "q4", team: null },
+};
+
+// Buzzer mode: default keys of each team (Q1-Q4 in order), and the points won
+// or lost by the team that answers first. Losing points for a wrong answer
+// makes guessing a losing bet.
+const BUZZER_TEAM_KEYS = ["qwer", "uiop", "zxcv", "hjkl"];
+const BUZZER_MIN_TEAMS = 2;
+const BUZZER_POINTS = { correct: 2, wrong: -1 };
+
+// Practice mode: days until an activity comes back, by mastery box (Leitner
+// system). A correct answer moves the activity up a box, a miss back to box 0.
+const PRACTICE_INTERVALS = [0, 1, 3, 7, 14, 30];
+const PRACTICE_MASTERED_BOX = 3; // Box from which an activity counts as mastered
+const DAY = 24 * 60 * 60 * 1000;
+
+// Timed mode: time allowed per activity (ms) and the bonus for fast answers
+const TIMED_QUESTION_LIMIT = 10000;
+const SPEED_BONUS_STEPS = [
+  { within: 3000, points: 2 },
+  { within: 6000, points: 1 },
+];
+
+// Game states and the transitions allowed between them
+const GAME_STATES = {
+  LOADING: "loading", // Activities are being loaded or a round is being set up
+  SETUP: "setup", // The pack picker is shown
+  AWAITING_ANSWER: "awaiting-answer", // An activity is shown and input is accepted
+  SHOWING_FEEDBACK: "showing-feedback", // An answer was given; waiting to advance
+  FINISHED: "finished", // The results screen is shown
+  PAUSED: "paused", // The help modal is open; input and timers are suspended
+};
+
+const GAME_STATE_TRANSITIONS = {
+  [GAME_STATES.LOADING]: [
+    GAME_STATES.SETUP,
+    GAME_STATES.AWAITING_ANSWER,
+    GAME_STATES.FINISHED,
+    GAME_STATES.PAUSED,
+  ],
+  [GAME_STATES.AWAITING_ANSWER]: [
+    GAME_STATES.SHOWING_FEEDBACK,
+    GAME_STATES.LOADING,
+    GAME_STATES.PAUSED,
+  ],
+  [GAME_STATES.SHOWING_FEEDBACK]: [
+    GAME_STATES.AWAITING_ANSWER,
+    GAME_STATES.FINISHED,
+    GAME_STATES.LOADING,
+    GAME_STATES.PAUSED,
+  ],
+  [GAME_STATES.SETUP]: [GAME_STATES.LOADING, GAME_STATES.PAUSED],
+  [GAME_STATES.FINISHED]: [
+    GAME_STATES.LOADING,
+    GAME_STATES.SETUP,
+    GAME_STATES.PAUSED,
+  ],
+  [GAME_STATES.PAUSED]: [], // Left only through resumeGame
+};
+
+let gameState = GAME_STATES.LOADING; // Current game state
+let pausedState = null; // State to return to when the game is resumed
+let advanceTimer = null; // Pending timer that moves on to the next activity
+let advanceDueAt = 0; // Time (ms since epoch) the pending advance fires
+let advanceRemaining = null; // Time left on the advance timer when paused, null if none was pending
+let questionStartedAt = 0; // When the clock of the current activity last started running
+let questionElapsed = 0; // Time spent on the current activity before the clock last stopped
+let countdownTimer = null; // Interval updating the timed mode countdown
+let axisAnswers = { important: null, urgent: null }; // Two-axis mode answers for the current activity
+let lastFeedback = null; // Answer, speed bonus and team of the feedback on screen, to show it again in another language
+let cardDrag = null; // Pointer drag of a card in progress
+let boardPlacements = []; // Sort-the-board mode: quadrant (or null) of each activity in the round
+let selectedBoardCard = null; // Sort-the-board mode: index of the card picked for keyboard placement
+let boardChecked = false; // Sort-the-board mode: whether the board has been checked
+let hotSeatPlayers = []; // Hot-seat mode: name, score and answers of each player
+let hotSeatTurns = []; // Hot-seat mode: index of the player answering each activity
+let suddenDeathFrom = null; // Hot-seat mode: index of the first sudden-death activity, if any
+let buzzerTeams = []; // Buzzer mode: name, keys, score and answers of each team
+let progressCount = 0; // Activities answered (or cards placed) shown in the progress counter
+let helpReturnFocusEl = null; // Element that had focus before the help modal opened
+
+// Number of finished rounds kept in the session history
+const HISTORY_LIMIT = 200;
+
+// Version of the saved game format (see saveGame); bump it when the format
+// changes and add a migration for the version before
+const SAVED_GAME_VERSION = 1;
+
+// Upgrades of an older saved game to the next version, keyed by the version
+// they upgrade from
+const SAVED_GAME_MIGRATIONS = {};
+
+// Distance (px) the pointer must move before pressing the card starts a drag
+const DRAG_THRESHOLD = 8;
+
+// Feedback timing (ms) before moving on to the next activity
+const FEEDBACK_DELAY = 1500;
+const EXPLANATION_FEEDBACK_DELAY = 4000; // Longer pause so explanations can be read
+
+// Pause (ms) between clearing and filling the announcer, so screen readers
+// notice the change
+const ANNOUNCE_DELAY = 100;
+
+// Quadrant buttons per row of the matrix, for arrow key navigation
+const MATRIX_COLUMNS = 2;
 
 // DOM elements
 const currentActivityEl = document.getElementById("current-activity");
@@ -25,1168 +204,5859 @@ const scoreEl = document.getElementById("score");
 const progressEl = document.getElementById("progress");
 const feedbackEl = document.getElementById("feedback");
 const languageSelectEl = document.getElementById("language-select");
+const contentProblemsEl = document.getElementById("content-problems");
+const countdownEl = document.getElementById("countdown");
 
 /**
  * Initialize the game when the page loads
  */
 document.addEventListener("DOMContentLoaded", function () {
+  updateInputAvailability();
+  setupPackImport();
+  setupFacilitatorImport();
+  setupCardDragging();
+  setupQuadrantFocus();
+  setupHelpModal();
   loadTranslations();
 });
 
 /**
- * Load translations from lang.json file
- * Uses fetch API to load the translation data with fallback for file:// protocol
+ * Load translations from lang.json
+ * Uses loadContentFile, so the bundled copy is used when fetch isn't available
  */
 async function loadTranslations() {
   try {
-    // Try to fetch the translation file
-    const response = await fetch("lang.json");
+    const data = await loadContentFile("lang.json");
 
-    // Check if the fetch was successful
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    // Validate that we have translations
-    if (!data || !data.en || !data.pt) {
+    // Validate that we have translations, at least for the fallback language
+    if (!data || typeof data[FALLBACK_LANGUAGE] !== "object") {
       throw new Error("Invalid translation file format");
     }
 
-    // Store translations
-    translations = data;
-
-    // Set initial language from localStorage or default to 'en'
-    const savedLanguage = localStorage.getItem("timeMatrixLanguage");
-    if (savedLanguage && translations[savedLanguage]) {
-      currentLanguage = savedLanguage;
-    } else {
-      currentLanguage = "en";
-      localStorage.setItem("timeMatrixLanguage", "en");
-    }
-
-    // Update language selector
-    if (languageSelectEl) {
-      languageSelectEl.value = currentLanguage;
-    }
-
-    // Apply translations to the UI
-    applyTranslations();
+    // Check every language against English and fill any gaps along its locale chain
+    const result = validateTranslations(data);
+    reportContentProblems("lang.json", result.problems);
 
-    // Load activities after translations are ready
-    loadActivities();
+    // Store translations
+    translations = result.translations;
   } catch (error) {
     console.error("Error loading translations:", error);
 
-    // Fallback: Use embedded translations if fetch fails
-    if (
-      error.message.includes("Failed to fetch") ||
-      error.message.includes("CORS")
-    ) {
-      console.log(
-        "Using fallback embedded translations due to fetch restrictions",
-      );
-      useEmbeddedTranslations();
-    } else {
-      // If translations fail completely, still load the game with default English
-      translations = getEmbeddedTranslations();
-      applyTranslations();
-      loadActivities();
-    }
+    // Without any texts there is nothing sensible to show
+    currentActivityEl.innerHTML = `
+            <div style="color: red; font-weight: bold;">
+                The game content could not be loaded (${escapeHtml(error.message)}).
+            </div>
+        `;
+    return;
   }
+
+  // Use the language the player chose before, or else the first of the
+  // browser's preferred languages the game has
+  const savedLanguage = localStorage.getItem("timeMatrixLanguage");
+  const preferredLanguages = navigator.languages || [navigator.language];
+  currentLanguage = pickLanguage(
+    savedLanguage ? [savedLanguage] : preferredLanguages,
+  );
+
+  // Apply translations to the UI
+  applyTranslations();
+
+  // Load the activity packs after translations are ready
+  loadPackManifest();
 }
 
 /**
- * Fallback function to use embedded translations when fetch fails
+ * Get the languages to look a text up in, most specific first
+ * e.g. 'pt-BR' gives ['pt-BR', 'pt', 'en']
+ * @param {string} language - A language tag
+ * @returns {Array<string>} The language, its parents and the fallback language
  */
-function useEmbeddedTranslations() {
-  translations = getEmbeddedTranslations();
-  applyTranslations();
-  loadActivities();
+function getLocaleChain(language) {
+  const parts = language.split("-");
+  const chain = parts.map((part, index) =>
+    parts.slice(0, parts.length - index).join("-"),
+  );
+
+  if (!chain.includes(FALLBACK_LANGUAGE)) {
+    chain.push(FALLBACK_LANGUAGE);
+  }
+
+  return chain;
 }
 
 /**
- * Get embedded translations as fallback
+ * Pick the first available language for a list of wanted ones
+ * A wanted language that isn't available is matched through its locale chain,
+ * so 'pt-BR' picks 'pt' when there is no 'pt-BR'.
+ * @param {Array<string>} wanted - Language tags, most wanted first
+ * @returns {string} An available language
  */
-function getEmbeddedTranslations() {
-  return {
-    en: {
-      title: "FranklinCovey Time Matrix Game",
-      instructions:
-        "Classify each activity into the correct quadrant of the Time Matrix: <strong>Q1 (Important & Urgent)</strong>, <strong>Q2 (Important & Not Urgent)</strong>, <strong>Q3 (Not Important & Urgent)</strong>, or <strong>Q4 (Not Important & Not Urgent)</strong>.",
-      scoreLabel: "Score:",
-      activitiesLabel: "Activities:",
-      currentActivityTitle: "Current Activity",
-      timeMatrixTitle: "Time Matrix Quadrants",
-      helpButton: "Help",
-      helpModalTitle: "Game Rules & Instructions",
-      howToPlay: "How to Play",
-      howToPlayStep1:
-        "Read the Activity: An activity description will appear above the Time Matrix.",
-      howToPlayStep2:
-        "Classify the Activity: Click on the quadrant (Q1, Q2, Q3, or Q4) where you think this activity belongs.",
-      howToPlayStep3:
-        "Get Feedback: You'll see immediate feedback - green for correct, red for incorrect.",
-      howToPlayStep4:
-        "Learn: If incorrect, you'll see which quadrant was correct with an explanation.",
-      howToPlayStep5:
-        "Continue: The next activity will appear automatically after a short delay.",
-      quadrantGuide: "The Four Quadrants",
-      q1Title: "Q1: Important & Urgent",
-      q1Examples: "Examples: Crises, deadlines, emergencies, urgent problems",
-      q1Strategy:
-        "Strategy: Handle immediately, but try to reduce these through better planning",
-      q2Title: "Q2: Important & Not Urgent",
-      q2Examples:
-        "Examples: Planning, prevention, values, relationship building",
-      q2Strategy:
-        "Strategy: Schedule time for these - they're key to long-term success",
-      q3Title: "Q3: Not Important & Urgent",
-      q3Examples: "Examples: Some calls, meetings, interruptions, some emails",
-      q3Strategy:
-        "Strategy: Delegate or minimize - they feel urgent but aren't truly important",
-      q4Title: "Q4: Not Important & Not Urgent",
-      q4Examples:
-        "Examples: Time wasters, excessive entertainment, trivial busywork",
-      q4Strategy:
-        "Strategy: Eliminate or minimize - these are pure time drains",
-      scoringTitle: "Scoring",
-      scoringCorrect: "+1 point for each correct classification",
-      scoringIncorrect: "0 points for incorrect answers (no penalty)",
-      scoringProgress: "See your progress and final accuracy percentage",
-      learningGoals: "Learning Goals",
-      learningGoal1: "Identify what's truly important vs. just urgent",
-      learningGoal2: "Recognize time-wasting activities",
-      learningGoal3: "Focus energy on Q2 activities for long-term success",
-      learningGoal4: "Reduce time spent in Q1 through better planning",
-      proTip: "Pro Tip:",
-      proTipText:
-        "The goal isn't just to win the game, but to learn how to apply these principles to your real life. Ask yourself: 'Which quadrant does this activity in my life belong to?'",
-      gameComplete: "Game Complete!",
-      finalScore: "Final Score:",
-      accuracy: "Accuracy:",
-      playAgain: "Play Again",
-      correctFeedback: "✅ Correct! Well done!",
-      incorrectFeedback: "❌ Incorrect. This activity belongs in",
-      languageLabel: "Language:",
-      english: "English",
-      portuguese: "Português",
-    },
-    pt: {
-      title: "Jogo da Matriz de Tempo FranklinCovey",
-      instructions:
-        "Classifique cada atividade no quadrante correto da Matriz de Tempo: <strong>Q1 (Importante & Urgente)</strong>, <strong>Q2 (Importante & Não Urgente)</strong>, <strong>Q3 (Não Importante & Urgente)</strong>, ou <strong>Q4 (Não Importante & Não Urgente)</strong>.",
-      scoreLabel: "Pontuação:",
-      activitiesLabel: "Atividades:",
-      currentActivityTitle: "Atividade Atual",
-      timeMatrixTitle: "Quadrantes da Matriz de Tempo",
-      helpButton: "Ajuda",
-      helpModalTitle: "Regras do Jogo & Instruções",
-      howToPlay: "Como Jogar",
-      howToPlayStep1:
-        "Leia a Atividade: Uma descrição de atividade aparecerá acima da Matriz de Tempo.",
-      howToPlayStep2:
-        "Classifique a Atividade: Clique no quadrante (Q1, Q2, Q3 ou Q4) onde você acha que essa atividade pertence.",
-      howToPlayStep3:
-        "Receba Feedback: Você verá feedback imediato - verde para correto, vermelho para incorreto.",
-      howToPlayStep4:
-        "Aprenda: Se estiver incorreto, você verá qual quadrante estava correto com uma explicação.",
-      howToPlayStep5:
-        "Continue: A próxima atividade aparecerá automaticamente após um curto intervalo.",
-      quadrantGuide: "Os Quatro Quadrantes",
-      q1Title: "Q1: Importante & Urgente",
-      q1Examples: "Exemplos: Crises, prazos, emergências, problemas urgentes",
-      q1Strategy:
-        "Estratégia: Lidar imediatamente, mas tentar reduzir isso através de melhor planejamento",
-      q2Title: "Q2: Importante & Não Urgente",
-      q2Examples:
-        "Exemplos: Planejamento, prevenção, valores, construção de relacionamentos",
-      q2Strategy:
-        "Estratégia: Agendar tempo para isso - são fundamentais para o sucesso a longo prazo",
-      q3Title: "Q3: Não Importante & Urgente",
-      q3Examples:
-        "Exemplos: Algumas chamadas, reuniões, interrupções, alguns e-mails",
-      q3Strategy:
-        "Estratégia: Delegar ou minimizar - parecem urgentes mas não são realmente importantes",
-      q4Title: "Q4: Não Importante & Não Urgente",
-      q4Examples:
-        "Exemplos: Perda de tempo, entretenimento excessivo, trabalho trivial",
-      q4Strategy:
-        "Estratégia: Eliminar ou minimizar - são puro desperdício de tempo",
-      scoringTitle: "Pontuação",
-      scoringCorrect: "+1 ponto para cada classificação correta",
-      scoringIncorrect: "0 pontos para respostas incorretas (sem penalidade)",
-      scoringProgress: "Veja seu progresso e percentual de acerto final",
-      learningGoals: "Objetivos de Aprendizagem",
-      learningGoal1:
-        "Identificar o que é realmente importante versus apenas urgente",
-      learningGoal2: "Reconhecer atividades que desperdiçam tempo",
-      learningGoal3:
-        "Focar energia nas atividades Q2 para sucesso a longo prazo",
-      learningGoal4: "Reduzir tempo gasto no Q1 através de melhor planejamento",
-      proTip: "Dica Profissional:",
-      proTipText:
-        "O objetivo não é apenas vencer o jogo, mas aprender a aplicar esses princípios à sua vida real. Pergunte-se: 'Em qual quadrante essa atividade da minha vida pertence?'",
-      gameComplete: "Jogo Completo!",
-      finalScore: "Pontuação Final:",
-      accuracy: "Precisão:",
-      playAgain: "Jogar Novamente",
-      correctFeedback: "✅ Correto! Muito bem!",
-      incorrectFeedback: "❌ Incorreto. Esta atividade pertence ao",
-      languageLabel: "Idioma:",
-      english: "Inglês",
-      portuguese: "Português",
-    },
-  };
+function pickLanguage(wanted) {
+  for (const language of wanted.filter(Boolean)) {
+    // Every chain ends in the fallback language; only settle for it when it
+    // was asked for, so a later wanted language gets its chance
+    const chain = getLocaleChain(language);
+    const candidates =
+      language.split("-")[0] === FALLBACK_LANGUAGE ? chain : chain.slice(0, -1);
+    const available = candidates.find((candidate) => translations[candidate]);
+
+    if (available) return available;
+  }
+
+  return FALLBACK_LANGUAGE;
 }
 
 /**
- * Load activities from data.json file
- * Uses fetch API to load the JSON data with fallback for file:// protocol
+ * Load one of the game's JSON content files
+ *
+ * Each source is tried in turn: the file itself through fetch, then the copy
+ * bundled in content.js. The bundle is generated from the same JSON files by
+ * scripts/build-content.js and is what makes file:// mode work, where
+ * browsers block fetch.
+ *
+ * @param {string} path - Path of the file, relative to index.html
+ * @returns {Promise<Object>} The parsed file
  */
-async function loadActivities() {
+async function loadContentFile(path) {
   try {
-    // Try to fetch the JSON file
-    const response = await fetch("data.json");
+    const response = await fetch(path);
 
     // Check if the fetch was successful
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
 
-    const data = await response.json();
+    return await response.json();
+  } catch (error) {
+    const bundle = window.TIME_MATRIX_CONTENT || {};
 
-    // Validate that we have activities
-    if (
-      !data.activities ||
-      !Array.isArray(data.activities) ||
-      data.activities.length === 0
-    ) {
-      throw new Error("No activities found in data.json");
+    if (!bundle[path]) {
+      throw error;
     }
 
-    // Store all activities
-    activities = data.activities;
-    totalActivities = activities.length;
+    console.log(`Using the bundled copy of ${path} (${error.message})`);
+
+    // Hand out a copy so callers can't change the bundle itself
+    return JSON.parse(JSON.stringify(bundle[path]));
+  }
+}
 
-    // Randomize the order of activities
-    shuffledActivities = shuffleArray([...activities]);
+/**
+ * Load the list of activity packs from packs.json
+ */
+async function loadPackManifest() {
+  try {
+    const data = await loadContentFile("packs.json");
 
-    // Update progress display
-    progressEl.textContent = `0 / ${totalActivities}`;
+    // Validate the manifest and keep the usable packs
+    const result = validatePackManifest(data);
+    reportContentProblems("packs.json", result.problems);
 
-    // Start the game
-    startGame();
+    packManifest = result.packs;
   } catch (error) {
-    console.error("Error loading activities:", error);
+    console.error("Error loading pack manifest:", error);
+    reportContentProblems("packs.json", [
+      createProblem(null, "", `could not be loaded: ${error.message}`),
+    ]);
 
-    // Fallback: Use embedded data if fetch fails (common with file:// protocol)
-    if (
-      error.message.includes("Failed to fetch") ||
-      error.message.includes("CORS")
-    ) {
-      console.log("Using fallback embedded data due to fetch restrictions");
-      useEmbeddedData();
-    } else {
-      currentActivityEl.innerHTML = `
-                <div style="color: red; font-weight: bold;">
-                    Error loading activities: ${error.message}<br>
-                    Please check that data.json exists and contains valid activity data.
-                </div>
-            `;
-    }
+    // Imported packs can still be played
+    packManifest = [];
   }
+
+  // Add the packs the player imported earlier
+  customPacks = loadCustomPacks();
+
+  // Pre-select the last pack and round settings and let the player choose
+  restorePackSelection();
+  restoreRoundSettings();
+  showPackPicker();
 }
 
 /**
- * Fallback function to use embedded data when fetch fails
- * This happens when opening HTML files directly in browsers with CORS restrictions
+ * Validate the pack manifest
+ * Each pack needs a unique id, an activity file and a localized title.
+ * @param {Object} data - The parsed manifest ({ packs: [...] })
+ * @returns {{packs: Array, problems: Array}} Valid packs and the problems found
  */
-function useEmbeddedData() {
-  // Embedded data as fallback with bilingual support
-  const embeddedData = {
-    activities: [
-      {
-        description: {
-          en: "Clean up after a water leak or spill",
-          pt: "Limpar após um vazamento de água ou derramamento",
-        },
-        correctQuadrant: "q1",
-      },
-      {
-        description: {
-          en: "Cook dinner because the family needs to eat now",
-          pt: "Cozinhar o jantar porque a família precisa comer agora",
-        },
-        correctQuadrant: "q1",
-      },
-      {
-        description: {
-          en: "Wash dishes when there are none left for the next meal",
-          pt: "Lavar a louça quando não há mais para a próxima refeição",
-        },
-        correctQuadrant: "q1",
-      },
-      {
-        description: {
-          en: "Emergency grocery run due to no food at home",
-          pt: "Compra de emergência de mantimentos por falta de comida em casa",
-        },
-        correctQuadrant: "q1",
-      },
-      {
-        description: {
-          en: "Fix a broken appliance essential for daily life",
-          pt: "Consertar um eletrodoméstico quebrado essencial para o dia a dia",
-        },
-        correctQuadrant: "q1",
-      },
-      {
-        description: {
-          en: "Take out overflowing trash",
-          pt: "Colocar o lixo transbordando para fora",
-        },
-        correctQuadrant: "q1",
-      },
-      {
-        description: {
-          en: "Handle a sudden pest problem",
-          pt: "Resolver um problema súbito de pragas",
-        },
-        correctQuadrant: "q1",
-      },
-      {
-        description: {
-          en: "Weekly meal planning",
-          pt: "Planejamento semanal de refeições",
-        },
-        correctQuadrant: "q2",
-      },
-      {
-        description: {
-          en: "Regular house cleaning schedule",
-          pt: "Agenda regular de limpeza da casa",
-        },
-        correctQuadrant: "q2",
-      },
-      {
-        description: {
-          en: "Organizing cupboards and storage areas",
-          pt: "Organizar armários e áreas de armazenamento",
-        },
-        correctQuadrant: "q2",
-      },
-      {
-        description: {
-          en: "Preventive home maintenance",
-          pt: "Manutenção preventiva da casa",
-        },
-        correctQuadrant: "q2",
-      },
-      {
-        description: {
-          en: "Batch cooking meals for the week",
-          pt: "Cozinhar refeições em lote para a semana",
-        },
-        correctQuadrant: "q2",
-      },
-      {
-        description: {
-          en: "Decluttering unused items",
-          pt: "Desfazer-se de itens não utilizados",
-        },
-        correctQuadrant: "q2",
-      },
-      {
-        description: {
-          en: "Creating a household budget",
-          pt: "Criar um orçamento doméstico",
-        },
-        correctQuadrant: "q2",
-      },
-      {
-        description: {
-          en: "Teaching children household routines",
-          pt: "Ensinar às crianças rotinas domésticas",
-        },
-        correctQuadrant: "q2",
-      },
-      {
-        description: {
-          en: "Deep cleaning bathrooms and kitchen appliances",
-          pt: "Limpeza profunda de banheiros e eletrodomésticos",
-        },
-        correctQuadrant: "q2",
-      },
-      {
-        description: {
-          en: "Cleaning the house suddenly because guests might arrive",
-          pt: "Limpar a casa de repente porque os convidados podem chegar",
-        },
-        correctQuadrant: "q3",
-      },
-      {
-        description: {
-          en: "Re-cleaning already clean areas unnecessarily",
-          pt: "Re-limpar áreas já limpas desnecessariamente",
-        },
-        correctQuadrant: "q3",
-      },
-      {
-        description: {
-          en: "Cooking an elaborate meal due to social pressure",
-          pt: "Cozinhar uma refeição elaborada por pressão social",
-        },
-        correctQuadrant: "q3",
-      },
-      {
-        description: {
-          en: "Responding immediately to non-essential household messages",
-          pt: "Responder imediatamente a mensagens domésticas não essenciais",
-        },
-        correctQuadrant: "q3",
-      },
-      {
-        description: {
-          en: "Impulsively rearranging furniture",
-          pt: "Reorganizar impulsivamente os móveis",
-        },
-        correctQuadrant: "q3",
-      },
-      {
-        description: {
-          en: "Running errands that feel urgent but could wait",
-          pt: "Fazer recados que parecem urgentes mas podem esperar",
-        },
-        correctQuadrant: "q3",
-      },
-      {
-        description: {
-          en: "Excessive TV watching instead of doing chores",
-          pt: "Assistir TV em excesso em vez de fazer tarefas",
-        },
-        correctQuadrant: "q4",
-      },
-      {
-        description: {
-          en: "Endless scrolling on the phone",
-          pt: "Rolagem interminável no telefone",
-        },
-        correctQuadrant: "q4",
-      },
-      {
-        description: {
-          en: "Re-organizing the same drawer repeatedly",
-          pt: "Re-organizar a mesma gaveta repetidamente",
-        },
-        correctQuadrant: "q4",
-      },
-      {
-        description: {
-          en: "Playing games while chores pile up",
-          pt: "Jogar videogames enquanto as tarefas se acumulam",
-        },
-        correctQuadrant: "q4",
-      },
-      {
-        description: {
-          en: "Researching cleaning methods instead of cleaning",
-          pt: "Pesquisar métodos de limpeza em vez de limpar",
-        },
-        correctQuadrant: "q4",
-      },
-      {
-        description: {
-          en: "Over-shopping for unnecessary household items",
-          pt: "Comprar demais itens domésticos desnecessários",
-        },
-        correctQuadrant: "q4",
-      },
-    ],
-  };
+function validatePackManifest(data) {
+  const problems = [];
+  const packs = [];
 
-  // Use the embedded data
-  activities = embeddedData.activities;
-  totalActivities = activities.length;
+  if (!data || !Array.isArray(data.packs)) {
+    problems.push(createProblem(null, "packs", "must be an array of packs"));
+    return { packs, problems };
+  }
 
-  // Randomize the order of activities
-  shuffledActivities = shuffleArray([...activities]);
+  data.packs.forEach((pack, index) => {
+    const packProblems = [];
 
-  // Update progress display
-  progressEl.textContent = `0 / ${totalActivities}`;
+    if (typeof pack !== "object" || pack === null) {
+      packProblems.push(createProblem(index, "", "must be an object"));
+    } else {
+      if (typeof pack.id !== "string" || pack.id.trim() === "") {
+        packProblems.push(createProblem(index, "id", "is required"));
+      } else if (pack.id === MIXED_PACK_ID) {
+        packProblems.push(
+          createProblem(index, "id", `"${MIXED_PACK_ID}" is reserved`),
+        );
+      } else if (packs.some((other) => other.id === pack.id)) {
+        packProblems.push(
+          createProblem(index, "id", `duplicates pack "${pack.id}"`),
+        );
+      }
+
+      if (typeof pack.file !== "string" || pack.file.trim() === "") {
+        packProblems.push(createProblem(index, "file", "is required"));
+      }
+
+      packProblems.push(
+        ...validateLocalizedText(pack.title, index, "title", true),
+      );
 
-  // Start the game
-  startGame();
+      if (pack.description !== undefined) {
+        packProblems.push(
+          ...validateLocalizedText(
+            pack.description,
+            index,
+            "description",
+            false,
+          ),
+        );
+      }
+    }
+
+    problems.push(
+      ...packProblems.map((problem) => ({ ...problem, collection: "packs" })),
+    );
+
+    if (!packProblems.some((problem) => problem.severity === "error")) {
+      packs.push(pack);
+    }
+  });
+
+  return { packs, problems };
 }
 
 /**
- * Fisher-Yates shuffle algorithm to randomize array order
- * @param {Array} array - The array to shuffle
- * @returns {Array} - New shuffled array
+ * Restore the last pack selection from localStorage
  */
-function shuffleArray(array) {
-  // Create a copy to avoid mutating the original array
-  const shuffled = [...array];
+function restorePackSelection() {
+  const packIds = getAllPacks().map((pack) => pack.id);
+  const savedPack = localStorage.getItem("timeMatrixPack");
 
-  // Fisher-Yates shuffle algorithm
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    // Generate random index between 0 and i
-    const j = Math.floor(Math.random() * (i + 1));
+  let savedMixedPacks = [];
+  try {
+    savedMixedPacks = JSON.parse(
+      localStorage.getItem("timeMatrixMixedPacks") || "[]",
+    );
+  } catch (error) {
+    console.error("Ignoring invalid saved mixed pack selection:", error);
+  }
 
-    // Swap elements at positions i and j
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  if (
+    savedPack &&
+    (packIds.includes(savedPack) ||
+      (savedPack === MIXED_PACK_ID && packIds.length > 1))
+  ) {
+    selectedPackId = savedPack;
+  } else {
+    selectedPackId = packIds[0];
   }
 
-  return shuffled;
+  mixedPackIds = Array.isArray(savedMixedPacks)
+    ? savedMixedPacks.filter((id) => packIds.includes(id))
+    : [];
+
+  // Mixed mode draws from every pack until the player narrows it down
+  if (mixedPackIds.length === 0) {
+    mixedPackIds = packIds;
+  }
 }
 
 /**
- * Start the game by displaying the first activity
+ * Restore the last round settings from localStorage
  */
-function startGame() {
-  if (activities.length === 0) {
-    return;
+function restoreRoundSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem("timeMatrixRoundSettings") || "{}");
+  } catch (error) {
+    console.error("Ignoring invalid saved round settings:", error);
   }
 
-  displayActivity(0);
+  if (typeof saved !== "object" || saved === null) {
+    saved = {};
+  }
+
+  roundSettings = {
+    mode: Object.values(GAME_MODES).includes(saved.mode)
+      ? saved.mode
+      : GAME_MODES.CLASSIC,
+    length: ROUND_LENGTHS.includes(saved.length) ? saved.length : "all",
+    balanced: saved.balanced === true,
+    seed: typeof saved.seed === "string" ? saved.seed : "",
+    waitForNext: saved.waitForNext === true,
+    players:
+      Array.isArray(saved.players) &&
+      saved.players.length >= HOT_SEAT_MIN_PLAYERS &&
+      saved.players.length <= HOT_SEAT_MAX_PLAYERS &&
+      saved.players.every((name) => typeof name === "string")
+        ? saved.players
+        : ["", ""],
+    teamKeys:
+      Array.isArray(saved.teamKeys) &&
+      saved.teamKeys.length >= BUZZER_MIN_TEAMS &&
+      saved.teamKeys.length <= BUZZER_TEAM_KEYS.length &&
+      saved.teamKeys.every((keys) => typeof keys === "string")
+        ? saved.teamKeys
+        : BUZZER_TEAM_KEYS.slice(0, BUZZER_MIN_TEAMS),
+  };
 }
 
 /**
- * Display the current activity
- * @param {number} index - Index of the activity to display in the shuffled array
+ * Show the pack picker in place of the game
  */
-function displayActivity(index) {
-  // Check if we've reached the end of activities
-  if (index >= shuffledActivities.length) {
-    endGame();
+function showPackPicker() {
+  if (!setGameState(GAME_STATES.SETUP)) {
     return;
   }
 
-  currentActivityIndex = index;
-  const activity = shuffledActivities[index];
-
-  // Get the activity description in the current language
-  let activityText = activity.description;
+  clearAdvanceTimer();
+  isReviewRound = false;
+  showScreen("setup");
+  renderPackPicker();
+}
 
-  // If description is an object with language keys, get the current language version
-  if (
-    typeof activity.description === "object" &&
-    activity.description !== null
-  ) {
-    activityText =
-      activity.description[currentLanguage] || activity.description.en;
+/**
+ * Switch between the pack picker and the game
+ * @param {string} screen - 'setup' for the pack picker, 'editor' for the pack
+ *   editor, 'history' for the progress dashboard, 'facilitator' for the
+ *   facilitator view, 'game' for the game
+ */
+function showScreen(screen) {
+  const isGame = screen === "game";
+
+  document
+    .getElementById("pack-picker")
+    .classList.toggle("hidden", screen !== "setup");
+  document
+    .getElementById("pack-editor")
+    .classList.toggle("hidden", screen !== "editor");
+  document
+    .getElementById("history-dashboard")
+    .classList.toggle("hidden", screen !== "history");
+  document
+    .getElementById("facilitator-view")
+    .classList.toggle("hidden", screen !== "facilitator");
+  document
+    .querySelector(".activity-section")
+    .classList.toggle("hidden", !isGame);
+  document
+    .querySelector(".matrix-container")
+    .classList.toggle("hidden", !isGame);
+  document
+    .getElementById("countdown-item")
+    .classList.toggle("hidden", !isGame || getRoundMode() !== GAME_MODES.TIMED);
+  document
+    .getElementById("axis-questions")
+    .classList.toggle(
+      "hidden",
+      !isGame || getRoundMode() !== GAME_MODES.TWO_AXIS,
+    );
+  document
+    .getElementById("players-item")
+    .classList.toggle("hidden", !isGame || !isGroupMode());
+  document
+    .getElementById("turn-indicator")
+    .classList.toggle("hidden", !isGame || !isGroupMode());
+  document
+    .getElementById("board-controls")
+    .classList.toggle("hidden", !isGame || getRoundMode() !== GAME_MODES.BOARD);
+
+  // Lets the stylesheet adapt the matrix to the mode (e.g. no select buttons)
+  document.body.dataset.gameMode = getRoundMode();
+
+  if (!isGame) {
+    hideFeedback();
   }
+}
 
-  // Update the activity display
-  currentActivityEl.textContent = activityText;
+/**
+ * Render the pack options in the pack picker
+ */
+function renderPackPicker() {
+  const packListEl = document.getElementById("pack-list");
+  if (!packListEl) return;
+
+  const t = (translations && translations[currentLanguage]) || {};
+
+  const allPacks = getAllPacks();
+  const packOptions = allPacks.map((pack) =>
+    renderPackOption(
+      pack.id,
+      getLocalizedText(pack.title),
+      pack.custom
+        ? translate("customPackDescription", { file: pack.sourceFile })
+        : getLocalizedText(pack.description),
+      { editable: true, deletable: pack.custom },
+    ),
+  );
 
-  // Update progress
-  progressEl.textContent = `${index + 1} / ${totalActivities}`;
+  // Mixed mode only makes sense with more than one pack
+  if (allPacks.length > 1) {
+    packOptions.push(
+      renderPackOption(MIXED_PACK_ID, t.mixedPackTitle, t.mixedPackDescription),
+    );
+  }
 
-  // Clear any previous feedback
-  hideFeedback();
+  packListEl.innerHTML = packOptions.join("");
+
+  // Offer to pick up a game that was interrupted
+  renderResumePrompt();
+
+  // Packs to draw from in mixed mode
+  const mixedOptionsEl = document.getElementById("mixed-pack-options");
+  const checkboxes = allPacks
+    .map(
+      (pack) => `
+            <label class="mixed-pack-option">
+                <input type="checkbox" value="${escapeHtml(pack.id)}"
+                    ${mixedPackIds.includes(pack.id) ? "checked" : ""}
+                    onchange="toggleMixedPack(this.value, this.checked)">
+                ${escapeHtml(getLocalizedText(pack.title))}
+            </label>
+        `,
+    )
+    .join("");
+
+  mixedOptionsEl.innerHTML = `
+        <p class="mixed-pack-hint">${escapeHtml(t.mixedPackHint)}</p>
+        ${checkboxes}
+    `;
+  mixedOptionsEl.classList.toggle("hidden", selectedPackId !== MIXED_PACK_ID);
 
-  // Ensure quadrant translations are maintained in the current language
-  // updateQuadrantTranslations();
+  renderRoundSettings();
+  setPackPickerError("");
+}
 
-  // Add pulse animation to all quadrants to indicate they're clickable
-  document.querySelectorAll(".quadrant").forEach((quadrant) => {
-    quadrant.classList.add("pulse");
-    setTimeout(() => quadrant.classList.remove("pulse"), 300);
-  });
+/**
+ * Fill the round settings form from the current settings
+ */
+function renderRoundSettings() {
+  const lengthEl = document.getElementById("round-length");
+  if (!lengthEl) return;
+
+  const t = (translations && translations[currentLanguage]) || {};
+
+  document.getElementById("round-mode").innerHTML = Object.values(GAME_MODES)
+    .map(
+      (mode) =>
+        `<option value="${mode}" ${mode === roundSettings.mode ? "selected" : ""}>${escapeHtml(t[GAME_MODE_LABELS[mode]])}</option>`,
+    )
+    .join("");
+  document.getElementById("round-mode-hint").textContent =
+    t[`${GAME_MODE_LABELS[roundSettings.mode]}Hint`];
+
+  lengthEl.innerHTML = ROUND_LENGTHS.map(
+    (length) =>
+      `<option value="${length}" ${length === roundSettings.length ? "selected" : ""}>${length === "all" ? escapeHtml(t.roundLengthAll) : length}</option>`,
+  ).join("");
+
+  document.getElementById("round-balanced").checked = roundSettings.balanced;
+  document.getElementById("round-wait").checked = roundSettings.waitForNext;
+  document.getElementById("round-seed").value = roundSettings.seed;
+
+  renderRoundPlayers();
+  renderRoundTeams();
 }
 
 /**
- * Handle user selection of a quadrant
- * @param {string} selectedQuadrant - The quadrant the user selected (q1, q2, q3, q4)
+ * Render the player name fields shown in the round settings in hot-seat mode
  */
-function selectQuadrant(selectedQuadrant) {
-  const currentActivity = shuffledActivities[currentActivityIndex];
+function renderRoundPlayers() {
+  const playersEl = document.getElementById("round-players");
+  const t = (translations && translations[currentLanguage]) || {};
+  const players = roundSettings.players;
+
+  playersEl.classList.toggle(
+    "hidden",
+    roundSettings.mode !== GAME_MODES.HOT_SEAT,
+  );
 
-  // Check if the selection is correct
-  const isCorrect = selectedQuadrant === currentActivity.correctQuadrant;
+  const fields = players
+    .map((name, index) => {
+      const defaultName = translate("playerDefaultName", { number: index + 1 });
+      const removeButton =
+        players.length > HOT_SEAT_MIN_PLAYERS
+          ? `<button class="pack-delete-btn" onclick="removeRoundPlayer(${index})" title="${escapeHtml(t.removePlayer)}">×</button>`
+          : "";
+
+      return `
+            <span class="round-player">
+                <input type="text" value="${escapeHtml(name)}" placeholder="${escapeHtml(defaultName)}" aria-label="${escapeHtml(defaultName)}" maxlength="30" oninput="updateRoundPlayer(${index}, this.value)">
+                ${removeButton}
+            </span>
+        `;
+    })
+    .join("");
+
+  const addButton =
+    players.length < HOT_SEAT_MAX_PLAYERS
+      ? `<button class="secondary-btn" onclick="addRoundPlayer()">${escapeHtml(t.addPlayer)}</button>`
+      : "";
+
+  playersEl.innerHTML = `
+        <span>${escapeHtml(t.playersLabel)}</span>
+        ${fields}
+        ${addButton}
+    `;
+}
 
-  // Update score if correct
-  if (isCorrect) {
-    updateScore(1);
-  }
+/**
+ * Render the team key fields shown in the round settings in buzzer mode
+ */
+function renderRoundTeams() {
+  const teamsEl = document.getElementById("round-teams");
+  const t = (translations && translations[currentLanguage]) || {};
+  const teamKeys = roundSettings.teamKeys;
+
+  teamsEl.classList.toggle("hidden", roundSettings.mode !== GAME_MODES.BUZZER);
+
+  const fields = teamKeys
+    .map((keys, index) => {
+      const label = translate("teamKeysLabel", { name: getTeamName(index) });
+      const removeButton =
+        teamKeys.length > BUZZER_MIN_TEAMS
+          ? `<button class="pack-delete-btn" onclick="removeRoundTeam(${index})" title="${escapeHtml(t.removeTeam)}">×</button>`
+          : "";
+
+      return `
+            <label class="round-player">
+                ${escapeHtml(label)}
+                <input type="text" value="${escapeHtml(keys)}" maxlength="4" oninput="updateRoundTeamKeys(${index}, this.value)">
+                ${removeButton}
+            </label>
+        `;
+    })
+    .join("");
+
+  const addButton =
+    teamKeys.length < BUZZER_TEAM_KEYS.length
+      ? `<button class="secondary-btn" onclick="addRoundTeam()">${escapeHtml(t.addTeam)}</button>`
+      : "";
+
+  teamsEl.innerHTML = `
+        ${fields}
+        ${addButton}
+        <span class="round-seed-hint">${escapeHtml(t.teamKeysHelp)}</span>
+    `;
+}
 
-  // Show visual feedback on the selected quadrant
-  showQuadrantFeedback(selectedQuadrant, isCorrect);
+/**
+ * Change the keys of a buzzer team from the round settings
+ * @param {number} index - Position of the team
+ * @param {string} keys - The keys for Q1-Q4, in order
+ */
+function updateRoundTeamKeys(index, keys) {
+  roundSettings.teamKeys[index] = keys.toLowerCase();
+}
 
-  // Show text feedback message
-  showTextFeedback(isCorrect, currentActivity);
+/**
+ * Add a buzzer team to the round settings, with the next free row of keys
+ */
+function addRoundTeam() {
+  const freeKeys = BUZZER_TEAM_KEYS.find(
+    (keys) => !roundSettings.teamKeys.includes(keys),
+  );
 
-  // Move to next activity after a short delay
-  setTimeout(() => {
-    showNextActivity();
-  }, 1500);
+  if (roundSettings.teamKeys.length < BUZZER_TEAM_KEYS.length && freeKeys) {
+    roundSettings.teamKeys.push(freeKeys);
+    renderRoundTeams();
+  }
 }
 
 /**
- * Update the score display
- * @param {number} points - Points to add to the score (1 for correct, 0 for incorrect)
+ * Remove a buzzer team from the round settings
+ * @param {number} index - Position of the team
  */
-function updateScore(points) {
-  score += points;
-  scoreEl.textContent = score;
+function removeRoundTeam(index) {
+  if (roundSettings.teamKeys.length > BUZZER_MIN_TEAMS) {
+    roundSettings.teamKeys.splice(index, 1);
+    renderRoundTeams();
+  }
 }
 
 /**
- * Show visual feedback on the selected quadrant
- * @param {string} selectedQuadrant - The quadrant that was clicked
- * @param {boolean} isCorrect - Whether the selection was correct
+ * Rename a hot-seat player from the round settings
+ * @param {number} index - Position of the player
+ * @param {string} name - The new name
  */
-function showQuadrantFeedback(selectedQuadrant, isCorrect) {
-  // Get the clicked quadrant element
-  const quadrantElement = document.querySelector(
-    `.quadrant.${selectedQuadrant}`,
-  );
+function updateRoundPlayer(index, name) {
+  roundSettings.players[index] = name;
+}
 
-  if (!quadrantElement) return;
+/**
+ * Add a hot-seat player to the round settings
+ */
+function addRoundPlayer() {
+  if (roundSettings.players.length < HOT_SEAT_MAX_PLAYERS) {
+    roundSettings.players.push("");
+    renderRoundPlayers();
+  }
+}
 
-  // Remove any existing feedback classes
-  quadrantElement.classList.remove("feedback-correct", "feedback-incorrect");
+/**
+ * Remove a hot-seat player from the round settings
+ * @param {number} index - Position of the player
+ */
+function removeRoundPlayer(index) {
+  if (roundSettings.players.length > HOT_SEAT_MIN_PLAYERS) {
+    roundSettings.players.splice(index, 1);
+    renderRoundPlayers();
+  }
+}
 
-  // Add appropriate feedback class
-  if (isCorrect) {
-    quadrantElement.classList.add("feedback-correct");
+/**
+ * Change one of the round settings from the form
+ * @param {string} name - 'mode', 'length', 'balanced' or 'seed'
+ * @param {string|boolean} value - The new value from the form control
+ */
+function updateRoundSetting(name, value) {
+  if (name === "length") {
+    // Select values are strings; the lengths are stored as numbers
+    roundSettings.length = value === "all" ? "all" : Number(value);
   } else {
-    quadrantElement.classList.add("feedback-incorrect");
+    roundSettings[name] = value;
   }
 
-  // Remove feedback after animation duration
-  setTimeout(() => {
-    quadrantElement.classList.remove("feedback-correct", "feedback-incorrect");
-  }, 2500);
+  if (name === "mode") {
+    renderRoundSettings();
+  }
 }
 
 /**
- * Show text feedback message to the user
- * @param {boolean} isCorrect - Whether the selection was correct
- * @param {Object} activity - The current activity object
+ * Build the markup for a single pack option
+ * @param {string} id - The pack id
+ * @param {string} title - The localized pack title
+ * @param {string} description - The localized pack description
+ * @param {Object} [options] - Extra controls for the option
+ * @param {boolean} [options.editable] - Whether to offer an edit button
+ * @param {boolean} [options.deletable] - Whether to offer a delete button (imported packs)
+ * @returns {string} HTML markup for the option
  */
-function showTextFeedback(isCorrect, activity) {
-  if (isCorrect) {
-    feedbackEl.textContent = "✅ Correct! Well done!";
-    feedbackEl.className = "feedback success";
-  } else {
-    const correctQuadrantName = getQuadrantName(activity.correctQuadrant);
-    feedbackEl.textContent = `❌ Incorrect. This activity belongs in ${correctQuadrantName}.`;
-    feedbackEl.className = "feedback error";
-  }
+function renderPackOption(id, title, description, options = {}) {
+  const isSelected = id === selectedPackId;
+  const t = (translations && translations[currentLanguage]) || {};
+  const editButton = options.editable
+    ? `<button class="pack-edit-btn" onclick="event.preventDefault(); openPackEditor('${escapeHtml(id)}')" title="${escapeHtml(t.editPack)}">✎</button>`
+    : "";
+  const deleteButton = options.deletable
+    ? `<button class="pack-delete-btn" onclick="event.preventDefault(); deleteCustomPack('${escapeHtml(id)}')" title="${escapeHtml(t.deletePack)}">×</button>`
+    : "";
+
+  return `
+        <label class="pack-option${isSelected ? " selected" : ""}">
+            <input type="radio" name="pack" value="${escapeHtml(id)}"
+                ${isSelected ? "checked" : ""}
+                onchange="selectPack(this.value)">
+            <span class="pack-title">${escapeHtml(title)}</span>
+            <span class="pack-description">${escapeHtml(description)}</span>
+            ${editButton}
+            ${deleteButton}
+        </label>
+    `;
 }
 
 /**
- * Show the next activity in the sequence
+ * Handle the player choosing a pack in the picker
+ * @param {string} packId - The chosen pack id, or MIXED_PACK_ID
  */
-function showNextActivity() {
-  const nextIndex = currentActivityIndex + 1;
+function selectPack(packId) {
+  selectedPackId = packId;
+  renderPackPicker();
+}
+
+/**
+ * Include or exclude a pack from mixed mode
+ * @param {string} packId - The pack id
+ * @param {boolean} included - Whether the pack should be included
+ */
+function toggleMixedPack(packId, included) {
+  mixedPackIds = mixedPackIds.filter((id) => id !== packId);
+
+  if (included) {
+    mixedPackIds.push(packId);
+  }
+
+  setPackPickerError("");
+}
+
+/**
+ * Show or clear an error message in the pack picker
+ * @param {string} message - The message to show, or an empty string to clear it
+ */
+function setPackPickerError(message) {
+  const errorEl = document.getElementById("pack-picker-error");
+  if (!errorEl) return;
+
+  errorEl.textContent = message;
+  errorEl.classList.toggle("hidden", !message);
+}
+
+/**
+ * Start a game with the pack (or packs) chosen in the picker
+ */
+async function startSelectedPack() {
+  if (gameState !== GAME_STATES.SETUP) {
+    return;
+  }
+
+  const packIds =
+    selectedPackId === MIXED_PACK_ID ? mixedPackIds : [selectedPackId];
+
+  if (packIds.length === 0) {
+    const t = (translations && translations[currentLanguage]) || {};
+    setPackPickerError(t.noPacksSelected);
+    return;
+  }
+
+  if (roundSettings.mode === GAME_MODES.BUZZER && !hasValidTeamKeys()) {
+    const t = (translations && translations[currentLanguage]) || {};
+    setPackPickerError(t.teamKeysInvalid);
+    return;
+  }
+
+  // A new game takes the place of any unfinished one
+  clearSavedGame();
+
+  // Remember the choice for next time
+  localStorage.setItem("timeMatrixPack", selectedPackId);
+  localStorage.setItem("timeMatrixMixedPacks", JSON.stringify(mixedPackIds));
+  localStorage.setItem(
+    "timeMatrixRoundSettings",
+    JSON.stringify(roundSettings),
+  );
+
+  setGameState(GAME_STATES.LOADING);
+  showScreen("game");
+  await loadActivities(packIds);
+}
+
+/**
+ * Load the activities of the given packs and start the game
+ * @param {Array} packIds - Ids of the packs to draw activities from
+ */
+async function loadActivities(packIds) {
+  const packs = getAllPacks().filter((pack) => packIds.includes(pack.id));
+  const packActivities = await Promise.all(packs.map(loadPackActivities));
+  const combined = packActivities.flat();
+
+  if (combined.length === 0) {
+    const t = (translations && translations[currentLanguage]) || {};
+    currentActivityEl.innerHTML = `
+            <div style="color: red; font-weight: bold;">
+                ${escapeHtml(t.noActivitiesLoaded)}<br>
+                <button onclick="showPackPicker()" style="margin-top: 20px; padding: 10px 20px; background-color: var(--secondary-color); color: white; border: none; border-radius: 4px; cursor: pointer;">${escapeHtml(t.changePack)}</button>
+            </div>
+        `;
+    return;
+  }
+
+  activePackIds = packs.map((pack) => pack.id);
+  useActivities(combined);
+}
+
+/**
+ * Load and validate the activities of a single pack
+ * Invalid entries are reported and skipped rather than played.
+ * @param {Object} pack - The pack from the manifest
+ * @returns {Promise<Array>} The pack's valid activities (empty if it failed to load)
+ */
+async function loadPackActivities(pack) {
+  const source = pack.custom ? getLocalizedText(pack.title) : pack.file;
+
+  try {
+    const data = await readPackData(pack);
+
+    const result = validateActivityPack(data);
+    reportContentProblems(source, result.problems);
+
+    return assignActivityIds(pack, result.activities);
+  } catch (error) {
+    console.error(`Error loading activities from ${source}:`, error);
+    reportContentProblems(source, [
+      createProblem(null, "", `could not be loaded: ${error.message}`),
+    ]);
+    return [];
+  }
+}
+
+/**
+ * Read the unvalidated data of a pack
+ * Imported packs carry their activities with them; the others are loaded
+ * from their file.
+ * @param {Object} pack - The pack from the manifest
+ * @returns {Promise<Object>} The pack data, with its activities
+ */
+async function readPackData(pack) {
+  return pack.custom
+    ? { activities: pack.activities }
+    : loadContentFile(pack.file);
+}
+
+/**
+ * Give every activity of a pack an id
+ * Practice records and result exports need one; imported packs may not have
+ * given one, so it is made from the pack id and the English text.
+ * @param {Object} pack - The pack the activities belong to
+ * @param {Array} packActivities - The pack's valid activities
+ * @returns {Array} The activities, each with an id
+ */
+function assignActivityIds(pack, packActivities) {
+  return packActivities.map((activity) =>
+    activity.id
+      ? activity
+      : { ...activity, id: `${pack.id}-${slugify(activity.description.en)}` },
+  );
+}
+
+/**
+ * Get every pack the player can choose from: the manifest packs followed by
+ * the imported ones
+ * @returns {Array} All available packs
+ */
+function getAllPacks() {
+  return [...packManifest, ...customPacks];
+}
+
+/**
+ * Load the packs imported by the player from localStorage
+ * @returns {Array} The imported packs
+ */
+function loadCustomPacks() {
+  try {
+    const saved = JSON.parse(
+      localStorage.getItem("timeMatrixCustomPacks") || "[]",
+    );
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error("Ignoring invalid saved custom packs:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the imported packs to localStorage
+ * @returns {boolean} Whether the packs could be saved
+ */
+function saveCustomPacks() {
+  try {
+    localStorage.setItem("timeMatrixCustomPacks", JSON.stringify(customPacks));
+    return true;
+  } catch (error) {
+    // Most likely the storage quota was exceeded
+    console.error("Error saving custom packs:", error);
+    return false;
+  }
+}
+
+/**
+ * Delete an imported pack
+ * @param {string} packId - The id of the imported pack
+ */
+function deleteCustomPack(packId) {
+  const pack = customPacks.find((custom) => custom.id === packId);
+  if (!pack) return;
+
+  const question = translate("deletePackConfirm", {
+    name: getLocalizedText(pack.title),
+  });
+
+  if (!confirm(question)) {
+    return;
+  }
+
+  customPacks = customPacks.filter((custom) => custom.id !== packId);
+  mixedPackIds = mixedPackIds.filter((id) => id !== packId);
+  saveCustomPacks();
+
+  if (selectedPackId === packId) {
+    selectedPackId = getAllPacks()[0].id;
+  }
+
+  renderPackPicker();
+}
+
+/**
+ * Set up the file picker and drag-and-drop zone for importing packs
+ */
+function setupPackImport() {
+  const fileInput = document.getElementById("pack-import-file");
+  const dropZone = document.getElementById("pack-import-drop");
+  if (!fileInput || !dropZone) return;
+
+  fileInput.addEventListener("change", function () {
+    if (fileInput.files.length > 0) {
+      importPackFile(fileInput.files[0]);
+    }
+
+    // Allow the same file to be chosen again
+    fileInput.value = "";
+  });
+
+  dropZone.addEventListener("dragover", function (event) {
+    event.preventDefault();
+    dropZone.classList.add("drag-over");
+  });
+
+  dropZone.addEventListener("dragleave", function () {
+    dropZone.classList.remove("drag-over");
+  });
+
+  dropZone.addEventListener("drop", function (event) {
+    event.preventDefault();
+    dropZone.classList.remove("drag-over");
+
+    if (event.dataTransfer.files.length > 0) {
+      importPackFile(event.dataTransfer.files[0]);
+    }
+  });
+}
+
+/**
+ * Read, parse and validate a JSON or CSV file, then show a preview
+ * @param {File} file - The file chosen or dropped by the player
+ */
+async function importPackFile(file) {
+  const t = (translations && translations[currentLanguage]) || {};
+
+  try {
+    const text = await file.text();
+    const isCsv =
+      /\.csv$/i.test(file.name) || (file.type || "").includes("csv");
+    const parsed = isCsv ? parseCsvPack(text) : parseJsonPack(text);
+    const result = validateActivityPack(parsed.data);
+
+    // Point CSV problems at spreadsheet rows rather than array indexes
+    const activityProblems = parsed.rowNumbers
+      ? result.problems.map((problem) =>
+          problem.index === null
+            ? problem
+            : {
+                ...problem,
+                index: parsed.rowNumbers[problem.index],
+                collection: "row",
+              },
+        )
+      : result.problems;
+
+    pendingImport = {
+      fileName: file.name,
+      name: parsed.title || file.name.replace(/\.(json|csv)$/i, ""),
+      activities: result.activities,
+      problems: locateProblems(file.name, [
+        ...parsed.problems,
+        ...activityProblems,
+      ]),
+    };
+  } catch (error) {
+    console.error("Error importing pack:", error);
+    pendingImport = {
+      fileName: file.name,
+      name: "",
+      activities: [],
+      problems: locateProblems(file.name, [
+        createProblem(null, "", `${t.importFailed} ${error.message}`),
+      ]),
+    };
+  }
+
+  renderImportPreview();
+}
+
+/**
+ * Parse a JSON activity pack
+ * Accepts a data.json-style object ({ activities: [...] }) or a bare array.
+ * @param {string} text - The file contents
+ * @returns {{data: Object, title: string, problems: Array}} The parsed pack
+ */
+function parseJsonPack(text) {
+  const json = JSON.parse(text);
+  const data = Array.isArray(json) ? { activities: json } : json;
+  const title = data && data.title ? getLocalizedText(data.title) : "";
+
+  return { data, title, problems: [] };
+}
+
+/**
+ * Parse a CSV activity pack
+ *
+ * The header row names the columns: one column per language code holding the
+ * description (en, pt, ...), correctQuadrant (or quadrant), and optionally
+ * explanation (English) or explanation_<language>. Quadrant values are
+ * case-insensitive. Comma and semicolon separators are both accepted.
+ *
+ * @param {string} text - The file contents
+ * @returns {{data: Object, title: string, problems: Array, rowNumbers: Array}}
+ *   The parsed pack, with the spreadsheet row number of each activity
+ */
+function parseCsvPack(text) {
+  const rows = parseCsv(text)
+    .map((cells, index) => ({ cells, number: index + 1 }))
+    .filter((row) => row.cells.some((cell) => cell.trim() !== ""));
+  const problems = [];
+
+  if (rows.length === 0) {
+    problems.push(createProblem(null, "", "the file is empty"));
+    return { data: { activities: [] }, title: "", problems, rowNumbers: [] };
+  }
+
+  const header = rows[0].cells.map((cell) => cell.trim());
+  const columns = header.map(getCsvColumn);
+
+  if (!columns.some((column) => column && column.type === "quadrant")) {
+    problems.push(createProblem(null, "correctQuadrant", "column is missing"));
+  }
+
+  if (
+    !columns.some(
+      (column) =>
+        column && column.type === "description" && column.language === "en",
+    )
+  ) {
+    problems.push(createProblem(null, "en", "column is missing"));
+  }
+
+  header.forEach((name, index) => {
+    if (!columns[index]) {
+      problems.push(
+        createProblem(
+          null,
+          name,
+          "column is not recognized and was ignored",
+          "warning",
+        ),
+      );
+    }
+  });
+
+  const dataRows = rows.slice(1);
+  const activities = dataRows.map((row) => {
+    const activity = {};
+
+    columns.forEach((column, index) => {
+      const value = (row.cells[index] || "").trim();
+      if (!column || value === "") return;
+
+      if (column.type === "quadrant") {
+        activity.correctQuadrant = value.toLowerCase();
+      } else {
+        activity[column.type] = activity[column.type] || {};
+        activity[column.type][column.language] = value;
+      }
+    });
+
+    return activity;
+  });
+
+  return {
+    data: { activities },
+    title: "",
+    problems,
+    rowNumbers: dataRows.map((row) => row.number),
+  };
+}
+
+/**
+ * Work out what a CSV header cell refers to
+ * @param {string} name - The header cell
+ * @returns {Object|null} { type, language } or null for unknown columns
+ */
+function getCsvColumn(name) {
+  const key = name.toLowerCase();
+
+  if (key === "correctquadrant" || key === "quadrant") {
+    return { type: "quadrant" };
+  }
+
+  if (key === "explanation") {
+    return { type: "explanation", language: "en" };
+  }
+
+  const explanation = key.match(/^explanation[_.]([a-z]{2}(-[a-z]{2})?)$/);
+  if (explanation) {
+    return { type: "explanation", language: explanation[1] };
+  }
+
+  if (/^[a-z]{2}(-[a-z]{2})?$/.test(key) && key !== "id") {
+    return { type: "description", language: key };
+  }
+
+  return null;
+}
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells containing separators, quotes ("") and line breaks.
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The rows
+ */
+function parseCsv(text) {
+  // Drop a byte order mark left by spreadsheet exports
+  const csv = text.replace(/^\uFEFF/, "");
+
+  // Spreadsheets in many locales separate cells with semicolons
+  const firstLine = csv.split(/\r?\n/, 1)[0];
+  const separator =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+
+    if (inQuotes) {
+      if (char === '"' && csv[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      // Treat \r\n as a single line break
+      if (char === "\r" && csv[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Show the preview of the file waiting to be imported
+ */
+function renderImportPreview() {
+  const previewEl = document.getElementById("pack-import-preview");
+  if (!previewEl) return;
+
+  if (!pendingImport) {
+    previewEl.innerHTML = "";
+    previewEl.classList.add("hidden");
+    return;
+  }
+
+  const t = (translations && translations[currentLanguage]) || {};
+  const {
+    fileName,
+    name,
+    activities: importActivities,
+    problems,
+  } = pendingImport;
+
+  const rows = importActivities
+    .map(
+      (activity, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${escapeHtml(getLocalizedText(activity.description))}</td>
+                <td>${activity.correctQuadrant.toUpperCase()}</td>
+                <td>${escapeHtml(getActivityExplanation(activity))}</td>
+            </tr>
+        `,
+    )
+    .join("");
+
+  const table = importActivities.length
+    ? `
+            <div class="import-preview-table-wrapper">
+                <table class="import-preview-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>${escapeHtml(t.importActivityColumn)}</th>
+                            <th>${escapeHtml(t.importQuadrantColumn)}</th>
+                            <th>${escapeHtml(t.importExplanationColumn)}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `
+    : `<p class="pack-picker-error">${escapeHtml(t.importNothingValid)}</p>`;
+
+  const problemList = problems.length
+    ? `<ul class="import-problems">${problems.map(renderProblemItem).join("")}</ul>`
+    : "";
+
+  previewEl.innerHTML = `
+        <h3>${escapeHtml(t.importPreviewTitle)}: ${escapeHtml(fileName)}</h3>
+        <label class="import-pack-name">
+            ${escapeHtml(t.importPackName)}
+            <input type="text" id="import-pack-name" value="${escapeHtml(name)}"
+                oninput="pendingImport.name = this.value">
+        </label>
+        <p>${escapeHtml(translate("importSummary", { count: importActivities.length }))}</p>
+        ${table}
+        ${problemList}
+        <div class="import-actions">
+            <button class="start-btn" onclick="saveImportedPack()" ${importActivities.length ? "" : "disabled"}>${escapeHtml(t.importSave)}</button>
+            <button class="secondary-btn" onclick="cancelImport()">${escapeHtml(t.importCancel)}</button>
+        </div>
+    `;
+  previewEl.classList.remove("hidden");
+}
+
+/**
+ * Save the previewed file as a playable pack
+ */
+function saveImportedPack() {
+  if (!pendingImport || pendingImport.activities.length === 0) {
+    return;
+  }
+
+  const t = (translations && translations[currentLanguage]) || {};
+  const name = pendingImport.name.trim() || pendingImport.fileName;
+  const pack = {
+    id: `custom-${Date.now()}`,
+    custom: true,
+    title: { en: name },
+    sourceFile: pendingImport.fileName,
+    activities: pendingImport.activities,
+  };
+
+  customPacks.push(pack);
+  if (!saveCustomPacks()) {
+    customPacks.pop();
+    alert(t.importStorageFull);
+    return;
+  }
+
+  // Select the new pack so it can be played straight away
+  selectedPackId = pack.id;
+  mixedPackIds.push(pack.id);
+  pendingImport = null;
+  renderImportPreview();
+  renderPackPicker();
+}
+
+/**
+ * Discard the previewed file
+ */
+function cancelImport() {
+  pendingImport = null;
+  renderImportPreview();
+}
+
+/**
+ * Open the pack editor
+ * Imported packs are edited in place; built-in packs are opened as a copy that
+ * can be exported or saved to the player's packs.
+ * @param {string} [packId] - The pack to edit, or nothing for a new empty pack
+ */
+async function openPackEditor(packId) {
+  if (gameState !== GAME_STATES.SETUP) {
+    return;
+  }
+
+  const t = (translations && translations[currentLanguage]) || {};
+  const pack = getAllPacks().find((candidate) => candidate.id === packId);
+  let packActivities = [];
+
+  if (pack) {
+    try {
+      const data = await readPackData(pack);
+      packActivities = Array.isArray(data.activities) ? data.activities : [];
+    } catch (error) {
+      console.error(`Error opening ${pack.file} in the editor:`, error);
+      alert(`${t.importFailed} ${error.message}`);
+      return;
+    }
+  }
+
+  editorPack = {
+    id: pack && pack.custom ? pack.id : null,
+    sourceFile: pack ? pack.sourceFile || pack.file : "",
+    name: pack ? getLocalizedText(pack.title) : t.newPackName,
+    // Work on a copy; entries that aren't objects become empty activities to fill in
+    activities: packActivities.map((activity) =>
+      typeof activity === "object" && activity !== null
+        ? JSON.parse(JSON.stringify(activity))
+        : { description: {}, correctQuadrant: "" },
+    ),
+  };
+  editorDirty = false;
+
+  if (editorPack.activities.length === 0) {
+    editorPack.activities.push(createEmptyActivity());
+  }
+
+  showScreen("editor");
+  renderPackEditor();
+}
+
+/**
+ * Close the pack editor and go back to the pack picker
+ */
+function closePackEditor() {
+  const t = (translations && translations[currentLanguage]) || {};
+
+  if (editorDirty && !confirm(t.editorDiscardConfirm)) {
+    return;
+  }
+
+  editorPack = null;
+  editorDirty = false;
+  showScreen("setup");
+  renderPackPicker();
+}
+
+/**
+ * Create a blank activity for the editor
+ * @returns {Object} An activity with empty fields
+ */
+function createEmptyActivity() {
+  return { description: { en: "" }, correctQuadrant: "q1" };
+}
+
+/**
+ * Get the languages the editor asks for, English first
+ * @returns {Array<string>} Language codes
+ */
+function getEditorLanguages() {
+  return ["en", ...Object.keys(translations).filter((lang) => lang !== "en")];
+}
+
+/**
+ * Render the whole pack editor
+ */
+function renderPackEditor() {
+  if (!editorPack) return;
+
+  const t = (translations && translations[currentLanguage]) || {};
+  const nameInput = document.getElementById("editor-pack-name");
+  nameInput.value = editorPack.name;
+
+  document.getElementById("editor-list").innerHTML = editorPack.activities
+    .map((activity, index) => renderEditorItem(activity, index, t))
+    .join("");
+
+  renderEditorSummary();
+}
+
+/**
+ * Build the editing form for one activity
+ * @param {Object} activity - The activity being edited
+ * @param {number} index - Position of the activity in the pack
+ * @param {Object} t - Translations for the current language
+ * @returns {string} HTML markup for the activity
+ */
+function renderEditorItem(activity, index, t) {
+  const languages = getEditorLanguages();
+  const lastIndex = editorPack.activities.length - 1;
+
+  const textFields = (field, label) =>
+    languages
+      .map(
+        (language) => `
+                <label class="editor-field">
+                    <span>${escapeHtml(label)} (${language.toUpperCase()})</span>
+                    <textarea rows="2"
+                        oninput="updateEditorText(${index}, '${field}', '${language}', this.value)">${escapeHtml((activity[field] && activity[field][language]) || "")}</textarea>
+                </label>
+            `,
+      )
+      .join("");
+
+  const quadrantOptions = QUADRANTS.map(
+    (quadrant) =>
+      `<option value="${quadrant}" ${activity.correctQuadrant === quadrant ? "selected" : ""}>${escapeHtml(getQuadrantName(quadrant))}</option>`,
+  ).join("");
+
+  return `
+        <div class="editor-item">
+            <div class="editor-item-header">
+                <span class="editor-item-number">#${index + 1}</span>
+                <span class="editor-missing" id="editor-missing-${index}">${escapeHtml(describeMissingTranslations(activity, t))}</span>
+                <div class="editor-item-controls">
+                    <button onclick="moveEditorActivity(${index}, -1)" title="${escapeHtml(t.editorMoveUp)}" ${index === 0 ? "disabled" : ""}>↑</button>
+                    <button onclick="moveEditorActivity(${index}, 1)" title="${escapeHtml(t.editorMoveDown)}" ${index === lastIndex ? "disabled" : ""}>↓</button>
+                    <button onclick="removeEditorActivity(${index})" title="${escapeHtml(t.editorRemove)}">×</button>
+                </div>
+            </div>
+            <div class="editor-item-body">
+                <div class="editor-fields">
+                    ${textFields("description", t.editorDescription)}
+                    <label class="editor-field">
+                        <span>${escapeHtml(t.importQuadrantColumn)}</span>
+                        <select onchange="updateEditorQuadrant(${index}, this.value)">
+                            ${activity.correctQuadrant && !QUADRANTS.includes(activity.correctQuadrant) ? `<option value="" selected>${escapeHtml(String(activity.correctQuadrant))}</option>` : ""}
+                            ${quadrantOptions}
+                        </select>
+                    </label>
+                    ${textFields("explanation", t.importExplanationColumn)}
+                </div>
+                <div class="editor-preview">
+                    <span class="editor-preview-label">${escapeHtml(t.editorPreview)}</span>
+                    <div class="activity-card editor-preview-card" id="editor-preview-${index}">${escapeHtml(getActivityText(activity))}</div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Describe the languages an activity is missing, e.g. "Missing translation: PT"
+ * @param {Object} activity - The activity to check
+ * @param {Object} t - Translations for the current language
+ * @returns {string} The description, or an empty string if nothing is missing
+ */
+function describeMissingTranslations(activity, t) {
+  const missing = getMissingLanguages(activity);
+  if (missing.length === 0) {
+    return "";
+  }
+
+  return `${t.editorMissingTranslation} ${missing
+    .map((language) => language.toUpperCase())
+    .join(", ")}`;
+}
+
+/**
+ * Get the languages in which an activity's description or explanation is missing
+ * @param {Object} activity - The activity to check
+ * @returns {Array<string>} Language codes with missing text
+ */
+function getMissingLanguages(activity) {
+  const hasText = (value, language) =>
+    Boolean(value && value[language] && value[language].trim());
+  const hasExplanation = getEditorLanguages().some((language) =>
+    hasText(activity.explanation, language),
+  );
+
+  return getEditorLanguages().filter(
+    (language) =>
+      !hasText(activity.description, language) ||
+      (hasExplanation && !hasText(activity.explanation, language)),
+  );
+}
+
+/**
+ * Render the validation summary and missing translation counts of the editor
+ */
+function renderEditorSummary() {
+  const summaryEl = document.getElementById("editor-summary");
+  if (!summaryEl || !editorPack) return;
+
+  const t = (translations && translations[currentLanguage]) || {};
+  const cleaned = editorPack.activities.map(cleanEditorActivity);
+  const problems = validateActivityPack({
+    activities: cleaned,
+  }).problems.filter((problem) => problem.severity === "error");
+
+  const missingCounts = getEditorLanguages()
+    .map((language) => ({
+      language,
+      count: editorPack.activities.filter((activity) =>
+        getMissingLanguages(activity).includes(language),
+      ).length,
+    }))
+    .filter((entry) => entry.count > 0);
+
+  const missingText = missingCounts.length
+    ? `<p class="editor-missing">${escapeHtml(t.editorMissingTranslation)} ${missingCounts
+        .map(
+          (entry) =>
+            `${entry.language.toUpperCase()} (${escapeHtml(translate("editorActivityCount", { count: entry.count }))})`,
+        )
+        .join(", ")}</p>`
+    : "";
+
+  const problemList = problems.length
+    ? `<ul class="import-problems">${locateProblems(editorPack.name, problems)
+        .map(renderProblemItem)
+        .join("")}</ul>`
+    : `<p class="editor-valid">✓ ${escapeHtml(translate("editorValid", { count: cleaned.length }))}</p>`;
+
+  summaryEl.innerHTML = `${problemList}${missingText}`;
+}
+
+/**
+ * Update a localized text field of an activity from the editor
+ * @param {number} index - Position of the activity in the pack
+ * @param {string} field - 'description' or 'explanation'
+ * @param {string} language - The language code
+ * @param {string} value - The new text
+ */
+function updateEditorText(index, field, language, value) {
+  const activity = editorPack.activities[index];
+  activity[field] = activity[field] || {};
+  activity[field][language] = value;
+  editorDirty = true;
+
+  // Refresh only what depends on the text so the textarea keeps its focus
+  const t = (translations && translations[currentLanguage]) || {};
+  document.getElementById(`editor-preview-${index}`).textContent =
+    getActivityText(activity);
+  document.getElementById(`editor-missing-${index}`).textContent =
+    describeMissingTranslations(activity, t);
+  renderEditorSummary();
+}
+
+/**
+ * Update the correct quadrant of an activity from the editor
+ * @param {number} index - Position of the activity in the pack
+ * @param {string} quadrant - The quadrant code
+ */
+function updateEditorQuadrant(index, quadrant) {
+  editorPack.activities[index].correctQuadrant = quadrant;
+  editorDirty = true;
+  renderEditorSummary();
+}
+
+/**
+ * Update the pack name from the editor
+ * @param {string} name - The new pack name
+ */
+function updateEditorPackName(name) {
+  editorPack.name = name;
+  editorDirty = true;
+}
+
+/**
+ * Add a blank activity at the end of the pack
+ */
+function addEditorActivity() {
+  editorPack.activities.push(createEmptyActivity());
+  editorDirty = true;
+  renderPackEditor();
+
+  // Bring the new activity into view
+  const items = document.querySelectorAll(".editor-item");
+  items[items.length - 1].scrollIntoView({ behavior: "smooth" });
+}
+
+/**
+ * Remove an activity from the pack
+ * @param {number} index - Position of the activity in the pack
+ */
+function removeEditorActivity(index) {
+  editorPack.activities.splice(index, 1);
+  editorDirty = true;
+  renderPackEditor();
+}
+
+/**
+ * Move an activity up or down in the pack
+ * @param {number} index - Position of the activity in the pack
+ * @param {number} direction - -1 to move up, 1 to move down
+ */
+function moveEditorActivity(index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= editorPack.activities.length) {
+    return;
+  }
+
+  const list = editorPack.activities;
+  [list[index], list[target]] = [list[target], list[index]];
+  editorDirty = true;
+  renderPackEditor();
+}
+
+/**
+ * Remove empty optional fields so exported activities stay tidy
+ * @param {Object} activity - The activity from the editor
+ * @returns {Object} A cleaned copy of the activity
+ */
+function cleanEditorActivity(activity) {
+  const cleaned = { ...activity };
+
+  ["description", "explanation"].forEach((field) => {
+    if (!cleaned[field]) return;
+
+    const texts = {};
+    Object.keys(cleaned[field]).forEach((language) => {
+      const text = String(cleaned[field][language] || "").trim();
+      if (text) texts[language] = text;
+    });
+
+    if (Object.keys(texts).length > 0 || field === "description") {
+      cleaned[field] = texts;
+    } else {
+      delete cleaned[field];
+    }
+  });
+
+  return cleaned;
+}
+
+/**
+ * Download the edited pack as a data.json-compatible file
+ */
+function exportEditorPack() {
+  const data = { activities: editorPack.activities.map(cleanEditorActivity) };
+  const fileName = `${slugify(editorPack.name) || "data"}.json`;
+
+  downloadFile(
+    fileName,
+    `${JSON.stringify(data, null, 2)}\n`,
+    "application/json",
+  );
+}
+
+/**
+ * Save the edited pack to the player's packs
+ * Imported packs are updated; built-in packs are saved as a new copy.
+ */
+function saveEditorPack() {
+  const t = (translations && translations[currentLanguage]) || {};
+  const cleaned = editorPack.activities.map(cleanEditorActivity);
+  const result = validateActivityPack({ activities: cleaned });
+
+  if (result.problems.some((problem) => problem.severity === "error")) {
+    alert(t.editorFixErrors);
+    return;
+  }
+
+  const name = editorPack.name.trim() || t.newPackName;
+  const pack = {
+    id: editorPack.id || `custom-${Date.now()}`,
+    custom: true,
+    title: { en: name },
+    sourceFile: editorPack.sourceFile || `${slugify(name) || "pack"}.json`,
+    activities: result.activities,
+  };
+
+  const previous = customPacks;
+  const existingIndex = customPacks.findIndex(
+    (custom) => custom.id === pack.id,
+  );
+  customPacks =
+    existingIndex >= 0
+      ? customPacks.map((custom) => (custom.id === pack.id ? pack : custom))
+      : [...customPacks, pack];
+
+  if (!saveCustomPacks()) {
+    customPacks = previous;
+    alert(t.importStorageFull);
+    return;
+  }
+
+  if (existingIndex < 0) {
+    mixedPackIds.push(pack.id);
+  }
+
+  // Keep editing the saved pack from now on
+  editorPack.id = pack.id;
+  editorDirty = false;
+  selectedPackId = pack.id;
+  closePackEditor();
+}
+
+/**
+ * Turn a name into a safe file name
+ * @param {string} name - The name to convert
+ * @returns {string} Lowercase letters, digits and dashes
+ */
+function slugify(name) {
+  return String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Offer a file generated in the browser as a download
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} content - The file contents
+ * @param {string} mimeType - The MIME type of the file
+ */
+function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the file
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Store the activities for a new game and start playing them
+ * @param {Array} validActivities - Validated activities to play
+ */
+function useActivities(validActivities) {
+  // Store all activities
+  activities = validActivities;
+
+  // Start the game with a clean score
+  resetGame();
+}
+
+/**
+ * Draw the activities for a new round using the round settings
+ */
+function prepareRound() {
+  shuffledActivities = buildRound(activities, roundSettings);
+  totalActivities = shuffledActivities.length;
+  suddenDeathFrom = null;
+
+  // Update progress display
+  renderProgress(0);
+
+  if (roundSettings.mode === GAME_MODES.HOT_SEAT) {
+    prepareHotSeat();
+  }
+}
+
+/**
+ * Pick and order the activities of a round
+ *
+ * Without a seed every round gets a fresh shuffle; with one the same pool
+ * always gives the same sequence, so a whole room can play identical rounds.
+ * Practice rounds only take the activities the spaced-repetition schedule
+ * says are due, so they can come out shorter than the round length or empty.
+ * Balanced rounds take activities from each quadrant in turn, so the quadrants
+ * are equally represented as far as the pool allows. Practice rounds ignore the
+ * balance, which would reshuffle the schedule and could drop due activities.
+ *
+ * @param {Array} pool - All activities that can be played
+ * @param {Object} settings - Round length, balance and seed
+ * @returns {Array} The activities of the round in play order
+ */
+function buildRound(pool, settings) {
+  const random = createRandom(settings.seed.trim());
+
+  // Practice rounds pick the activities that are due instead of at random
+  const ordered =
+    settings.mode === GAME_MODES.PRACTICE
+      ? schedulePractice(pool, loadMastery(), Date.now(), random)
+      : shuffleArray(pool, random);
+  const length =
+    settings.length === "all"
+      ? ordered.length
+      : Math.min(settings.length, ordered.length);
+
+  if (!settings.balanced || settings.mode === GAME_MODES.PRACTICE) {
+    return ordered.slice(0, length);
+  }
+
+  const byQuadrant = QUADRANTS.map((quadrant) =>
+    ordered.filter((activity) => activity.correctQuadrant === quadrant),
+  );
+  const picked = [];
+
+  while (picked.length < length) {
+    byQuadrant.forEach((quadrantActivities) => {
+      if (quadrantActivities.length > 0 && picked.length < length) {
+        picked.push(quadrantActivities.shift());
+      }
+    });
+  }
+
+  // Mix the quadrants up again so they don't come in a fixed rotation
+  return shuffleArray(picked, random);
+}
+
+/**
+ * Pick and order the activities of a practice round by the spaced-repetition schedule
+ *
+ * Activities due for review come first, the least known ones (lowest box)
+ * first, then activities never practiced. Activities not due yet are left
+ * out, so mastered ones come back less and less often. Activities that tie
+ * keep a random order.
+ *
+ * @param {Array} pool - All activities that can be played
+ * @param {Object} mastery - Practice records keyed by activity id
+ * @param {number} now - Current time (ms since epoch)
+ * @param {Function} [random] - Random number generator for ties
+ * @returns {Array} The activities to practice, in order
+ */
+function schedulePractice(pool, mastery, now, random = Math.random) {
+  const priority = (activity) => {
+    const record = mastery[activity.id];
+
+    if (!record) return [1, 0, 0];
+    return [0, record.box, record.due];
+  };
+
+  // Array.prototype.sort is stable, so ties keep the shuffled order
+  return shuffleArray(pool, random)
+    .filter(
+      (activity) => !mastery[activity.id] || mastery[activity.id].due <= now,
+    )
+    .map((activity) => ({ activity, key: priority(activity) }))
+    .sort(
+      (a, b) =>
+        a.key[0] - b.key[0] || a.key[1] - b.key[1] || a.key[2] - b.key[2],
+    )
+    .map((entry) => entry.activity);
+}
+
+/**
+ * Load the practice records from localStorage
+ * @returns {Object} Records ({box, due, seen, correct}) keyed by activity id
+ */
+function loadMastery() {
+  try {
+    const mastery = JSON.parse(
+      localStorage.getItem("timeMatrixMastery") || "{}",
+    );
+    return mastery && typeof mastery === "object" && !Array.isArray(mastery)
+      ? mastery
+      : {};
+  } catch (error) {
+    console.error("Ignoring invalid practice records:", error);
+    return {};
+  }
+}
+
+/**
+ * Update the practice record of an answered activity and schedule its next review
+ * @param {Object} activity - The answered activity
+ * @param {boolean} isCorrect - Whether the answer was correct
+ */
+function updateMastery(activity, isCorrect) {
+  const mastery = loadMastery();
+  const record = mastery[activity.id] || { box: 0, seen: 0, correct: 0 };
+
+  record.box = isCorrect
+    ? Math.min(record.box + 1, PRACTICE_INTERVALS.length - 1)
+    : 0;
+  record.due = Date.now() + PRACTICE_INTERVALS[record.box] * DAY;
+  record.seen += 1;
+  if (isCorrect) record.correct += 1;
+
+  mastery[activity.id] = record;
+
+  try {
+    localStorage.setItem("timeMatrixMastery", JSON.stringify(mastery));
+  } catch (error) {
+    console.error("Could not save the practice records:", error);
+  }
+}
+
+/**
+ * Tell the player why the round has no activities to play
+ * A practice round is empty when nothing is due yet, so this says when to come
+ * back; a hot-seat round when there are fewer activities than players.
+ */
+function renderEmptyRound() {
+  const t = translations[currentLanguage];
+  const mastery = loadMastery();
+  const message =
+    roundSettings.mode === GAME_MODES.HOT_SEAT
+      ? t.hotSeatTooFewActivities
+      : translate("practiceNothingDue", {
+          date: formatPracticeDate(
+            Math.min(
+              ...activities
+                .filter((activity) => mastery[activity.id])
+                .map((activity) => mastery[activity.id].due),
+            ),
+          ),
+        });
+
+  currentActivityEl.innerHTML = `
+        <div style="text-align: center;">
+            <p class="round-empty">${escapeHtml(message)}</p>
+            <button onclick="showPackPicker()" style="margin-top: 20px; padding: 10px 20px; background-color: var(--secondary-color); color: white; border: none; border-radius: 4px; cursor: pointer;">${escapeHtml(t.changePack)}</button>
+        </div>
+    `;
+}
+
+/**
+ * Format the date a practice record is next due for the current language
+ * @param {number} timestamp - The due time (ms since epoch)
+ * @returns {string} The formatted date
+ */
+function formatPracticeDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString(currentLanguage, {
+    dateStyle: "medium",
+  });
+}
+
+/**
+ * Build the practice summary for the results screen: how many of the loaded
+ * activities are mastered and how many are due for review
+ * @returns {string} HTML markup for the summary
+ */
+function renderPracticeSummary() {
+  const mastery = loadMastery();
+  const now = Date.now();
+
+  const mastered = activities.filter(
+    (activity) =>
+      mastery[activity.id] && mastery[activity.id].box >= PRACTICE_MASTERED_BOX,
+  ).length;
+  const due = activities.filter(
+    (activity) => !mastery[activity.id] || mastery[activity.id].due <= now,
+  ).length;
+
+  return `<p class="practice-summary">${escapeHtml(
+    translate("practiceSummary", {
+      mastered,
+      total: activities.length,
+      due,
+    }),
+  )}</p>`;
+}
+
+/**
+ * Create a random number generator
+ * @param {string} [seed] - Text to seed the generator with; empty for Math.random
+ * @returns {Function} A function returning numbers in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+  if (!seed) {
+    return Math.random;
+  }
+
+  // Hash the seed text into a 32-bit state (FNV-1a)
+  let state = 2166136261;
+  for (const char of seed) {
+    state = Math.imul(state ^ char.codePointAt(0), 16777619);
+  }
+
+  // Mulberry32: small, fast and good enough for shuffling cards
+  return function () {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Validate an activity pack against the activity schema
+ *
+ * Each activity needs a description with at least an English text and a
+ * correctQuadrant of q1-q4. The optional explanation and whyNot notes are
+ * checked too. Entries with errors (or duplicating an earlier description)
+ * are left out; missing translations are only reported as warnings.
+ *
+ * @param {Object} data - The parsed activity pack
+ * @returns {{activities: Array, problems: Array}} Valid activities and the problems found
+ */
+function validateActivityPack(data) {
+  const problems = [];
+  const valid = [];
+  const seen = new Map(); // Normalized English description -> first index
+  const seenIds = new Map(); // Activity id -> first index
+
+  if (!data || !Array.isArray(data.activities)) {
+    problems.push(
+      createProblem(null, "activities", "must be an array of activities"),
+    );
+    return { activities: valid, problems };
+  }
+
+  data.activities.forEach((activity, index) => {
+    const entryProblems = validateActivity(activity, index);
+    problems.push(...entryProblems);
+
+    if (entryProblems.some((problem) => problem.severity === "error")) {
+      return;
+    }
+
+    // Skip entries that repeat an earlier activity
+    const key = activity.description.en.trim().toLowerCase();
+    if (seen.has(key)) {
+      problems.push(
+        createProblem(
+          index,
+          "description.en",
+          `duplicates activities[${seen.get(key)}]`,
+        ),
+      );
+      return;
+    }
+
+    // Ids key practice records, so two activities can't share one
+    if (activity.id !== undefined && seenIds.has(activity.id)) {
+      problems.push(
+        createProblem(
+          index,
+          "id",
+          `duplicates the id of activities[${seenIds.get(activity.id)}]`,
+        ),
+      );
+      return;
+    }
+
+    seen.set(key, index);
+    if (activity.id !== undefined) seenIds.set(activity.id, index);
+    valid.push(activity);
+  });
+
+  return { activities: valid, problems };
+}
+
+/**
+ * Validate a single activity entry
+ * @param {Object} activity - The activity to check
+ * @param {number} index - Position of the activity in the pack
+ * @returns {Array} Problems found in the entry
+ */
+function validateActivity(activity, index) {
+  const problems = [];
+
+  if (typeof activity !== "object" || activity === null) {
+    problems.push(createProblem(index, "", "must be an object"));
+    return problems;
+  }
+
+  // Id: optional, keys the activity's practice record across sessions
+  if (
+    activity.id !== undefined &&
+    (typeof activity.id !== "string" || !activity.id.trim())
+  ) {
+    problems.push(createProblem(index, "id", "must be a non-empty string"));
+  }
+
+  // Description: required, English text required
+  problems.push(
+    ...validateLocalizedText(activity.description, index, "description", true),
+  );
+
+  // Correct quadrant: required, one of q1-q4
+  if (!activity.correctQuadrant) {
+    problems.push(createProblem(index, "correctQuadrant", "is required"));
+  } else if (!QUADRANTS.includes(activity.correctQuadrant)) {
+    problems.push(
+      createProblem(
+        index,
+        "correctQuadrant",
+        `must be one of ${QUADRANTS.join(", ")} (got ${JSON.stringify(activity.correctQuadrant)})`,
+      ),
+    );
+  }
+
+  // Explanation: optional
+  if (activity.explanation !== undefined) {
+    problems.push(
+      ...validateLocalizedText(
+        activity.explanation,
+        index,
+        "explanation",
+        false,
+      ),
+    );
+  }
+
+  // "Why not" notes: optional, keyed by the other quadrants
+  if (activity.whyNot !== undefined) {
+    if (typeof activity.whyNot !== "object" || activity.whyNot === null) {
+      problems.push(
+        createProblem(index, "whyNot", "must be an object keyed by quadrant"),
+      );
+    } else {
+      Object.keys(activity.whyNot).forEach((quadrant) => {
+        if (!QUADRANTS.includes(quadrant)) {
+          problems.push(
+            createProblem(
+              index,
+              `whyNot.${quadrant}`,
+              `must be keyed by one of ${QUADRANTS.join(", ")}`,
+            ),
+          );
+        } else if (quadrant === activity.correctQuadrant) {
+          problems.push(
+            createProblem(
+              index,
+              `whyNot.${quadrant}`,
+              "explains the correct quadrant and will never be shown",
+              "warning",
+            ),
+          );
+        } else {
+          problems.push(
+            ...validateLocalizedText(
+              activity.whyNot[quadrant],
+              index,
+              `whyNot.${quadrant}`,
+              false,
+            ),
+          );
+        }
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a localized text value ({ en: "...", pt: "..." })
+ * English is mandatory; other languages known to the UI are expected and
+ * reported as warnings when missing. Regional variants (e.g. 'pt-BR') are
+ * only expected when their parent language is missing too.
+ * @param {*} value - The value to check
+ * @param {number} index - Position of the activity in the pack
+ * @param {string} field - Field name used in problem reports
+ * @param {boolean} required - Whether the value must be present
+ * @returns {Array} Problems found in the value
+ */
+function validateLocalizedText(value, index, field, required) {
+  const problems = [];
+
+  if (value === undefined || value === null) {
+    if (required) {
+      problems.push(createProblem(index, field, "is required"));
+    }
+    return problems;
+  }
+
+  if (typeof value !== "object" || Array.isArray(value)) {
+    problems.push(
+      createProblem(index, field, 'must be an object like { "en": "..." }'),
+    );
+    return problems;
+  }
+
+  if (typeof value.en !== "string" || value.en.trim() === "") {
+    problems.push(createProblem(index, `${field}.en`, "is required"));
+  }
+
+  Object.keys(value).forEach((language) => {
+    if (language !== "en" && typeof value[language] !== "string") {
+      problems.push(
+        createProblem(index, `${field}.${language}`, "must be a string"),
+      );
+    }
+  });
+
+  Object.keys(translations).forEach((language) => {
+    const expected = getLocaleChain(language).slice(0, -1);
+    if (
+      expected.length > 0 &&
+      expected.every((candidate) => !value[candidate])
+    ) {
+      problems.push(
+        createProblem(
+          index,
+          `${field}.${language}`,
+          "missing translation",
+          "warning",
+        ),
+      );
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Check that a translation is a string, or plural forms with an "other" form
+ * @param {*} value - The value from lang.json
+ * @returns {boolean} Whether translate() can use it
+ */
+function isTranslationValue(value) {
+  if (typeof value === "string") return true;
+
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    typeof value.other === "string" &&
+    Object.values(value).every((form) => typeof form === "string")
+  );
+}
+
+/**
+ * Validate the translation file against its English strings
+ * Missing or invalid keys are filled in along the language's locale chain
+ * (e.g. 'pt-BR' from 'pt', then English), and keys English doesn't know about
+ * are reported as unused. Missing keys are reported, except in regional
+ * variants, which only list what differs from their parent language.
+ * @param {Object} data - The parsed translation file
+ * @returns {{translations: Object, problems: Array}} Usable translations and the problems found
+ */
+function validateTranslations(data) {
+  const problems = [];
+  const reference = data[FALLBACK_LANGUAGE];
+  const result = {};
+
+  // Parents first, so 'pt' is ready to fill the gaps of 'pt-BR'
+  const languages = Object.keys(data).sort(
+    (a, b) => a.split("-").length - b.split("-").length,
+  );
+
+  languages.forEach((language) => {
+    const strings = data[language];
+    const parent = getLocaleChain(language)
+      .slice(1)
+      .find((candidate) => result[candidate]);
+    result[language] = { ...(parent ? result[parent] : reference) };
+
+    if (typeof strings !== "object" || strings === null) {
+      problems.push(
+        createProblem(null, language, "must be an object of strings"),
+      );
+      return;
+    }
+
+    Object.keys(reference).forEach((key) => {
+      if (!(key in strings)) {
+        if (parent && parent !== FALLBACK_LANGUAGE) return;
+
+        problems.push(
+          createProblem(
+            null,
+            `${language}.${key}`,
+            "missing translation",
+            "warning",
+          ),
+        );
+      } else if (!isTranslationValue(strings[key])) {
+        problems.push(
+          createProblem(
+            null,
+            `${language}.${key}`,
+            'must be a string or plural forms like { "other": "..." }',
+          ),
+        );
+      } else {
+        result[language][key] = strings[key];
+      }
+    });
+
+    Object.keys(strings).forEach((key) => {
+      if (!(key in reference)) {
+        problems.push(
+          createProblem(
+            null,
+            `${language}.${key}`,
+            "is not used (not in en)",
+            "warning",
+          ),
+        );
+      }
+    });
+  });
+
+  return { translations: result, problems };
+}
+
+/**
+ * Create a content problem record
+ * @param {number|null} index - Activity index, or null for file-level problems
+ * @param {string} field - The field the problem relates to
+ * @param {string} issue - Human-readable description of the problem
+ * @param {string} severity - 'error' (entry skipped) or 'warning'
+ * @returns {Object} The problem record
+ */
+function createProblem(index, field, issue, severity = "error") {
+  return { index, field, issue, severity };
+}
+
+/**
+ * Report content problems in the console and in the UI
+ * @param {string} source - The file or source the problems were found in
+ * @param {Array} problems - Problems returned by a validator
+ */
+function reportContentProblems(source, problems) {
+  if (problems.length === 0) {
+    return;
+  }
+
+  const located = locateProblems(source, problems);
+
+  console.warn(`${problems.length} problem(s) found in ${source}:`);
+  console.table(
+    located.map(({ location, severity, issue }) => ({
+      location,
+      severity,
+      issue,
+    })),
+  );
+
+  // Replace what was reported earlier for the same source
+  contentProblems = contentProblems
+    .filter((problem) => problem.source !== source)
+    .concat(located);
+  renderContentProblems();
+}
+
+/**
+ * Add the source and a readable location to problem records
+ * @param {string} source - The file or source the problems were found in
+ * @param {Array} problems - Problems returned by a validator
+ * @returns {Array} The problems with source and location
+ */
+function locateProblems(source, problems) {
+  return problems.map((problem) => ({
+    source,
+    location: formatProblemLocation(problem),
+    ...problem,
+  }));
+}
+
+/**
+ * Format where a problem was found, e.g. activities[5].correctQuadrant
+ * @param {Object} problem - The problem record
+ * @returns {string} The problem location
+ */
+function formatProblemLocation(problem) {
+  if (problem.index === null) {
+    return problem.field;
+  }
+
+  if (problem.collection === "row") {
+    const column = problem.field ? ` (${problem.field})` : "";
+    return `row ${problem.index}${column}`;
+  }
+
+  const field = problem.field ? `.${problem.field}` : "";
+  return `${problem.collection || "activities"}[${problem.index}]${field}`;
+}
+
+/**
+ * Render the list of content problems above the game
+ */
+function renderContentProblems() {
+  if (!contentProblemsEl) return;
+
+  if (contentProblems.length === 0) {
+    contentProblemsEl.className = "content-problems hidden";
+    contentProblemsEl.innerHTML = "";
+    return;
+  }
+
+  // Problems found while lang.json is still loading are shown by applyTranslations
+  if (!translations[currentLanguage]) return;
+
+  const t = translations[currentLanguage];
+  const errorCount = contentProblems.filter(
+    (problem) => problem.severity === "error",
+  ).length;
+
+  const items = contentProblems.map(renderProblemItem).join("");
+
+  contentProblemsEl.innerHTML = `
+        <details>
+            <summary>⚠️ ${escapeHtml(t.problemsTitle)} (${contentProblems.length})</summary>
+            <p>${escapeHtml(translate("problemsSkipped", { count: errorCount }))}</p>
+            <ul>${items}</ul>
+        </details>
+    `;
+  contentProblemsEl.className = "content-problems";
+}
+
+/**
+ * Build the list item markup for a located problem
+ * @param {Object} problem - A problem with source and location
+ * @returns {string} HTML markup for the list item
+ */
+function renderProblemItem(problem) {
+  return `
+        <li class="problem-${problem.severity}">
+            <code>${escapeHtml(problem.source)}${problem.location ? ` &rsaquo; ${escapeHtml(problem.location)}` : ""}</code>
+            ${escapeHtml(problem.issue)}
+        </li>
+    `;
+}
+
+/**
+ * Fisher-Yates shuffle algorithm to randomize array order
+ * @param {Array} array - The array to shuffle
+ * @param {Function} [random] - Random number generator (see createRandom)
+ * @returns {Array} - New shuffled array
+ */
+function shuffleArray(array, random = Math.random) {
+  // Create a copy to avoid mutating the original array
+  const shuffled = [...array];
+
+  // Fisher-Yates shuffle algorithm
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    // Generate random index between 0 and i
+    const j = Math.floor(random() * (i + 1));
+
+    // Swap elements at positions i and j
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+}
+
+/**
+ * Move the game to a new state
+ * Invalid transitions are ignored so stray clicks, key presses and timers can't
+ * push the game into an inconsistent state. While paused, the change is
+ * remembered and applied when the game resumes.
+ * @param {string} nextState - One of GAME_STATES
+ * @returns {boolean} Whether the change was accepted
+ */
+function setGameState(nextState) {
+  const fromState =
+    gameState === GAME_STATES.PAUSED && nextState !== GAME_STATES.PAUSED
+      ? pausedState
+      : gameState;
+
+  if (fromState === nextState) {
+    return true;
+  }
+
+  if (!GAME_STATE_TRANSITIONS[fromState].includes(nextState)) {
+    console.warn(
+      `Ignoring invalid game state change: ${fromState} -> ${nextState}`,
+    );
+    return false;
+  }
+
+  if (fromState !== gameState) {
+    // Paused: apply the change once the game resumes
+    pausedState = nextState;
+  } else {
+    gameState = nextState;
+  }
+
+  updateInputAvailability();
+  return true;
+}
+
+/**
+ * Enable the quadrant buttons only while an answer is expected
+ */
+function updateInputAvailability() {
+  document.body.dataset.gameState = gameState;
+
+  document.querySelectorAll(".select-btn, .axis-btn").forEach((button) => {
+    button.disabled = gameState !== GAME_STATES.AWAITING_ANSWER;
+  });
+}
+
+/**
+ * Schedule the move to the next activity
+ * @param {number} delay - Milliseconds to wait before advancing
+ */
+function scheduleAdvance(delay) {
+  clearAdvanceTimer();
+
+  advanceDueAt = Date.now() + delay;
+  advanceTimer = setTimeout(() => {
+    advanceTimer = null;
+    showNextActivity();
+  }, delay);
+}
+
+/**
+ * Cancel any pending move to the next activity
+ */
+function clearAdvanceTimer() {
+  if (advanceTimer) {
+    clearTimeout(advanceTimer);
+    advanceTimer = null;
+  }
+}
+
+/**
+ * Pause the game, suspending input and the pending advance timer
+ */
+function pauseGame() {
+  if (gameState === GAME_STATES.PAUSED) {
+    return;
+  }
+
+  advanceRemaining = null;
+  if (advanceTimer) {
+    advanceRemaining = Math.max(0, advanceDueAt - Date.now());
+    clearAdvanceTimer();
+  }
+
+  // Time spent reading the rules doesn't count against the player
+  stopQuestionClock();
+
+  pausedState = gameState;
+  setGameState(GAME_STATES.PAUSED);
+}
+
+/**
+ * Resume a paused game where it left off
+ */
+function resumeGame() {
+  if (gameState !== GAME_STATES.PAUSED) {
+    return;
+  }
+
+  gameState = pausedState;
+  pausedState = null;
+  updateInputAvailability();
+
+  // Finish the feedback delay that was interrupted by the pause
+  if (gameState === GAME_STATES.SHOWING_FEEDBACK && advanceRemaining !== null) {
+    scheduleAdvance(advanceRemaining);
+  }
+
+  if (gameState === GAME_STATES.AWAITING_ANSWER) {
+    runQuestionClock();
+  }
+}
+
+/**
+ * Start timing a newly displayed activity
+ */
+function startQuestionClock() {
+  stopQuestionClock();
+  questionElapsed = 0;
+  runQuestionClock();
+}
+
+/**
+ * Start (or continue) the clock of the current activity
+ * In timed mode this also runs the countdown.
+ */
+function runQuestionClock() {
+  questionStartedAt = Date.now();
+
+  if (getRoundMode() === GAME_MODES.TIMED) {
+    clearInterval(countdownTimer);
+    countdownTimer = setInterval(updateCountdown, 100);
+    updateCountdown();
+  }
+}
+
+/**
+ * Stop the clock of the current activity
+ * @returns {number} Time (ms) spent on the activity so far
+ */
+function stopQuestionClock() {
+  questionElapsed = getQuestionTime();
+  questionStartedAt = 0;
+
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+
+  return questionElapsed;
+}
+
+/**
+ * Get the time spent on the current activity, leaving out pauses
+ * @returns {number} Time in milliseconds
+ */
+function getQuestionTime() {
+  const running = questionStartedAt ? Date.now() - questionStartedAt : 0;
+  return questionElapsed + running;
+}
+
+/**
+ * Update the timed mode countdown and treat running out of time as a miss
+ */
+function updateCountdown() {
+  const remaining = Math.max(0, TIMED_QUESTION_LIMIT - getQuestionTime());
+
+  countdownEl.textContent = Math.ceil(remaining / 1000);
+  countdownEl.classList.toggle("countdown-low", remaining <= 3000);
+
+  if (remaining === 0) {
+    selectQuadrant(null);
+  }
+}
+
+/**
+ * Start the game by displaying the first activity
+ */
+function startGame() {
+  if (activities.length === 0) {
+    return;
+  }
+
+  clearAdvanceTimer();
+  stopQuestionClock();
+  setGameState(GAME_STATES.LOADING);
+  roundStartedAt = Date.now();
+
+  // Nothing due in a practice round, or too few activities for the hot-seat players
+  if (shuffledActivities.length === 0) {
+    renderEmptyRound();
+    return;
+  }
+
+  if (getRoundMode() === GAME_MODES.HOT_SEAT) {
+    resetHotSeat();
+  }
+
+  if (getRoundMode() === GAME_MODES.BUZZER) {
+    resetBuzzer();
+  }
+
+  if (getRoundMode() === GAME_MODES.BOARD) {
+    startBoard();
+  } else {
+    clearBoard();
+    displayActivity(0);
+  }
+}
+
+/**
+ * Display the current activity
+ * @param {number} index - Index of the activity to display in the shuffled array
+ */
+function displayActivity(index) {
+  // Check if we've reached the end of activities
+  if (index >= shuffledActivities.length) {
+    endGame();
+    return;
+  }
+
+  currentActivityIndex = index;
+  const activity = shuffledActivities[index];
+  setGameState(GAME_STATES.AWAITING_ANSWER);
+  startQuestionClock();
+  resetAxisAnswers();
+
+  // Get the activity description in the current language
+  const activityText = getActivityText(activity);
+
+  // Update the activity display
+  currentActivityEl.textContent = activityText;
+
+  // Update progress
+  renderProgress(index + 1);
+
+  // Show whose turn it is, or which keys each team buzzes with
+  if (getRoundMode() === GAME_MODES.HOT_SEAT) {
+    renderHotSeat();
+  }
+
+  if (getRoundMode() === GAME_MODES.BUZZER) {
+    renderBuzzer();
+  }
+
+  // Clear any previous feedback
+  hideFeedback();
+
+  // Read the new activity out, after whose turn it is in group modes
+  const turnEl = document.getElementById("turn-indicator");
+  announce(
+    turnEl.classList.contains("hidden")
+      ? activityText
+      : `${turnEl.textContent} ${activityText}`,
+  );
+
+  // Add pulse animation to all quadrants to indicate they're clickable
+  document.querySelectorAll(".quadrant").forEach((quadrant) => {
+    quadrant.classList.add("pulse");
+    setTimeout(() => quadrant.classList.remove("pulse"), 300);
+  });
+}
+
+/**
+ * Handle quadrant selection
+ * @param {string|null} selectedQuadrant - The quadrant that was selected (q1, q2,
+ *   q3, q4), or null when the time ran out in timed mode
+ * @param {number|null} [teamIndex] - In buzzer mode, the team whose key was pressed
+ */
+function selectQuadrant(selectedQuadrant, teamIndex = null) {
+  // Only accept one answer per activity, and none while paused or finished
+  if (gameState !== GAME_STATES.AWAITING_ANSWER) {
+    return;
+  }
+
+  // On the board, the quadrant buttons and keys place the picked card instead
+  if (getRoundMode() === GAME_MODES.BOARD) {
+    if (selectedBoardCard !== null) {
+      placeBoardCard(selectedBoardCard, selectedQuadrant);
+    }
+    return;
+  }
+
+  setGameState(GAME_STATES.SHOWING_FEEDBACK);
+  const responseTime = stopQuestionClock();
+  const currentActivity = shuffledActivities[currentActivityIndex];
+
+  // Check if the selection is correct (running out of time counts as a miss)
+  const isCorrect = selectedQuadrant === currentActivity.correctQuadrant;
+
+  // Remember the answer so the results screen can explain the misses
+  answerLog.push({
+    activity: currentActivity,
+    selectedQuadrant,
+    isCorrect,
+    responseTime,
+  });
+
+  const bonus = updateScore(isCorrect, responseTime);
+
+  // Practice rounds feed the spaced-repetition schedule
+  if (getRoundMode() === GAME_MODES.PRACTICE) {
+    updateMastery(currentActivity, isCorrect);
+  }
+
+  if (getRoundMode() === GAME_MODES.HOT_SEAT) {
+    scoreHotSeatTurn(isCorrect);
+  }
+
+  // Show visual feedback on the selected quadrant
+  if (selectedQuadrant) {
+    showQuadrantFeedback(selectedQuadrant, isCorrect);
+  }
+
+  // The team that buzzed in wins or loses points
+  if (getRoundMode() === GAME_MODES.BUZZER) {
+    scoreBuzzerAnswer(teamIndex, isCorrect);
+  }
+
+  // Missed activities come back at the end of a review round until they're answered correctly
+  if (isReviewRound && !isCorrect) {
+    shuffledActivities.push(currentActivity);
+    totalActivities = shuffledActivities.length;
+  }
+
+  // Keep the round so far, so it survives a reload
+  saveGame();
+
+  // Show text feedback message
+  lastFeedback = { answer: answerLog[answerLog.length - 1], bonus, teamIndex };
+  showAnswerFeedback();
+
+  if (waitsForNext()) {
+    // Keep the feedback and explanation up until the player moves on
+    feedbackEl.querySelector(".feedback-next-btn").focus();
+    return;
+  }
+
+  // Move to next activity after a short delay, leaving time to read any explanation
+  const delay = getActivityExplanation(currentActivity)
+    ? EXPLANATION_FEEDBACK_DELAY
+    : FEEDBACK_DELAY;
+  scheduleAdvance(delay);
+}
+
+/**
+ * Show the feedback on the last answer (see lastFeedback)
+ * Besides the verdict and explanation, this names the team that buzzed in and,
+ * when the round waits for the player, adds the button that moves on. The
+ * feedback is read out too, since screen readers don't notice it appearing.
+ */
+function showAnswerFeedback() {
+  const { answer, bonus, teamIndex } = lastFeedback;
+  const team = buzzerTeams[teamIndex];
+
+  showTextFeedback(
+    answer.isCorrect,
+    answer.activity,
+    answer.selectedQuadrant,
+    bonus,
+  );
+
+  if (getRoundMode() === GAME_MODES.BUZZER && team) {
+    const points = answer.isCorrect
+      ? BUZZER_POINTS.correct
+      : BUZZER_POINTS.wrong;
+
+    feedbackEl.insertAdjacentHTML(
+      "afterbegin",
+      `<p class="feedback-team">${escapeHtml(team.name)} ${points > 0 ? "+" : ""}${points}</p>`,
+    );
+  }
+
+  announce(feedbackEl.textContent.replace(/\s+/g, " ").trim());
+
+  if (waitsForNext()) {
+    showNextButton();
+  }
+}
+
+/**
+ * Whether the round waits for the player to move on after each answer
+ * Review rounds always do, so the explanations can be read at leisure; other
+ * rounds do when "wait for me" is set.
+ * @returns {boolean} True if a Next button replaces the automatic advance
+ */
+function waitsForNext() {
+  return isReviewRound || roundSettings.waitForNext === true;
+}
+
+/**
+ * Add a button to the feedback that moves on to the next activity
+ * Used in rounds that don't advance by themselves (see waitsForNext).
+ */
+function showNextButton() {
+  const t = translations[currentLanguage];
+  const nextBtn = document.createElement("button");
+
+  nextBtn.className = "feedback-next-btn";
+  nextBtn.textContent = t.nextActivity;
+  nextBtn.addEventListener("click", showNextActivity);
+
+  feedbackEl.appendChild(nextBtn);
+}
+
+/**
+ * Answer one of the two questions of two-axis mode
+ * Once both the importance and the urgency question are answered, the
+ * quadrant they point to is submitted like any other answer.
+ * @param {string} axis - 'important' or 'urgent'
+ * @param {boolean} value - The player's answer
+ */
+function answerAxis(axis, value) {
+  if (
+    gameState !== GAME_STATES.AWAITING_ANSWER ||
+    getRoundMode() !== GAME_MODES.TWO_AXIS
+  ) {
+    return;
+  }
+
+  axisAnswers[axis] = value;
+  renderAxisAnswers();
+
+  if (axisAnswers.important !== null && axisAnswers.urgent !== null) {
+    selectQuadrant(
+      getQuadrantFromAxes(axisAnswers.important, axisAnswers.urgent),
+    );
+  }
+}
+
+/**
+ * Clear the two-axis answers for a new activity
+ */
+function resetAxisAnswers() {
+  axisAnswers = { important: null, urgent: null };
+  renderAxisAnswers();
+}
+
+/**
+ * Mark the chosen answers on the two-axis buttons
+ */
+function renderAxisAnswers() {
+  document.querySelectorAll(".axis-btn").forEach((button) => {
+    const chosen = axisAnswers[button.dataset.axis];
+    const pressed = chosen !== null && String(chosen) === button.dataset.value;
+
+    button.classList.toggle("selected", pressed);
+    button.setAttribute("aria-pressed", pressed);
+  });
+}
+
+/**
+ * Get the quadrant for a pair of importance and urgency judgements
+ * @param {boolean} important - Whether the activity is important
+ * @param {boolean} urgent - Whether the activity is urgent
+ * @returns {string} The quadrant code
+ */
+function getQuadrantFromAxes(important, urgent) {
+  return QUADRANTS.find(
+    (quadrant) =>
+      QUADRANT_AXES[quadrant].important === important &&
+      QUADRANT_AXES[quadrant].urgent === urgent,
+  );
+}
+
+/**
+ * Get the axes on which a chosen quadrant differs from the correct one
+ * @param {string} selectedQuadrant - The quadrant the player chose
+ * @param {string} correctQuadrant - The correct quadrant
+ * @returns {Array<string>} 'important' and/or 'urgent'
+ */
+function getWrongAxes(selectedQuadrant, correctQuadrant) {
+  return ["important", "urgent"].filter(
+    (axis) =>
+      QUADRANT_AXES[selectedQuadrant][axis] !==
+      QUADRANT_AXES[correctQuadrant][axis],
+  );
+}
+
+/**
+ * Score an answer and update the score display
+ * A correct answer is worth 1 point. In timed mode, fast correct answers earn
+ * a speed bonus on top (see SPEED_BONUS_STEPS).
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @param {number} responseTime - Time (ms) the player took to answer
+ * @returns {number} The speed bonus awarded
+ */
+function updateScore(isCorrect, responseTime) {
+  if (!isCorrect) {
+    return 0;
+  }
+
+  const bonus =
+    getRoundMode() === GAME_MODES.TIMED ? getSpeedBonus(responseTime) : 0;
+
+  correctCount += 1;
+  score += 1 + bonus;
+  scoreEl.textContent = score;
+
+  return bonus;
+}
+
+/**
+ * Get the speed bonus for a correct answer in timed mode
+ * @param {number} responseTime - Time (ms) the player took to answer
+ * @returns {number} Bonus points
+ */
+function getSpeedBonus(responseTime) {
+  const step = SPEED_BONUS_STEPS.find(
+    (bonusStep) => responseTime <= bonusStep.within,
+  );
+  return step ? step.points : 0;
+}
+
+/**
+ * Show visual feedback on the selected quadrant
+ * @param {string} selectedQuadrant - The quadrant that was clicked
+ * @param {boolean} isCorrect - Whether the selection was correct
+ */
+function showQuadrantFeedback(selectedQuadrant, isCorrect) {
+  // Get the clicked quadrant element
+  const quadrantElement = document.querySelector(
+    `.quadrant.${selectedQuadrant}`,
+  );
+
+  if (!quadrantElement) return;
+
+  // Remove any existing feedback classes
+  quadrantElement.classList.remove("feedback-correct", "feedback-incorrect");
+
+  // Add appropriate feedback class
+  if (isCorrect) {
+    quadrantElement.classList.add("feedback-correct");
+  } else {
+    quadrantElement.classList.add("feedback-incorrect");
+  }
+
+  // Remove feedback after animation duration
+  setTimeout(() => {
+    quadrantElement.classList.remove("feedback-correct", "feedback-incorrect");
+  }, 2500);
+}
+
+/**
+ * Describe a wrongly judged axis, e.g. "Urgency: this activity is not urgent."
+ * @param {string} axis - 'important' or 'urgent'
+ * @param {string} correctQuadrant - The correct quadrant of the activity
+ * @returns {string} The translated description
+ */
+function getAxisMistakeText(axis, correctQuadrant) {
+  const t = translations[currentLanguage];
+  const isTrue = QUADRANT_AXES[correctQuadrant][axis];
+
+  if (axis === "important") {
+    return isTrue ? t.axisWasImportant : t.axisWasNotImportant;
+  }
+
+  return isTrue ? t.axisWasUrgent : t.axisWasNotUrgent;
+}
+
+/**
+ * Show the next activity in the sequence
+ */
+function showNextActivity() {
+  if (gameState !== GAME_STATES.SHOWING_FEEDBACK) {
+    return;
+  }
+
+  const nextIndex = currentActivityIndex + 1;
+
+  // Check if we've reached the end of activities
+  if (nextIndex >= shuffledActivities.length) {
+    endGame();
+    return;
+  }
+
+  // Display the next activity
+  displayActivity(nextIndex);
+}
+
+/**
+ * Show how far the round has got in the progress counter, e.g. "3 / 10"
+ * The plural form follows the round's total, like the other counters.
+ * @param {number} count - Activities answered (or cards placed) so far
+ */
+function renderProgress(count) {
+  progressCount = count;
+  progressEl.textContent = translate("progressValue", {
+    n: count,
+    total: totalActivities,
+    count: totalActivities,
+  });
+}
+
+/**
+ * Display feedback message to the user
+ * @param {string} message - The feedback message to display
+ * @param {string} type - Type of feedback ('success' or 'error')
+ */
+function showFeedback(message, type) {
+  feedbackEl.textContent = message;
+  feedbackEl.className = `feedback ${type}`; // Remove 'hidden' class and add type
+}
+
+/**
+ * Hide the feedback message
+ */
+function hideFeedback() {
+  feedbackEl.className = "feedback hidden";
+}
+
+/**
+ * Get the human-readable name of a quadrant
+ * @param {string} quadrant - The quadrant code (q1, q2, q3, q4)
+ * @returns {string} The human-readable quadrant name
+ */
+function getQuadrantName(quadrant) {
+  const t = translations[currentLanguage];
+
+  const names = {
+    q1: t.q1Title,
+    q2: t.q2Title,
+    q3: t.q3Title,
+    q4: t.q4Title,
+  };
+
+  return names[quadrant] || quadrant;
+}
+
+/**
+ * Get the text for the current language from a localized value
+ * @param {string|Object} value - Plain string or object keyed by language code
+ * @returns {string} The text in the current language, falling back along its
+ *   locale chain (e.g. 'pt-BR', then 'pt', then English)
+ */
+function getLocalizedText(value) {
+  if (typeof value === "object" && value !== null) {
+    const language = getLocaleChain(currentLanguage).find(
+      (candidate) => value[candidate],
+    );
+    return language ? value[language] : "";
+  }
+
+  return value || "";
+}
+
+/**
+ * Get the text shown on an activity's card
+ * @param {Object} activity - The activity object
+ * @returns {string} The description in the current language, or the closest one available
+ */
+function getActivityText(activity) {
+  return getLocalizedText(activity.description);
+}
+
+/**
+ * Get the explanation of why an activity belongs in its quadrant
+ * @param {Object} activity - The activity object
+ * @returns {string} The localized explanation, or an empty string if none
+ */
+function getActivityExplanation(activity) {
+  return getLocalizedText(activity.explanation);
+}
+
+/**
+ * Get the note explaining why an activity does not belong in a given quadrant
+ * @param {Object} activity - The activity object
+ * @param {string} quadrant - The quadrant code (q1, q2, q3, q4)
+ * @returns {string} The localized note, or an empty string if none
+ */
+function getWhyNotNote(activity, quadrant) {
+  if (!activity.whyNot || !activity.whyNot[quadrant]) {
+    return "";
+  }
+
+  return getLocalizedText(activity.whyNot[quadrant]);
+}
+
+/**
+ * Build the explanation markup shown with the feedback and on the results screen
+ * @param {Object} activity - The activity object
+ * @param {string|null} wrongQuadrant - The incorrectly chosen quadrant, if any
+ * @returns {string} HTML markup, empty when the activity has no explanation
+ */
+function renderExplanation(activity, wrongQuadrant) {
+  const t = (translations && translations[currentLanguage]) || {};
+  const explanation = getActivityExplanation(activity);
+  const whyNot = wrongQuadrant ? getWhyNotNote(activity, wrongQuadrant) : "";
+  let html = "";
+
+  if (explanation) {
+    html += `<p class="feedback-explanation"><strong>${escapeHtml(t.explanationLabel)}</strong> ${escapeHtml(explanation)}</p>`;
+  }
+
+  if (whyNot) {
+    html += `<p class="feedback-why-not"><strong>${escapeHtml(t.whyNotLabel)} ${wrongQuadrant.toUpperCase()}?</strong> ${escapeHtml(whyNot)}</p>`;
+  }
+
+  return html;
+}
+
+/**
+ * Build the list of missed activities, with explanations, for the results screen
+ * @returns {string} HTML markup for the review list
+ */
+function renderMissedActivities() {
+  const t = (translations && translations[currentLanguage]) || {};
+  const missed = answerLog.filter((answer) => !answer.isCorrect);
+
+  if (missed.length === 0) {
+    return `<p class="review-perfect">${escapeHtml(t.perfectRound)}</p>`;
+  }
+
+  const items = missed
+    .map(
+      (answer) => `
+            <li class="review-item">
+                <p class="review-activity">${escapeHtml(getLocalizedText(answer.activity.description))}</p>
+                <p class="review-answer">
+                    ${escapeHtml(t.yourAnswerLabel)} ${answer.selectedQuadrant ? answer.selectedQuadrant.toUpperCase() : escapeHtml(t.timedOutAnswer)} &middot;
+                    ${escapeHtml(t.correctAnswerLabel)} ${escapeHtml(getQuadrantName(answer.activity.correctQuadrant))}
+                </p>
+                ${renderExplanation(answer.activity, answer.selectedQuadrant)}
+            </li>
+        `,
+    )
+    .join("");
+
+  return `
+        <div class="review-list">
+            <h4>${escapeHtml(t.reviewTitle)}</h4>
+            <ul>${items}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Count how often activities of each quadrant were placed in each quadrant
+ * @param {Array} answers - Answers as kept in answerLog
+ * @returns {Object} Counts keyed by correct quadrant, then by chosen quadrant
+ *   ('none' for questions that ran out of time), e.g. matrix.q3.q1
+ */
+function getConfusionMatrix(answers) {
+  const matrix = {};
+  QUADRANTS.forEach((correct) => {
+    matrix[correct] = { none: 0 };
+    QUADRANTS.forEach((chosen) => (matrix[correct][chosen] = 0));
+  });
+
+  answers.forEach((answer) => {
+    const row = matrix[answer.activity.correctQuadrant];
+    if (row) row[answer.selectedQuadrant || "none"] += 1;
+  });
+
+  return matrix;
+}
+
+/**
+ * Find the most frequent mix-up in a confusion matrix
+ * @param {Object} matrix - Counts as returned by getConfusionMatrix
+ * @returns {{correct: string, chosen: string, count: number}|null} The mix-up,
+ *   or null when every answer was right
+ */
+function getTopMistake(matrix) {
+  let topMistake = null;
+
+  QUADRANTS.forEach((correct) => {
+    QUADRANTS.forEach((chosen) => {
+      const count = matrix[correct][chosen];
+      if (
+        chosen !== correct &&
+        count > 0 &&
+        (!topMistake || count > topMistake.count)
+      ) {
+        topMistake = { correct, chosen, count };
+      }
+    });
+  });
+
+  return topMistake;
+}
+
+/**
+ * Build the 4×4 confusion matrix shown on the results screen
+ * Rows are the correct quadrants and columns the player's answers, so the
+ * cells off the diagonal show which quadrants the player mixes up.
+ * @param {Array} answers - Answers as kept in answerLog
+ * @returns {string} HTML markup for the matrix
+ */
+function renderConfusionMatrix(answers) {
+  const t = (translations && translations[currentLanguage]) || {};
+  const matrix = getConfusionMatrix(answers);
+
+  // Only timed rounds can leave questions unanswered
+  const columns = QUADRANTS.some((quadrant) => matrix[quadrant].none > 0)
+    ? [...QUADRANTS, "none"]
+    : QUADRANTS;
+
+  // Point out the most frequent mix-up under the matrix
+  const topMistake = getTopMistake(matrix);
+
+  const header = columns
+    .map((chosen) =>
+      chosen === "none"
+        ? `<th scope="col">${escapeHtml(t.confusionNoAnswer)}</th>`
+        : `<th scope="col" title="${escapeHtml(getQuadrantName(chosen))}">${chosen.toUpperCase()}</th>`,
+    )
+    .join("");
+
+  const rows = QUADRANTS.map((correct) => {
+    const cells = columns
+      .map((chosen) => {
+        const count = matrix[correct][chosen];
+        const type = chosen === correct ? "hit" : count > 0 ? "miss" : "empty";
+        return `<td class="confusion-cell confusion-${type}">${count}</td>`;
+      })
+      .join("");
+
+    return `
+            <tr>
+                <th scope="row" title="${escapeHtml(getQuadrantName(correct))}">${correct.toUpperCase()}</th>
+                ${cells}
+            </tr>
+        `;
+  }).join("");
+
+  const insight = topMistake
+    ? `<p class="confusion-insight">${escapeHtml(
+        translate("confusionTopMistake", {
+          correct: topMistake.correct.toUpperCase(),
+          chosen: topMistake.chosen.toUpperCase(),
+          count: topMistake.count,
+        }),
+      )}</p>`
+    : "";
+
+  return `
+        <div class="confusion-matrix">
+            <h4>${escapeHtml(t.confusionTitle)}</h4>
+            <table>
+                <thead>
+                    <tr>
+                        <th scope="col" class="confusion-corner">${escapeHtml(t.confusionCorrectAxis)} ↓ / ${escapeHtml(t.confusionChosenAxis)} →</th>
+                        ${header}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${insight}
+        </div>
+    `;
+}
+
+/**
+ * Escape text for safe insertion into HTML markup
+ * @param {string} text - The raw text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Apply translations to all UI elements
+ *
+ * Static markup declares what it shows, so adding a string needs no code:
+ *   data-i18n="key"                       sets the element's text
+ *   data-i18n-attr="title:key, alt:key"   sets attributes
+ *   data-i18n-params='{"count": 3}'       fills the {placeholders} of both
+ */
+function applyTranslations() {
+  if (!translations || !translations[currentLanguage]) {
+    console.error("Translations not loaded or current language not found");
+    return;
+  }
+
+  document.documentElement.lang = currentLanguage;
+
+  // Update every element bound to a translation key
+  document
+    .querySelectorAll("[data-i18n], [data-i18n-attr]")
+    .forEach(translateElement);
+
+  // Update language selector options
+  updateLanguageSelectorOptions();
+
+  // Update the content problems panel, if shown
+  renderContentProblems();
+}
+
+/**
+ * Translate one element from its data-i18n attributes
+ * @param {HTMLElement} element - An element with data-i18n or data-i18n-attr
+ */
+function translateElement(element) {
+  const { i18n, i18nAttr, i18nParams } = element.dataset;
+  const params = i18nParams ? JSON.parse(i18nParams) : {};
+
+  if (i18n) {
+    element.textContent = translate(i18n, params);
+  }
+
+  if (i18nAttr) {
+    i18nAttr.split(",").forEach((binding) => {
+      const [attribute, key] = binding.split(":").map((part) => part.trim());
+      element.setAttribute(attribute, translate(key, params));
+    });
+  }
+}
+
+/**
+ * Look a string up in the current language and fill in its parameters
+ * A plural string is an object of Intl.PluralRules forms, e.g.
+ * { "one": "{count} activity", "other": "{count} activities" }, and the form
+ * is picked by the count parameter. Every plural string needs an "other" form.
+ * @param {string} key - The translation key
+ * @param {Object} [params] - Values for the string's {placeholders}
+ * @returns {string} The translated text, or the key itself if it is unknown
+ */
+function translate(key, params = {}) {
+  const value = (translations[currentLanguage] || {})[key];
+
+  if (value === undefined) {
+    console.warn("Missing translation:", key);
+    return key;
+  }
+
+  let text = value;
+  if (typeof value === "object") {
+    const form = new Intl.PluralRules(currentLanguage).select(
+      Number(params.count),
+    );
+    text = value[form] || value.other;
+  }
+
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder,
+  );
+}
+
+/**
+ * Update language selector options
+ * Every language in lang.json is offered, each under its own name.
+ */
+function updateLanguageSelectorOptions() {
+  if (!languageSelectEl) return;
+
+  // Clear existing options
+  languageSelectEl.innerHTML = "";
+
+  Object.keys(translations).forEach((language) => {
+    const option = document.createElement("option");
+    option.value = language;
+    option.lang = language;
+    option.textContent = translations[language].languageName;
+    languageSelectEl.appendChild(option);
+  });
+
+  // Set current language
+  languageSelectEl.value = currentLanguage;
+}
+
+/**
+ * Change language and update UI
+ * @param {string} language - The language code (e.g., 'en', 'pt')
+ */
+function changeLanguage(language) {
+  if (!translations || !translations[language]) {
+    console.error("Language not available:", language);
+    return;
+  }
+
+  // Update current language
+  currentLanguage = language;
+
+  // Save to localStorage
+  localStorage.setItem("timeMatrixLanguage", language);
+
+  // Apply translations
+  applyTranslations();
+
+  // Re-render the pack picker, or the round in progress where it stands
+  // (a paused game, e.g. with the help open, is wherever it was paused)
+  const state = gameState === GAME_STATES.PAUSED ? pausedState : gameState;
+  if (state === GAME_STATES.SETUP) {
+    renderPackPicker();
+    renderImportPreview();
+    renderPackEditor();
+    renderHistory();
+    renderFacilitator();
+  } else {
+    renderGameLanguage();
+  }
+}
+
+/**
+ * Show the round in progress in the current language
+ * Only the text changes: the score, the position in the round, the answers
+ * and any running timer carry on as they were.
+ */
+function renderGameLanguage() {
+  const state = gameState === GAME_STATES.PAUSED ? pausedState : gameState;
+  const mode = getRoundMode();
+
+  renderProgress(progressCount);
+
+  // Players and teams without a name of their own are named in the language;
+  // before the round has its players (e.g. while loading) there is no one to rename
+  if (mode === GAME_MODES.HOT_SEAT) {
+    const names = getHotSeatNames();
+    hotSeatPlayers.forEach(
+      (player, index) => (player.name = names[index] || player.name),
+    );
+  }
+
+  if (mode === GAME_MODES.BUZZER) {
+    buzzerTeams.forEach((team, index) => (team.name = getTeamName(index)));
+  }
+
+  if (mode === GAME_MODES.BOARD) {
+    if (state === GAME_STATES.AWAITING_ANSWER) {
+      currentActivityEl.textContent =
+        translations[currentLanguage].boardInstructions;
+    }
+    renderBoard();
+  }
+
+  if (state === GAME_STATES.FINISHED) {
+    renderResults();
+    return;
+  }
+
+  if (
+    state === GAME_STATES.LOADING &&
+    currentActivityEl.querySelector(".round-empty")
+  ) {
+    renderEmptyRound();
+    return;
+  }
+
+  if (
+    mode === GAME_MODES.BOARD ||
+    ![GAME_STATES.AWAITING_ANSWER, GAME_STATES.SHOWING_FEEDBACK].includes(state)
+  ) {
+    return;
+  }
+
+  currentActivityEl.textContent = getActivityText(
+    shuffledActivities[currentActivityIndex],
+  );
+
+  if (mode === GAME_MODES.HOT_SEAT) {
+    renderHotSeat();
+  }
+
+  if (mode === GAME_MODES.BUZZER) {
+    renderBuzzer();
+  }
+
+  if (state === GAME_STATES.SHOWING_FEEDBACK) {
+    showAnswerFeedback();
+  }
+}
+
+/**
+ * Toggle the help modal visibility
+ * Focus moves into the modal when it opens and back to where it was when it
+ * closes, so keyboard and screen reader users don't lose their place.
+ */
+function toggleHelp() {
+  const modal = document.getElementById("help-modal");
+
+  if (modal) {
+    if (modal.classList.contains("active")) {
+      modal.classList.remove("active");
+      // Remove active class from body to prevent scrolling issues
+      document.body.style.overflow = "";
+
+      // Pick the game up where it was paused
+      resumeGame();
+
+      // Return focus now that the buttons behind the modal are enabled again
+      if (helpReturnFocusEl && document.body.contains(helpReturnFocusEl)) {
+        helpReturnFocusEl.focus();
+      }
+      helpReturnFocusEl = null;
+    } else {
+      helpReturnFocusEl = document.activeElement;
+      modal.classList.add("active");
+      // Prevent background scrolling when modal is open
+      document.body.style.overflow = "hidden";
+
+      // Suspend input and timers while the rules are being read
+      pauseGame();
+
+      modal.querySelector(".close-btn").focus();
+    }
+  }
+}
+
+/**
+ * Make the help modal behave like a dialog for keyboard users
+ * Escape closes it, and Tab cycles through its controls instead of leaving
+ * for the page behind it.
+ */
+function setupHelpModal() {
+  const modal = document.getElementById("help-modal");
+
+  modal.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      toggleHelp();
+      return;
+    }
+
+    if (event.key !== "Tab") {
+      return;
+    }
+
+    const focusable = [
+      ...modal.querySelectorAll(
+        'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])',
+      ),
+    ].filter((element) => !element.disabled);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    // Wrap around at either end
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  });
+}
+
+/**
+ * Let keyboard players move between the quadrant buttons with the arrow keys
+ * The buttons are a single tab stop (a roving tabindex): Tab enters the matrix
+ * on the last quadrant used, the arrows move around the 2x2 grid, and Home and
+ * End jump to Q1 and Q4.
+ */
+function setupQuadrantFocus() {
+  const buttons = [...document.querySelectorAll(".time-matrix .select-btn")];
+  const moves = {
+    ArrowLeft: -1,
+    ArrowRight: 1,
+    ArrowUp: -MATRIX_COLUMNS,
+    ArrowDown: MATRIX_COLUMNS,
+  };
+
+  const setTabStop = (current) =>
+    buttons.forEach((button) => {
+      button.tabIndex = button === current ? 0 : -1;
+    });
+
+  setTabStop(buttons[0]);
+
+  document
+    .querySelector(".time-matrix")
+    .addEventListener("focusin", (event) => {
+      if (buttons.includes(event.target)) {
+        setTabStop(event.target);
+      }
+    });
+
+  document
+    .querySelector(".time-matrix")
+    .addEventListener("keydown", (event) => {
+      const index = buttons.indexOf(event.target);
+      if (index === -1 || event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+      }
+
+      let next;
+      if (event.key in moves) {
+        next = index + moves[event.key];
+      } else if (event.key === "Home") {
+        next = 0;
+      } else if (event.key === "End") {
+        next = buttons.length - 1;
+      } else {
+        return;
+      }
+
+      // Stay put at the edges rather than scrolling the page
+      event.preventDefault();
+      if (next >= 0 && next < buttons.length) {
+        buttons[next].focus();
+      }
+    });
+}
+
+/**
+ * Read a message out to screen reader users
+ * Goes through the hidden #announcer live region, which is emptied first so
+ * the same message is announced again when it repeats.
+ * @param {string} message - The text to announce
+ */
+function announce(message) {
+  const announcerEl = document.getElementById("announcer");
+
+  announcerEl.textContent = "";
+  setTimeout(() => {
+    announcerEl.textContent = message;
+  }, ANNOUNCE_DELAY);
+}
+
+/**
+ * Show text feedback message to the user with translations
+ * @param {boolean} isCorrect - Whether the selection was correct
+ * @param {Object} activity - The current activity object
+ * @param {string|null} selectedQuadrant - The quadrant the user selected, or null if time ran out
+ * @param {number} [bonus] - Speed bonus earned with the answer
+ */
+function showTextFeedback(isCorrect, activity, selectedQuadrant, bonus = 0) {
+  const t = translations[currentLanguage];
+
+  let message = t.correctFeedback;
+  if (bonus > 0) {
+    message += ` ${translate("speedBonusFeedback", { points: bonus })}`;
+  }
+
+  if (!isCorrect) {
+    const correctQuadrantName = getQuadrantName(activity.correctQuadrant);
+    const prefix = selectedQuadrant ? t.incorrectFeedback : t.timeUpFeedback;
+    message = `${prefix} ${correctQuadrantName}.`;
+  }
+
+  // In two-axis mode, say which of the two judgements was off
+  const axisNotes =
+    getRoundMode() === GAME_MODES.TWO_AXIS && selectedQuadrant
+      ? getWrongAxes(selectedQuadrant, activity.correctQuadrant)
+          .map(
+            (axis) =>
+              `<p class="feedback-axis">${escapeHtml(getAxisMistakeText(axis, activity.correctQuadrant))}</p>`,
+          )
+          .join("")
+      : "";
+
+  // The "why not" note only makes sense for the quadrant that was wrongly chosen
+  feedbackEl.innerHTML = `
+        <p class="feedback-message">${escapeHtml(message)}</p>
+        ${axisNotes}
+        ${renderExplanation(activity, isCorrect ? null : selectedQuadrant)}
+    `;
+  feedbackEl.className = isCorrect ? "feedback success" : "feedback error";
+}
+
+/**
+ * End the game: settle any tie, record the round and show the final results
+ */
+function endGame() {
+  clearAdvanceTimer();
+  stopQuestionClock();
+
+  const alreadyFinished = gameState === GAME_STATES.FINISHED;
+
+  // A tie at the top of a hot-seat round is decided by sudden death
+  if (
+    !alreadyFinished &&
+    getRoundMode() === GAME_MODES.HOT_SEAT &&
+    startSuddenDeath()
+  ) {
+    return;
+  }
+
+  setGameState(GAME_STATES.FINISHED);
+
+  if (!alreadyFinished) {
+    roundFinishedAt = Date.now();
+    clearSavedGame();
+  }
+
+  // Keep the round in the player's history, once however often the results are
+  // shown; review rounds only repeat mistakes, so they would skew the trends,
+  // and group rounds are played by several people
+  if (!alreadyFinished && !isReviewRound && !isGroupMode()) {
+    recordSession();
+  }
+
+  renderResults();
+
+  // The results replace the activity, so say the round is over and how it went
+  const t = translations[currentLanguage];
+  announce(
+    `${isReviewRound ? t.reviewComplete : t.gameComplete} ${t.accuracy} ${Math.round((correctCount / totalActivities) * 100)}%`,
+  );
+}
+
+/**
+ * Show the results of the finished round in place of the activity
+ */
+function renderResults() {
+  const t = translations[currentLanguage];
+  const isTimed = getRoundMode() === GAME_MODES.TIMED;
+
+  // Timed rounds score bonus points, so show the correct answers and speed
+  // separately; group rounds show the standings of every player or team
+  const scoreSummary =
+    getRoundMode() === GAME_MODES.HOT_SEAT
+      ? renderLeaderboard(hotSeatPlayers, t.leaderboardPlayer)
+      : getRoundMode() === GAME_MODES.BUZZER
+        ? renderLeaderboard(buzzerTeams, t.leaderboardTeam)
+        : isTimed
+          ? `
+            <p style="font-size: 1.2rem; margin-bottom: 10px;">${t.finalScore} ${score}</p>
+            <p style="color: #666;">${t.correctAnswersLabel} ${translate("progressValue", { n: correctCount, total: totalActivities, count: totalActivities })}</p>
+            <p style="color: #666;">${t.averageResponseTime} ${formatSeconds(getAverageResponseTime())}</p>`
+          : `
+            <p style="font-size: 1.2rem; margin-bottom: 10px;">${t.finalScore} ${translate("progressValue", { n: score, total: totalActivities, count: totalActivities })}</p>`;
+
+  currentActivityEl.innerHTML = `
+        <div style="text-align: center;">
+            <h3 style="color: var(--primary-color); margin-bottom: 10px;">${isReviewRound ? t.reviewComplete : t.gameComplete}</h3>
+            ${scoreSummary}
+            <p style="color: #666;">${t.accuracy} ${Math.round((correctCount / totalActivities) * 100)}%</p>
+            ${getRoundMode() === GAME_MODES.TWO_AXIS ? renderAxisAccuracy() : ""}
+            ${getRoundMode() === GAME_MODES.PRACTICE ? renderPracticeSummary() : ""}
+            ${renderConfusionMatrix(answerLog)}
+            ${renderMissedActivities()}
+            ${answerLog.some((answer) => !answer.isCorrect) ? `<button onclick="startReview()" style="margin-top: 20px; padding: 10px 20px; background-color: var(--q2-color); color: white; border: none; border-radius: 4px; cursor: pointer;">${t.reviewMistakes}</button>` : ""}
+            <button onclick="resetGame()" style="margin-top: 20px; padding: 10px 20px; background-color: var(--secondary-color); color: white; border: none; border-radius: 4px; cursor: pointer;">${t.playAgain}</button>
+            <button onclick="showPackPicker()" style="margin-top: 20px; padding: 10px 20px; background-color: var(--primary-color); color: white; border: none; border-radius: 4px; cursor: pointer;">${t.changePack}</button>
+            <button onclick="showHistory()" style="margin-top: 20px; padding: 10px 20px; background-color: var(--primary-color); color: white; border: none; border-radius: 4px; cursor: pointer;">${t.historyButton}</button>
+            <div class="results-export">
+                <h4>${escapeHtml(t.exportTitle)}</h4>
+                <label>
+                    ${escapeHtml(t.playerNameLabel)}
+                    <input id="results-name" type="text" value="${escapeHtml(getPlayerName())}" oninput="savePlayerName(this.value)">
+                </label>
+                <div class="results-export-buttons">
+                    <button class="secondary-btn" onclick="exportAnswers('csv')">${escapeHtml(t.exportAnswersCsv)}</button>
+                    <button class="secondary-btn" onclick="exportAnswers('json')">${escapeHtml(t.exportAnswersJson)}</button>
+                    <button class="secondary-btn" onclick="exportSummary()">${escapeHtml(t.exportSummary)}</button>
+                    <button class="secondary-btn" onclick="printCertificate()">${escapeHtml(t.printCertificate)}</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+  // Hide the matrix when game is over, except on the board where it holds the checked cards
+  if (getRoundMode() !== GAME_MODES.BOARD) {
+    document.querySelector(".time-matrix").style.display = "none";
+  }
+}
+
+/**
+ * Build the per-axis accuracy shown at the end of a two-axis round
+ * Besides the accuracy, it counts how often each axis was rated too high or
+ * too low, which shows e.g. whether the player over-values urgency.
+ * @returns {string} HTML markup for the axis summary
+ */
+function renderAxisAccuracy() {
+  const t = translations[currentLanguage];
+
+  const rows = [
+    { axis: "important", label: t.importanceAccuracy },
+    { axis: "urgent", label: t.urgencyAccuracy },
+  ].map(({ axis, label }) => {
+    const stats = getAxisStats(axis);
+    const accuracy = stats.total
+      ? Math.round((stats.correct / stats.total) * 100)
+      : 0;
+
+    return `
+            <li>
+                <strong>${escapeHtml(label)}</strong> ${accuracy}%
+                <span class="axis-bias">(${escapeHtml(translate("axisRatedTooHigh", { count: stats.tooHigh }))}, ${escapeHtml(translate("axisRatedTooLow", { count: stats.tooLow }))})</span>
+            </li>
+        `;
+  });
+
+  return `<ul class="axis-accuracy">${rows.join("")}</ul>`;
+}
+
+/**
+ * Count how the player judged one axis over the current round
+ * @param {string} axis - 'important' or 'urgent'
+ * @returns {{total: number, correct: number, tooHigh: number, tooLow: number}}
+ *   Answers, correct judgements, and judgements of "yes" when the answer was
+ *   "no" (tooHigh) or the other way around (tooLow)
+ */
+function getAxisStats(axis) {
+  const stats = { total: 0, correct: 0, tooHigh: 0, tooLow: 0 };
+
+  answerLog.forEach((answer) => {
+    if (!answer.selectedQuadrant) return;
+
+    const chosen = QUADRANT_AXES[answer.selectedQuadrant][axis];
+    const actual = QUADRANT_AXES[answer.activity.correctQuadrant][axis];
+
+    stats.total += 1;
+    if (chosen === actual) {
+      stats.correct += 1;
+    } else if (chosen) {
+      stats.tooHigh += 1;
+    } else {
+      stats.tooLow += 1;
+    }
+  });
+
+  return stats;
+}
+
+/**
+ * Count the correct answers of the current round per correct quadrant
+ * @returns {Object} { q1: {correct, total}, ... }
+ */
+function getQuadrantResults() {
+  const results = {};
+  QUADRANTS.forEach(
+    (quadrant) => (results[quadrant] = { correct: 0, total: 0 }),
+  );
+
+  answerLog.forEach((answer) => {
+    const result = results[answer.activity.correctQuadrant];
+    result.total += 1;
+    if (answer.isCorrect) result.correct += 1;
+  });
+
+  return results;
+}
+
+/**
+ * Get the average time the player took to answer in the current round
+ * @returns {number} Average response time in milliseconds (0 without answers)
+ */
+function getAverageResponseTime() {
+  if (answerLog.length === 0) {
+    return 0;
+  }
+
+  const total = answerLog.reduce((sum, answer) => sum + answer.responseTime, 0);
+  return total / answerLog.length;
+}
+
+/**
+ * Format a duration as seconds with one decimal, e.g. "3.4 s"
+ * @param {number} milliseconds - The duration
+ * @returns {string} The formatted duration in the current language
+ */
+function formatSeconds(milliseconds) {
+  const seconds = (milliseconds / 1000).toLocaleString(currentLanguage, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  });
+  return `${seconds} s`;
+}
+
+/**
+ * Get the title of the pack the current round is played with
+ * @returns {string} The title in the current language, or the pack id if the
+ *   pack is gone
+ */
+function getSelectedPackTitle() {
+  if (selectedPackId === MIXED_PACK_ID) {
+    return translations[currentLanguage].mixedPackTitle;
+  }
+
+  const pack = getAllPacks().find(
+    (candidate) => candidate.id === selectedPackId,
+  );
+  return pack ? getLocalizedText(pack.title) : selectedPackId;
+}
+
+/**
+ * Describe the finished round: pack, language, mode, score and accuracy
+ * Used for the session history and the result exports.
+ * @returns {Object} The round summary
+ */
+function getRoundSummary() {
+  return {
+    date: new Date(roundFinishedAt).toISOString(),
+    pack: selectedPackId,
+    // Kept so the history can still name packs that were deleted since
+    packTitle: getSelectedPackTitle(),
+    language: currentLanguage,
+    mode: getRoundMode(),
+    score,
+    correct: correctCount,
+    total: totalActivities,
+    accuracy: Math.round((correctCount / totalActivities) * 100),
+    quadrants: getQuadrantResults(),
+    duration: roundFinishedAt - roundStartedAt,
+  };
+}
+
+/**
+ * Save the finished round to the session history in localStorage
+ * Only the most recent HISTORY_LIMIT rounds are kept.
+ */
+function recordSession() {
+  if (answerLog.length === 0) {
+    return;
+  }
+
+  const session = getRoundSummary();
+  const history = [...loadHistory(), session].slice(-HISTORY_LIMIT);
+
+  try {
+    localStorage.setItem("timeMatrixHistory", JSON.stringify(history));
+  } catch (error) {
+    console.error("Could not save the session history:", error);
+  }
+}
+
+/**
+ * Save the round in progress to localStorage after every answer
+ * Activities are stored by id and looked up again in their packs on resume.
+ * The format is versioned (SAVED_GAME_VERSION), so saves made by an older
+ * version of the game can be upgraded instead of breaking it.
+ */
+function saveGame() {
+  const saved = {
+    version: SAVED_GAME_VERSION,
+    savedAt: Date.now(),
+    pack: selectedPackId,
+    packTitle: getSelectedPackTitle(),
+    packIds: activePackIds,
+    settings: roundSettings,
+    isReviewRound,
+    activityIds: shuffledActivities.map((activity) => activity.id),
+    nextIndex: currentActivityIndex + 1,
+    score,
+    correctCount,
+    answers: answerLog.map((answer) => ({
+      activityId: answer.activity.id,
+      selectedQuadrant: answer.selectedQuadrant,
+      isCorrect: answer.isCorrect,
+      responseTime: answer.responseTime,
+    })),
+    roundStartedAt,
+    hotSeatPlayers,
+    hotSeatTurns,
+    suddenDeathFrom,
+    buzzerTeams,
+    boardPlacements,
+  };
+
+  try {
+    localStorage.setItem("timeMatrixSavedGame", JSON.stringify(saved));
+  } catch (error) {
+    console.error("Could not save the game:", error);
+  }
+}
+
+/**
+ * Load the saved round from localStorage, upgrading an older format
+ * @returns {Object|null} The saved round, or null if there is none or it
+ *   can't be used (unknown version or invalid contents)
+ */
+function loadSavedGame() {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem("timeMatrixSavedGame"));
+  } catch (error) {
+    console.error("Ignoring invalid saved game:", error);
+    return null;
+  }
+
+  if (!saved || typeof saved !== "object") {
+    return null;
+  }
+
+  while (SAVED_GAME_MIGRATIONS[saved.version]) {
+    saved = SAVED_GAME_MIGRATIONS[saved.version](saved);
+  }
+
+  const isValid =
+    saved.version === SAVED_GAME_VERSION &&
+    Array.isArray(saved.packIds) &&
+    Array.isArray(saved.activityIds) &&
+    saved.activityIds.length > 0 &&
+    Array.isArray(saved.answers) &&
+    Number.isInteger(saved.nextIndex) &&
+    [
+      saved.hotSeatPlayers,
+      saved.hotSeatTurns,
+      saved.buzzerTeams,
+      saved.boardPlacements,
+    ].every(Array.isArray) &&
+    saved.settings &&
+    Object.values(GAME_MODES).includes(saved.settings.mode);
+
+  if (!isValid) {
+    console.warn("Ignoring saved game of an unknown format");
+    return null;
+  }
+
+  return saved;
+}
+
+/**
+ * Forget the saved round
+ */
+function clearSavedGame() {
+  localStorage.removeItem("timeMatrixSavedGame");
+}
+
+/**
+ * Show or hide the "Resume game?" prompt in the pack picker
+ */
+function renderResumePrompt() {
+  const promptEl = document.getElementById("resume-prompt");
+  const saved = loadSavedGame();
+
+  promptEl.classList.toggle("hidden", !saved);
+  if (!saved) return;
+
+  const t = translations[currentLanguage];
+  // The board is only answered when checked, so count the cards placed on it
+  const answered =
+    saved.settings.mode === GAME_MODES.BOARD && !saved.isReviewRound
+      ? saved.boardPlacements.filter(Boolean).length
+      : saved.answers.length;
+  const details = translate("resumeDetails", {
+    pack: getHistoryPackLabel(saved),
+    mode: saved.isReviewRound
+      ? t.reviewMistakes
+      : t[GAME_MODE_LABELS[saved.settings.mode]],
+    answered,
+    total: saved.activityIds.length,
+  });
+
+  promptEl.innerHTML = `
+        <h3>${escapeHtml(t.resumeTitle)}</h3>
+        <p>${escapeHtml(details)}</p>
+        <div class="import-actions">
+            <button class="start-btn" onclick="resumeSavedGame()">${escapeHtml(t.resumeGame)}</button>
+            <button class="secondary-btn" onclick="discardSavedGame()">${escapeHtml(t.resumeDiscard)}</button>
+        </div>
+    `;
+}
+
+/**
+ * Throw the saved round away and hide the prompt
+ */
+function discardSavedGame() {
+  clearSavedGame();
+  renderResumePrompt();
+}
+
+/**
+ * Pick the saved round up at the activity after the last answer
+ * The round is played with the settings it was started with, whatever is
+ * chosen in the pack picker now.
+ */
+async function resumeSavedGame() {
+  const saved = loadSavedGame();
+  if (!saved || gameState !== GAME_STATES.SETUP) {
+    return;
+  }
+
+  selectedPackId = saved.pack;
+  roundSettings = saved.settings;
+  isReviewRound = saved.isReviewRound === true;
+
+  setGameState(GAME_STATES.LOADING);
+  showScreen("game");
+
+  const packs = getAllPacks().filter((pack) => saved.packIds.includes(pack.id));
+  const pool = (await Promise.all(packs.map(loadPackActivities))).flat();
+  const byId = new Map(pool.map((activity) => [activity.id, activity]));
+  const round = saved.activityIds.map((id) => byId.get(id));
+  const answers = saved.answers.map((answer) => ({
+    activity: byId.get(answer.activityId),
+    selectedQuadrant: answer.selectedQuadrant,
+    isCorrect: answer.isCorrect,
+    responseTime: answer.responseTime,
+  }));
+
+  // Packs may have been edited or deleted since the game was saved
+  if (round.includes(undefined) || answers.some((answer) => !answer.activity)) {
+    clearSavedGame();
+    isReviewRound = false;
+    setGameState(GAME_STATES.SETUP);
+    showScreen("setup");
+    renderPackPicker();
+    setPackPickerError(translations[currentLanguage].resumeFailed);
+    return;
+  }
+
+  activities = pool;
+  activePackIds = packs.map((pack) => pack.id);
+  shuffledActivities = round;
+  totalActivities = round.length;
+  answerLog = answers;
+  score = saved.score;
+  correctCount = saved.correctCount;
+  roundStartedAt = saved.roundStartedAt;
+  hotSeatPlayers = saved.hotSeatPlayers;
+  hotSeatTurns = saved.hotSeatTurns;
+  suddenDeathFrom = saved.suddenDeathFrom;
+  buzzerTeams = saved.buzzerTeams;
+  scoreEl.textContent = score;
+
+  // Show the matrix again
+  document.querySelector(".time-matrix").style.display = "grid";
+
+  if (getRoundMode() === GAME_MODES.BOARD) {
+    startBoard();
+    boardPlacements = saved.boardPlacements;
+    renderBoard();
+  } else {
+    clearBoard();
+    displayActivity(saved.nextIndex);
+  }
+}
+
+/**
+ * Remember the name entered on the results screen for exports and certificates
+ * @param {string} name - The player's name
+ */
+function savePlayerName(name) {
+  localStorage.setItem("timeMatrixPlayerName", name.trim());
+}
+
+/**
+ * Get the name the player entered on the results screen
+ * @returns {string} The name, or an empty string
+ */
+function getPlayerName() {
+  return localStorage.getItem("timeMatrixPlayerName") || "";
+}
+
+/**
+ * Download every answer of the finished round
+ * @param {string} format - 'csv' or 'json'
+ */
+function exportAnswers(format) {
+  const answers = answerLog.map((answer) => ({
+    activityId: answer.activity.id,
+    activity: getActivityText(answer.activity),
+    chosenQuadrant: answer.selectedQuadrant,
+    correctQuadrant: answer.activity.correctQuadrant,
+    isCorrect: answer.isCorrect,
+    responseTime: answer.responseTime,
+  }));
+
+  if (format === "csv") {
+    const header = [
+      "activity_id",
+      "activity",
+      "chosen_quadrant",
+      "correct_quadrant",
+      "correct",
+      "response_time_ms",
+    ];
+    const rows = answers.map((answer) => [
+      answer.activityId,
+      answer.activity,
+      answer.chosenQuadrant,
+      answer.correctQuadrant,
+      answer.isCorrect,
+      answer.responseTime === null ? null : Math.round(answer.responseTime),
+    ]);
+
+    downloadFile(
+      getExportFileName("answers", "csv"),
+      [header, ...rows].map(toCsvLine).join("\r\n") + "\r\n",
+      "text/csv",
+    );
+    return;
+  }
+
+  const data = { player: getPlayerName(), summary: getRoundSummary(), answers };
+  downloadFile(
+    getExportFileName("answers", "json"),
+    `${JSON.stringify(data, null, 2)}\n`,
+    "application/json",
+  );
+}
+
+/**
+ * Download the summary of the finished round as JSON
+ */
+function exportSummary() {
+  const data = { player: getPlayerName(), ...getRoundSummary() };
+
+  downloadFile(
+    getExportFileName("summary", "json"),
+    `${JSON.stringify(data, null, 2)}\n`,
+    "application/json",
+  );
+}
+
+/**
+ * Build the name of an exported file, e.g. time-matrix-answers-ana-2024-05-01.csv
+ * @param {string} kind - What the file contains
+ * @param {string} extension - The file extension
+ * @returns {string} The file name
+ */
+function getExportFileName(kind, extension) {
+  const parts = [
+    "time-matrix",
+    kind,
+    slugify(getPlayerName()),
+    new Date(roundFinishedAt).toISOString().slice(0, 10),
+  ];
+
+  return `${parts.filter(Boolean).join("-")}.${extension}`;
+}
+
+/**
+ * Format one row of a CSV file, quoting cells where needed
+ * @param {Array} values - The cell values (null for an empty cell)
+ * @returns {string} The CSV line
+ */
+function toCsvLine(values) {
+  return values
+    .map((value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
+
+/**
+ * Print a completion certificate for the finished round
+ * The certificate is the only thing printed; the game is hidden meanwhile.
+ */
+function printCertificate() {
+  const t = translations[currentLanguage];
+  const summary = getRoundSummary();
+  const certificateEl = document.getElementById("certificate");
+  const name = getPlayerName() || t.certificateAnonymous;
+
+  certificateEl.innerHTML = `
+        <h1>${escapeHtml(t.certificateTitle)}</h1>
+        <p>${escapeHtml(t.certificateIntro)}</p>
+        <p class="certificate-name">${escapeHtml(name)}</p>
+        <p>${escapeHtml(translate("certificateCompleted", { pack: getHistoryPackLabel(summary) }))}</p>
+        <dl class="certificate-details">
+            <dt>${escapeHtml(t.historyDate)}</dt>
+            <dd>${escapeHtml(formatHistoryDate(summary.date))}</dd>
+            <dt>${escapeHtml(t.historyScore)}</dt>
+            <dd>${summary.score}</dd>
+            <dt>${escapeHtml(t.historyAccuracy)}</dt>
+            <dd>${summary.accuracy}% (${escapeHtml(translate("progressValue", { n: summary.correct, total: summary.total, count: summary.total }))})</dd>
+        </dl>
+        <p class="certificate-footer">${escapeHtml(t.title)}</p>
+    `;
+
+  document.body.classList.add("printing-certificate");
+  window.addEventListener(
+    "afterprint",
+    () => document.body.classList.remove("printing-certificate"),
+    { once: true },
+  );
+  window.print();
+}
+
+/**
+ * Load the session history from localStorage
+ * @returns {Array} Finished rounds, oldest first
+ */
+function loadHistory() {
+  try {
+    const history = JSON.parse(
+      localStorage.getItem("timeMatrixHistory") || "[]",
+    );
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    console.error("Ignoring invalid session history:", error);
+    return [];
+  }
+}
+
+/**
+ * Show the progress dashboard
+ */
+function showHistory() {
+  if (!setGameState(GAME_STATES.SETUP)) {
+    return;
+  }
+
+  clearAdvanceTimer();
+  showScreen("history");
+  renderHistory();
+}
+
+/**
+ * Delete the whole session history after asking for confirmation
+ */
+function clearHistory() {
+  if (!confirm(translations[currentLanguage].clearHistoryConfirm)) {
+    return;
+  }
+
+  localStorage.removeItem("timeMatrixHistory");
+  renderHistory();
+}
+
+/**
+ * Render the progress dashboard: summary, trend chart and session list
+ */
+function renderHistory() {
+  const contentEl = document.getElementById("history-content");
+  if (!contentEl || !translations[currentLanguage]) return;
+
+  const t = translations[currentLanguage];
+  const history = loadHistory();
+
+  document.getElementById("clear-history-btn").disabled = history.length === 0;
+
+  if (history.length === 0) {
+    contentEl.innerHTML = `<p class="history-empty">${escapeHtml(t.historyEmpty)}</p>`;
+    return;
+  }
+
+  contentEl.innerHTML = `
+        ${renderHistorySummary(history)}
+        <h3>${escapeHtml(t.historyChartTitle)}</h3>
+        ${renderHistoryChart(history)}
+        ${renderHistoryTable(history)}
+    `;
+}
+
+/**
+ * Build the summary cards: sessions played, personal best and recent trend
+ * @param {Array} history - Finished rounds, oldest first
+ * @returns {string} HTML markup for the summary
+ */
+function renderHistorySummary(history) {
+  const t = translations[currentLanguage];
+
+  // Best accuracy; on a tie the higher score, then the earlier round wins
+  const best = history.reduce((top, session) =>
+    session.accuracy > top.accuracy ||
+    (session.accuracy === top.accuracy && session.score > top.score)
+      ? session
+      : top,
+  );
+
+  const average = (sessions) =>
+    sessions.reduce((sum, session) => sum + session.accuracy, 0) /
+    sessions.length;
+  const recent = history.slice(-5);
+  const previous = history.slice(-10, -5);
+
+  let trend = "";
+  if (previous.length > 0) {
+    const change = Math.round(average(recent) - average(previous));
+    trend =
+      change > 0
+        ? translate("historyTrendUp", { count: change })
+        : change < 0
+          ? translate("historyTrendDown", { count: -change })
+          : t.historyTrendFlat;
+  }
+
+  return `
+        <div class="history-summary">
+            <div class="history-stat">
+                <span class="score-label">${escapeHtml(t.historySessions)}</span>
+                <span class="score-value">${history.length}</span>
+            </div>
+            <div class="history-stat">
+                <span class="score-label">${escapeHtml(t.historyBest)}</span>
+                <span class="score-value">${best.accuracy}%</span>
+                <span class="history-stat-detail">${escapeHtml(getHistoryPackLabel(best))} &middot; ${escapeHtml(formatHistoryDate(best.date))}</span>
+            </div>
+            <div class="history-stat">
+                <span class="score-label">${escapeHtml(t.historyRecent)}</span>
+                <span class="score-value">${Math.round(average(recent))}%</span>
+                <span class="history-stat-detail">${escapeHtml(trend)}</span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Draw the accuracy of the last 30 rounds as a line chart
+ * @param {Array} history - Finished rounds, oldest first
+ * @returns {string} SVG markup for the chart
+ */
+function renderHistoryChart(history) {
+  const sessions = history.slice(-30);
+  const width = 600;
+  const height = 160;
+  const padding = 20;
+
+  const x = (index) =>
+    sessions.length === 1
+      ? width / 2
+      : padding + (index * (width - 2 * padding)) / (sessions.length - 1);
+  const y = (accuracy) =>
+    height - padding - (accuracy / 100) * (height - 2 * padding);
+
+  const gridLines = [0, 50, 100]
+    .map(
+      (accuracy) => `
+            <line x1="${padding}" x2="${width - padding}" y1="${y(accuracy)}" y2="${y(accuracy)}" class="history-grid" />
+            <text x="0" y="${y(accuracy) + 4}" class="history-axis">${accuracy}%</text>`,
+    )
+    .join("");
+
+  const points = sessions
+    .map((session, index) => `${x(index)},${y(session.accuracy)}`)
+    .join(" ");
+
+  const dots = sessions
+    .map(
+      (session, index) => `
+            <circle cx="${x(index)}" cy="${y(session.accuracy)}" r="4" class="history-dot">
+                <title>${escapeHtml(formatHistoryDate(session.date))}: ${session.accuracy}%</title>
+            </circle>`,
+    )
+    .join("");
+
+  return `
+        <svg class="history-chart" viewBox="0 0 ${width} ${height}" role="img"
+            aria-label="${escapeHtml(translations[currentLanguage].historyChartTitle)}">
+            ${gridLines}
+            <polyline points="${points}" class="history-line" />
+            ${dots}
+        </svg>
+    `;
+}
+
+/**
+ * Build the table of finished rounds, newest first
+ * @param {Array} history - Finished rounds, oldest first
+ * @returns {string} HTML markup for the table
+ */
+function renderHistoryTable(history) {
+  const t = translations[currentLanguage];
+
+  const quadrantCell = (result) =>
+    result && result.total
+      ? `${Math.round((result.correct / result.total) * 100)}%`
+      : "–";
+
+  const rows = [...history]
+    .reverse()
+    .map(
+      (session) => `
+            <tr>
+                <td>${escapeHtml(formatHistoryDate(session.date))}</td>
+                <td>${escapeHtml(getHistoryPackLabel(session))}</td>
+                <td>${escapeHtml(t[GAME_MODE_LABELS[session.mode]] || session.mode)}</td>
+                <td>${escapeHtml(String(session.language).toUpperCase())}</td>
+                <td>${session.score}</td>
+                <td>${session.accuracy}%</td>
+                ${QUADRANTS.map((quadrant) => `<td>${quadrantCell(session.quadrants && session.quadrants[quadrant])}</td>`).join("")}
+                <td>${formatDuration(session.duration)}</td>
+            </tr>
+        `,
+    )
+    .join("");
+
+  return `
+        <div class="import-preview-table-wrapper">
+            <table class="import-preview-table history-table">
+                <thead>
+                    <tr>
+                        <th>${escapeHtml(t.historyDate)}</th>
+                        <th>${escapeHtml(t.historyPack)}</th>
+                        <th>${escapeHtml(t.historyMode)}</th>
+                        <th>${escapeHtml(t.historyLanguage)}</th>
+                        <th>${escapeHtml(t.historyScore)}</th>
+                        <th>${escapeHtml(t.historyAccuracy)}</th>
+                        ${QUADRANTS.map((quadrant) => `<th>${quadrant.toUpperCase()}</th>`).join("")}
+                        <th>${escapeHtml(t.historyDuration)}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Get the name of the pack a recorded round was played with
+ * @param {Object} session - A round from the history
+ * @returns {string} The pack title in the current language if the pack still exists
+ */
+function getHistoryPackLabel(session) {
+  if (session.pack === MIXED_PACK_ID) {
+    return translations[currentLanguage].mixedPackTitle;
+  }
+
+  const pack = getAllPacks().find((candidate) => candidate.id === session.pack);
+  return pack ? getLocalizedText(pack.title) : session.packTitle;
+}
+
+/**
+ * Format the date of a recorded round for the current language
+ * @param {string} isoDate - The date as an ISO string
+ * @returns {string} The formatted date and time
+ */
+function formatHistoryDate(isoDate) {
+  return new Date(isoDate).toLocaleString(currentLanguage, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+/**
+ * Format a duration as minutes and seconds, e.g. "3:07"
+ * @param {number} milliseconds - The duration
+ * @returns {string} The formatted duration
+ */
+function formatDuration(milliseconds) {
+  const totalSeconds = Math.round(milliseconds / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Show the facilitator view, which combines the exported results of a group
+ */
+async function showFacilitator() {
+  if (!setGameState(GAME_STATES.SETUP)) {
+    return;
+  }
+
+  clearAdvanceTimer();
+  showScreen("facilitator");
+  renderFacilitator();
+
+  // Name activities in the current language, whatever language they were played in
+  facilitatorActivities = await loadActivityIndex();
+  renderFacilitator();
+}
+
+/**
+ * Load the activities of every pack, keyed by id
+ * Content problems were already reported when the packs were played, so
+ * they aren't reported again here.
+ * @returns {Promise<Object>} Activities keyed by id
+ */
+async function loadActivityIndex() {
+  const index = {};
+
+  await Promise.all(
+    getAllPacks().map(async (pack) => {
+      try {
+        const data = await readPackData(pack);
+        const result = validateActivityPack(data);
+
+        assignActivityIds(pack, result.activities).forEach(
+          (activity) => (index[activity.id] = activity),
+        );
+      } catch (error) {
+        console.error(`Error loading activities of pack ${pack.id}:`, error);
+      }
+    }),
+  );
+
+  return index;
+}
+
+/**
+ * Wire up the file input and drop zone of the facilitator view
+ */
+function setupFacilitatorImport() {
+  const fileInput = document.getElementById("facilitator-file");
+  const dropZone = document.getElementById("facilitator-drop");
+  if (!fileInput || !dropZone) return;
+
+  fileInput.addEventListener("change", function () {
+    importResultFiles([...fileInput.files]);
+
+    // Allow the same files to be chosen again
+    fileInput.value = "";
+  });
+
+  dropZone.addEventListener("dragover", function (event) {
+    event.preventDefault();
+    dropZone.classList.add("drag-over");
+  });
+
+  dropZone.addEventListener("dragleave", function () {
+    dropZone.classList.remove("drag-over");
+  });
+
+  dropZone.addEventListener("drop", function (event) {
+    event.preventDefault();
+    dropZone.classList.remove("drag-over");
+    importResultFiles([...event.dataTransfer.files]);
+  });
+}
+
+/**
+ * Read exported result files and add them to the facilitator view
+ * Files that can't be read are listed with the reason instead.
+ * @param {Array<File>} files - Answer (JSON or CSV) or summary (JSON) exports
+ */
+async function importResultFiles(files) {
+  for (const file of files) {
+    try {
+      const text = await file.text();
+      const isCsv =
+        /\.csv$/i.test(file.name) || (file.type || "").includes("csv");
+      const result = isCsv ? parseResultsCsv(text) : parseResultsJson(text);
+
+      facilitatorResults.push({
+        fileName: file.name,
+        player: result.player || file.name.replace(/\.(json|csv)$/i, ""),
+        summary: result.summary,
+        answers: result.answers,
+        error: null,
+      });
+    } catch (error) {
+      console.error("Error importing results:", error);
+      facilitatorResults.push({
+        fileName: file.name,
+        player: "",
+        summary: null,
+        answers: [],
+        error: error.message,
+      });
+    }
+  }
+
+  renderFacilitator();
+}
+
+/**
+ * Parse an answers or summary export in JSON (see exportAnswers and exportSummary)
+ * @param {string} text - The file contents
+ * @returns {{player: string, summary: Object|null, answers: Array}} The results
+ */
+function parseResultsJson(text) {
+  const json = JSON.parse(text);
+
+  if (json && Array.isArray(json.answers)) {
+    // Without answers or a summary there is no accuracy to show
+    if (
+      json.answers.length === 0 &&
+      !(json.summary && typeof json.summary.accuracy === "number")
+    ) {
+      throw new Error("the file has no answers");
+    }
+
+    return {
+      player: typeof json.player === "string" ? json.player : "",
+      summary: json.summary || null,
+      answers: json.answers.map(normalizeResultAnswer),
+    };
+  }
+
+  if (json && typeof json.accuracy === "number") {
+    const { player, ...summary } = json;
+    return {
+      player: typeof player === "string" ? player : "",
+      summary,
+      answers: [],
+    };
+  }
+
+  throw new Error("not an answers or summary export of the game");
+}
+
+/**
+ * Parse an answers export in CSV (see exportAnswers)
+ * CSV exports don't carry the player's name, so the file name stands in.
+ * @param {string} text - The file contents
+ * @returns {{player: string, summary: null, answers: Array}} The results
+ */
+function parseResultsCsv(text) {
+  const rows = parseCsv(text).filter((cells) =>
+    cells.some((cell) => cell.trim() !== ""),
+  );
+
+  if (rows.length === 0) {
+    throw new Error("the file is empty");
+  }
+
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const column = (name) => header.indexOf(name);
+
+  ["correct_quadrant", "chosen_quadrant"].forEach((name) => {
+    if (column(name) === -1) {
+      throw new Error(`the ${name} column is missing`);
+    }
+  });
+
+  if (rows.length === 1) {
+    throw new Error("the file has no answers");
+  }
+
+  const answers = rows.slice(1).map((cells, index) =>
+    normalizeResultAnswer(
+      {
+        activityId: cells[column("activity_id")],
+        activity: cells[column("activity")],
+        chosenQuadrant: cells[column("chosen_quadrant")],
+        correctQuadrant: cells[column("correct_quadrant")],
+      },
+      index,
+    ),
+  );
+
+  return { player: "", summary: null, answers };
+}
+
+/**
+ * Check one exported answer and bring it into a common shape
+ * @param {Object} answer - The answer as read from the file
+ * @param {number} index - Position of the answer in the file
+ * @returns {Object} The answer
+ */
+function normalizeResultAnswer(answer, index) {
+  const correctQuadrant = String(answer.correctQuadrant || "").trim();
+  const chosenQuadrant = String(answer.chosenQuadrant || "").trim() || null;
+
+  if (
+    !QUADRANTS.includes(correctQuadrant) ||
+    (chosenQuadrant && !QUADRANTS.includes(chosenQuadrant))
+  ) {
+    throw new Error(`answer ${index + 1} has an unknown quadrant`);
+  }
+
+  return {
+    activityId: answer.activityId ? String(answer.activityId) : "",
+    activity: answer.activity ? String(answer.activity) : "",
+    chosenQuadrant,
+    correctQuadrant,
+    isCorrect: chosenQuadrant === correctQuadrant,
+  };
+}
+
+/**
+ * Remove one loaded result file from the facilitator view
+ * @param {number} index - Position of the file in the list
+ */
+function removeResultFile(index) {
+  facilitatorResults.splice(index, 1);
+  renderFacilitator();
+}
+
+/**
+ * Remove every loaded result file from the facilitator view
+ */
+function clearResultFiles() {
+  facilitatorResults = [];
+  renderFacilitator();
+}
+
+/**
+ * Get the accuracy of one player's results
+ * @param {Object} result - A loaded result file
+ * @returns {number} Accuracy in percent
+ */
+function getResultAccuracy(result) {
+  if (result.summary && typeof result.summary.accuracy === "number") {
+    return result.summary.accuracy;
+  }
+
+  const correct = result.answers.filter((answer) => answer.isCorrect).length;
+  return Math.round((correct / result.answers.length) * 100);
+}
+
+/**
+ * Combine the loaded results into per-activity statistics
+ * @param {Array} answers - The answers of every loaded file
+ * @returns {Array} Per activity: attempts, correct answers and wrong answers
+ *   per quadrant ('none' for time-outs), hardest first
+ */
+function getActivityStats(answers) {
+  const stats = new Map();
+
+  answers.forEach((answer) => {
+    const key = answer.activityId || answer.activity;
+    if (!stats.has(key)) {
+      const wrong = { none: 0 };
+      QUADRANTS.forEach((quadrant) => (wrong[quadrant] = 0));
+
+      stats.set(key, {
+        id: answer.activityId,
+        text: answer.activity,
+        correctQuadrant: answer.correctQuadrant,
+        attempts: 0,
+        correct: 0,
+        wrong,
+      });
+    }
+
+    const entry = stats.get(key);
+    entry.attempts += 1;
+    if (answer.isCorrect) {
+      entry.correct += 1;
+    } else {
+      entry.wrong[answer.chosenQuadrant || "none"] += 1;
+    }
+  });
+
+  return [...stats.values()]
+    .map((entry) => ({
+      ...entry,
+      accuracy: Math.round((entry.correct / entry.attempts) * 100),
+      topWrong: Object.keys(entry.wrong).reduce(
+        (top, quadrant) =>
+          entry.wrong[quadrant] > 0 &&
+          (!top || entry.wrong[quadrant] > entry.wrong[top])
+            ? quadrant
+            : top,
+        null,
+      ),
+    }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts);
+}
+
+/**
+ * Get the text of an activity from the facilitator statistics
+ * @param {Object} entry - Statistics of one activity
+ * @returns {string} The text in the current language if the activity is known
+ */
+function getStatsActivityText(entry) {
+  const activity = facilitatorActivities[entry.id];
+  return activity ? getActivityText(activity) : entry.text || entry.id;
+}
+
+/**
+ * Name the quadrant a wrong answer went to, or the time-out
+ * @param {string} quadrant - The quadrant code, or 'none' for time-outs
+ * @returns {string} The label
+ */
+function getWrongAnswerLabel(quadrant) {
+  return quadrant === "none"
+    ? translations[currentLanguage].confusionNoAnswer
+    : quadrant.toUpperCase();
+}
+
+/**
+ * Render the facilitator view: loaded files, group statistics and debrief
+ */
+function renderFacilitator() {
+  const contentEl = document.getElementById("facilitator-content");
+  if (!contentEl || !translations[currentLanguage]) return;
+
+  const t = translations[currentLanguage];
+  const loaded = facilitatorResults.filter((result) => !result.error);
+  const answers = loaded.flatMap((result) => result.answers);
+
+  document.getElementById("facilitator-clear-btn").disabled =
+    facilitatorResults.length === 0;
+  document.getElementById("facilitator-debrief-btn").disabled =
+    loaded.length === 0;
+
+  const files = facilitatorResults
+    .map(
+      (result, index) => `
+            <li class="${result.error ? "facilitator-file-error" : ""}">
+                <span>
+                    <strong>${escapeHtml(result.error ? result.fileName : result.player)}</strong>
+                    ${escapeHtml(
+                      result.error
+                        ? `${t.resultsImportFailed} ${result.error}`
+                        : `${result.answers.length ? translate("resultsAnswerCount", { count: result.answers.length }) : t.resultsSummaryOnly} · ${getResultAccuracy(result)}%`,
+                    )}
+                </span>
+                <button class="pack-delete-btn" onclick="removeResultFile(${index})" title="${escapeHtml(t.resultsRemove)}">×</button>
+            </li>
+        `,
+    )
+    .join("");
+
+  if (loaded.length === 0) {
+    contentEl.innerHTML = `
+            <ul class="facilitator-files">${files}</ul>
+            <p class="history-empty">${escapeHtml(t.facilitatorEmpty)}</p>
+        `;
+    return;
+  }
+
+  const accuracies = loaded.map(getResultAccuracy);
+  const average = Math.round(
+    accuracies.reduce((sum, accuracy) => sum + accuracy, 0) / accuracies.length,
+  );
+
+  contentEl.innerHTML = `
+        <ul class="facilitator-files">${files}</ul>
+        <div class="history-summary">
+            <div class="history-stat">
+                <span class="score-label">${escapeHtml(t.facilitatorPlayers)}</span>
+                <span class="score-value">${loaded.length}</span>
+            </div>
+            <div class="history-stat">
+                <span class="score-label">${escapeHtml(t.facilitatorAnswers)}</span>
+                <span class="score-value">${answers.length}</span>
+            </div>
+            <div class="history-stat">
+                <span class="score-label">${escapeHtml(t.facilitatorAverage)}</span>
+                <span class="score-value">${average}%</span>
+            </div>
+        </div>
+        <h3>${escapeHtml(t.facilitatorDistribution)}</h3>
+        ${renderAccuracyDistribution(accuracies)}
+        ${answers.length ? renderHardestActivities(answers) : ""}
+        ${answers.length ? renderConfusionMatrix(answers.map(toConfusionAnswer)) : ""}
+        <h3>${escapeHtml(t.debriefTitle)}</h3>
+        <ul class="facilitator-debrief">
+            ${getDebriefPoints()
+              .map((point) => `<li>${escapeHtml(point)}</li>`)
+              .join("")}
+        </ul>
+    `;
+}
+
+/**
+ * Draw the players' accuracies as a bar chart in bands of 20 points
+ * @param {Array<number>} accuracies - Accuracy of each player in percent
+ * @returns {string} HTML markup for the chart
+ */
+function renderAccuracyDistribution(accuracies) {
+  const bands = [0, 20, 40, 60, 80].map((from) => ({
+    label: from === 80 ? "80–100%" : `${from}–${from + 19}%`,
+    count: accuracies.filter(
+      (accuracy) => accuracy >= from && (accuracy < from + 20 || from === 80),
+    ).length,
+  }));
+  const most = Math.max(...bands.map((band) => band.count));
+
+  return `
+        <div class="distribution">
+            ${bands
+              .map(
+                (band) => `
+                <div class="distribution-row">
+                    <span class="distribution-label">${band.label}</span>
+                    <span class="distribution-track">
+                        <span class="distribution-bar" style="width: ${most ? (band.count / most) * 100 : 0}%"></span>
+                    </span>
+                    <span class="distribution-count">${band.count}</span>
+                </div>`,
+              )
+              .join("")}
+        </div>
+    `;
+}
+
+/**
+ * Build the table of the activities the group found hardest
+ * @param {Array} answers - The answers of every loaded file
+ * @returns {string} HTML markup for the table
+ */
+function renderHardestActivities(answers) {
+  const t = translations[currentLanguage];
+
+  const rows = getActivityStats(answers)
+    .filter((entry) => entry.correct < entry.attempts)
+    .slice(0, 10)
+    .map(
+      (entry) => `
+            <tr>
+                <td>${escapeHtml(getStatsActivityText(entry))}</td>
+                <td>${entry.correctQuadrant.toUpperCase()}</td>
+                <td>${entry.accuracy}% (${escapeHtml(translate("progressValue", { n: entry.correct, total: entry.attempts, count: entry.attempts }))})</td>
+                <td>${escapeHtml(getWrongAnswerLabel(entry.topWrong))} (${entry.wrong[entry.topWrong]}×)</td>
+            </tr>
+        `,
+    )
+    .join("");
+
+  if (!rows) {
+    return `<p class="review-perfect">${escapeHtml(t.facilitatorNoMistakes)}</p>`;
+  }
+
+  return `
+        <h3>${escapeHtml(t.facilitatorHardest)}</h3>
+        <div class="import-preview-table-wrapper">
+            <table class="import-preview-table">
+                <thead>
+                    <tr>
+                        <th>${escapeHtml(t.facilitatorActivity)}</th>
+                        <th>${escapeHtml(t.confusionCorrectAxis)}</th>
+                        <th>${escapeHtml(t.historyAccuracy)}</th>
+                        <th>${escapeHtml(t.facilitatorTopWrong)}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Bring an imported answer into the shape of answerLog for the confusion matrix
+ * @param {Object} answer - An imported answer
+ * @returns {Object} The answer as answerLog keeps it
+ */
+function toConfusionAnswer(answer) {
+  return {
+    activity: { correctQuadrant: answer.correctQuadrant },
+    selectedQuadrant: answer.chosenQuadrant,
+    isCorrect: answer.isCorrect,
+  };
+}
+
+/**
+ * Write the debrief: the main points to discuss with the group
+ * @returns {Array<string>} The debrief points in the current language
+ */
+function getDebriefPoints() {
+  const t = translations[currentLanguage];
+  const loaded = facilitatorResults.filter((result) => !result.error);
+  const answers = loaded.flatMap((result) => result.answers);
+  const accuracies = loaded.map(getResultAccuracy);
+  const points = [
+    translate("debriefOverview", {
+      count: loaded.length,
+      accuracy: Math.round(
+        accuracies.reduce((sum, accuracy) => sum + accuracy, 0) /
+          accuracies.length,
+      ),
+    }),
+  ];
+
+  if (answers.length === 0) {
+    return points;
+  }
+
+  // The quadrant the group placed least reliably
+  const byQuadrant = QUADRANTS.map((quadrant) => {
+    const inQuadrant = answers.filter(
+      (answer) => answer.correctQuadrant === quadrant,
+    );
+    return {
+      quadrant,
+      total: inQuadrant.length,
+      accuracy: inQuadrant.length
+        ? Math.round(
+            (inQuadrant.filter((answer) => answer.isCorrect).length /
+              inQuadrant.length) *
+              100,
+          )
+        : 100,
+    };
+  }).filter((entry) => entry.total > 0);
+  const weakest = byQuadrant.reduce((low, entry) =>
+    entry.accuracy < low.accuracy ? entry : low,
+  );
+  points.push(
+    translate("debriefWeakestQuadrant", {
+      quadrant: getQuadrantName(weakest.quadrant),
+      accuracy: weakest.accuracy,
+    }),
+  );
+
+  const topMistake = getTopMistake(
+    getConfusionMatrix(answers.map(toConfusionAnswer)),
+  );
+  if (topMistake) {
+    points.push(
+      translate("confusionTopMistake", {
+        correct: topMistake.correct.toUpperCase(),
+        chosen: topMistake.chosen.toUpperCase(),
+        count: topMistake.count,
+      }),
+    );
+  }
+
+  getActivityStats(answers)
+    .filter((entry) => entry.correct < entry.attempts)
+    .slice(0, 3)
+    .forEach((entry) => {
+      points.push(
+        translate("debriefHardActivity", {
+          activity: getStatsActivityText(entry),
+          accuracy: entry.accuracy,
+          wrong: getWrongAnswerLabel(entry.topWrong),
+          correct: entry.correctQuadrant.toUpperCase(),
+        }),
+      );
+    });
+
+  points.push(t.debriefQuestion);
+  return points;
+}
+
+/**
+ * Download the debrief as a Markdown file for the facilitator's notes
+ */
+function downloadDebrief() {
+  const t = translations[currentLanguage];
+  const date = new Date().toISOString().slice(0, 10);
+  const lines = [
+    `# ${t.debriefTitle} (${date})`,
+    "",
+    ...getDebriefPoints().map((point) => `- ${point}`),
+  ];
+
+  downloadFile(
+    `time-matrix-debrief-${date}.md`,
+    `${lines.join("\n")}\n`,
+    "text/markdown",
+  );
+}
+
+/**
+ * Reset the game to start over
+ */
+function resetGame() {
+  isReviewRound = false;
+  score = 0;
+  correctCount = 0;
+  currentActivityIndex = 0;
+  answerLog = [];
+  scoreEl.textContent = "0";
+
+  // Show the matrix again, laid out for the round's own mode now that any
+  // review round is over
+  document.querySelector(".time-matrix").style.display = "grid";
+  showScreen("game");
+
+  // Draw a fresh round (the same one again when a seed is set)
+  prepareRound();
+
+  // Start the game again
+  startGame();
+}
+
+/**
+ * Start a round of only the activities missed in the round that just ended
+ * Missed activities come back until they are answered correctly, and the
+ * feedback stays up until the player moves on, so every explanation is read.
+ */
+function startReview() {
+  const missed = [];
+  answerLog.forEach((answer) => {
+    if (!answer.isCorrect && !missed.includes(answer.activity)) {
+      missed.push(answer.activity);
+    }
+  });
+
+  if (missed.length === 0) {
+    return;
+  }
+
+  isReviewRound = true;
+  score = 0;
+  correctCount = 0;
+  currentActivityIndex = 0;
+  answerLog = [];
+  scoreEl.textContent = "0";
+
+  shuffledActivities = shuffleArray(missed);
+  totalActivities = shuffledActivities.length;
+  renderProgress(0);
+
+  // Show the matrix again, laid out for the mode the review is played in
+  document.querySelector(".time-matrix").style.display = "grid";
+  showScreen("game");
+
+  startGame();
+}
 
-  // Check if we've reached the end of activities
-  if (nextIndex >= shuffledActivities.length) {
-    endGame();
-    return;
+/**
+ * Get the mode the current round is played in
+ * Review rounds go one activity at a time without a clock, so timed and
+ * sort-the-board rounds are reviewed as classic rounds.
+ * @returns {string} One of GAME_MODES
+ */
+function getRoundMode() {
+  if (isReviewRound && roundSettings.mode !== GAME_MODES.TWO_AXIS) {
+    return GAME_MODES.CLASSIC;
   }
 
-  // Display the next activity
-  displayActivity(nextIndex);
+  return roundSettings.mode;
 }
 
 /**
- * Display feedback message to the user
- * @param {string} message - The feedback message to display
- * @param {string} type - Type of feedback ('success' or 'error')
+ * Get the names of the hot-seat players, with a default for any left blank
+ * @returns {Array<string>} The player names
  */
-function showFeedback(message, type) {
-  feedbackEl.textContent = message;
-  feedbackEl.className = `feedback ${type}`; // Remove 'hidden' class and add type
+function getHotSeatNames() {
+  return roundSettings.players.map(
+    (name, index) =>
+      name.trim() || translate("playerDefaultName", { number: index + 1 }),
+  );
 }
 
 /**
- * Hide the feedback message
+ * Set up the players and turns of a hot-seat round
+ * Every player gets the same number of turns, so the round is cut to a
+ * multiple of the number of players. With fewer activities than players
+ * nothing is left, and the round can't start.
  */
-function hideFeedback() {
-  feedbackEl.className = "feedback hidden";
+function prepareHotSeat() {
+  const playerCount = roundSettings.players.length;
+  const turns =
+    Math.floor(shuffledActivities.length / playerCount) * playerCount;
+
+  shuffledActivities = shuffledActivities.slice(0, turns);
+  totalActivities = shuffledActivities.length;
+  renderProgress(0);
 }
 
 /**
- * Get the human-readable name of a quadrant
- * @param {string} quadrant - The quadrant code (q1, q2, q3, q4)
- * @returns {string} The human-readable quadrant name
+ * Give every hot-seat player a clean score and plan the turns in order
+ * Turns added by an earlier sudden death are dropped again.
  */
-function getQuadrantName(quadrant) {
-  if (!translations || !translations[currentLanguage]) {
-    // Fallback to English if translations not loaded
-    const names = {
-      q1: "Q1 (Important & Urgent)",
-      q2: "Q2 (Important & Not Urgent)",
-      q3: "Q3 (Not Important & Urgent)",
-      q4: "Q4 (Not Important & Not Urgent)",
-    };
-    return names[quadrant] || quadrant;
+function resetHotSeat() {
+  if (suddenDeathFrom !== null) {
+    shuffledActivities = shuffledActivities.slice(0, suddenDeathFrom);
+    totalActivities = shuffledActivities.length;
+    suddenDeathFrom = null;
   }
 
-  const t = translations[currentLanguage];
-
-  const names = {
-    q1: t.q1Title,
-    q2: t.q2Title,
-    q3: t.q3Title,
-    q4: t.q4Title,
-  };
-
-  return names[quadrant] || quadrant;
+  hotSeatPlayers = getHotSeatNames().map((name) => ({
+    name,
+    score: 0,
+    correct: 0,
+    answered: 0,
+  }));
+  hotSeatTurns = shuffledActivities.map(
+    (activity, index) => index % hotSeatPlayers.length,
+  );
 }
 
 /**
- * Apply translations to all UI elements
+ * Credit an answer to the player whose turn it is
+ * @param {boolean} isCorrect - Whether the answer was correct
  */
-function applyTranslations() {
-  if (!translations || !translations[currentLanguage]) {
-    console.error("Translations not loaded or current language not found");
-    return;
+function scoreHotSeatTurn(isCorrect) {
+  const player = hotSeatPlayers[hotSeatTurns[currentActivityIndex]];
+
+  player.answered += 1;
+  if (isCorrect) {
+    player.correct += 1;
+    player.score += 1;
   }
 
-  const t = translations[currentLanguage];
+  renderHotSeat();
+}
+
+/**
+ * Get the players or teams sharing the top score
+ * @param {Array} entries - Hot-seat players or buzzer teams
+ * @returns {Array<number>} Indexes of the leaders
+ */
+function getLeaders(entries) {
+  const best = Math.max(...entries.map((entry) => entry.score));
 
-  // Update page title
-  document.title = t.title;
+  return entries
+    .map((entry, index) => (entry.score === best ? index : null))
+    .filter((index) => index !== null);
+}
 
-  // Update header elements
-  const header = document.querySelector(".header");
-  if (header) {
-    const h1 = header.querySelector("h1");
-    const instructions = header.querySelector(".instructions");
+/**
+ * Break a tie at the top with a sudden-death round: each tied player gets one
+ * more activity from the pack, until one of them is ahead
+ * @returns {boolean} Whether a sudden-death round was started; false when
+ *   there is no tie, or not enough unplayed activities left to break it
+ */
+function startSuddenDeath() {
+  const leaders = getLeaders(hotSeatPlayers);
+  const unplayed = activities.filter(
+    (activity) => !shuffledActivities.includes(activity),
+  );
 
-    if (h1) h1.textContent = t.title;
-    if (instructions) instructions.innerHTML = t.instructions;
+  if (leaders.length < 2 || unplayed.length < leaders.length) {
+    return false;
   }
 
-  // Update score board labels
-  const scoreLabel = document.querySelector(".score-label");
-  const activitiesLabel = document.querySelector(
-    ".score-item:nth-child(2) .score-label",
-  );
+  if (suddenDeathFrom === null) {
+    suddenDeathFrom = shuffledActivities.length;
+  }
 
-  if (scoreLabel) scoreLabel.textContent = t.scoreLabel;
-  if (activitiesLabel) activitiesLabel.textContent = t.activitiesLabel;
+  shuffledActivities.push(...shuffleArray(unplayed).slice(0, leaders.length));
+  hotSeatTurns.push(...leaders);
+  totalActivities = shuffledActivities.length;
 
-  // Update activity section
-  const activitySection = document.querySelector(".activity-section h2");
-  if (activitySection) activitySection.textContent = t.currentActivityTitle;
+  displayActivity(currentActivityIndex + 1);
+  return true;
+}
 
-  // Update matrix container
-  const matrixTitle = document.querySelector(".matrix-container h2");
-  if (matrixTitle) matrixTitle.textContent = t.timeMatrixTitle;
+/**
+ * Show the players' scores and whose turn it is
+ */
+function renderHotSeat() {
+  const scoresEl = document.getElementById("player-scores");
+  const turnEl = document.getElementById("turn-indicator");
+  const t = translations[currentLanguage];
+  const currentPlayer = hotSeatTurns[currentActivityIndex];
+
+  scoresEl.innerHTML = hotSeatPlayers
+    .map(
+      (player, index) => `
+            <li class="player-score ${index === currentPlayer ? "current" : ""}">
+                ${escapeHtml(player.name)} <strong>${player.score}</strong>
+            </li>
+        `,
+    )
+    .join("");
+
+  const turnText = translate("playerTurn", {
+    name: hotSeatPlayers[currentPlayer].name,
+  });
+  turnEl.textContent =
+    suddenDeathFrom !== null && currentActivityIndex >= suddenDeathFrom
+      ? `${t.suddenDeath} ${turnText}`
+      : turnText;
+}
 
-  // Update help button text
-  const helpBtn = document.querySelector(".help-btn");
-  if (helpBtn) helpBtn.title = t.helpButton;
+/**
+ * Build the leaderboard shown at the end of a hot-seat or buzzer round
+ * @param {Array} entries - Hot-seat players or buzzer teams
+ * @param {string} nameLabel - Heading of the name column
+ * @returns {string} HTML markup for the leaderboard
+ */
+function renderLeaderboard(entries, nameLabel) {
+  const t = translations[currentLanguage];
+  const leaders = getLeaders(entries);
+  const ranked = [...entries].sort((a, b) => b.score - a.score);
+
+  const winner =
+    leaders.length === 1
+      ? translate("playerWins", { name: entries[leaders[0]].name })
+      : translate("playersTied", {
+          names: leaders.map((index) => entries[index].name).join(", "),
+        });
+
+  const rows = ranked
+    .map((player) => {
+      // Players with the same score share a place
+      const place =
+        ranked.findIndex((other) => other.score === player.score) + 1;
+      // Buzzer teams that never answered have no accuracy to show
+      const accuracy = player.answered
+        ? `${Math.round((player.correct / player.answered) * 100)}%`
+        : "–";
+
+      return `
+            <tr>
+                <td>${place}</td>
+                <td>${escapeHtml(player.name)}</td>
+                <td>${player.score}</td>
+                <td>${accuracy}</td>
+            </tr>
+        `;
+    })
+    .join("");
+
+  return `
+        <p class="leaderboard-winner">🏆 ${escapeHtml(winner)}</p>
+        <table class="leaderboard">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>${escapeHtml(nameLabel)}</th>
+                    <th>${escapeHtml(t.historyScore)}</th>
+                    <th>${escapeHtml(t.historyAccuracy)}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
 
-  // Update quadrant titles and descriptions in the matrix
-  updateQuadrantTranslations();
+/**
+ * Get the keys that answer each quadrant in the current round
+ * One player answers with the number keys; in buzzer mode every team has its
+ * own row of keys (see roundSettings.teamKeys).
+ * @returns {Object} Quadrant and team (null for a single player) keyed by the
+ *   lower-case key
+ */
+function getKeyBindings() {
+  if (getRoundMode() !== GAME_MODES.BUZZER) {
+    return NUMBER_KEY_BINDINGS;
+  }
 
-  // Update help modal content
-  updateHelpModalTranslations();
+  const bindings = {};
+  roundSettings.teamKeys.forEach((keys, team) => {
+    [...keys.toLowerCase()].forEach((key, index) => {
+      bindings[key] = { quadrant: QUADRANTS[index], team };
+    });
+  });
 
-  // Update language selector options
-  updateLanguageSelectorOptions();
+  return bindings;
 }
 
 /**
- * Update help modal content with current language
+ * Check that every buzzer team has four keys and no key is used twice
+ * @returns {boolean} Whether the team keys can be played with
  */
-function updateHelpModalTranslations() {
-  if (!translations || !translations[currentLanguage]) return;
+function hasValidTeamKeys() {
+  const keys = roundSettings.teamKeys.join("").toLowerCase();
+
+  return (
+    roundSettings.teamKeys.every(
+      (teamKeys) => [...teamKeys].length === QUADRANTS.length,
+    ) &&
+    !/\s/.test(keys) &&
+    new Set(keys).size === keys.length
+  );
+}
 
-  const t = translations[currentLanguage];
+/**
+ * Get the name of a buzzer team, e.g. "Team A"
+ * @param {number} index - Position of the team
+ * @returns {string} The name in the current language
+ */
+function getTeamName(index) {
+  return translate("teamName", { letter: String.fromCharCode(65 + index) });
+}
 
-  // Update help modal title
-  const helpModalTitle = document.getElementById("help-modal-title");
-  if (helpModalTitle) helpModalTitle.textContent = t.helpModalTitle;
+/**
+ * Give every buzzer team a clean score
+ */
+function resetBuzzer() {
+  buzzerTeams = roundSettings.teamKeys.map((keys, index) => ({
+    name: getTeamName(index),
+    keys: keys.toUpperCase(),
+    score: 0,
+    correct: 0,
+    answered: 0,
+  }));
+}
 
-  // Update help sections
-  const howToPlayTitle = document.getElementById("how-to-play-title");
-  if (howToPlayTitle) howToPlayTitle.textContent = t.howToPlay;
+/**
+ * Score the answer of the team that buzzed in first
+ * Answers given with the mouse belong to no team and score nothing.
+ * @param {number|null} teamIndex - The team that answered
+ * @param {boolean} isCorrect - Whether the answer was correct
+ */
+function scoreBuzzerAnswer(teamIndex, isCorrect) {
+  const team = buzzerTeams[teamIndex];
+  if (!team) return;
 
-  const step1 = document.getElementById("step1");
-  const step2 = document.getElementById("step2");
-  const step3 = document.getElementById("step3");
-  const step4 = document.getElementById("step4");
-  const step5 = document.getElementById("step5");
+  const points = isCorrect ? BUZZER_POINTS.correct : BUZZER_POINTS.wrong;
 
-  if (step1) step1.textContent = t.howToPlayStep1;
-  if (step2) step2.textContent = t.howToPlayStep2;
-  if (step3) step3.textContent = t.howToPlayStep3;
-  if (step4) step4.textContent = t.howToPlayStep4;
-  if (step5) step5.textContent = t.howToPlayStep5;
+  team.answered += 1;
+  team.score += points;
+  if (isCorrect) team.correct += 1;
 
-  // Update quadrant guide
-  const quadrantGuideTitle = document.getElementById("quadrant-guide-title");
-  if (quadrantGuideTitle) quadrantGuideTitle.textContent = t.quadrantGuide;
+  renderBuzzer();
+}
 
-  const q1Title = document.getElementById("q1-title");
-  const q1Examples = document.getElementById("q1-examples");
-  const q1Strategy = document.getElementById("q1-strategy");
+/**
+ * Show the teams' scores and the keys each team answers with
+ */
+function renderBuzzer() {
+  document.getElementById("player-scores").innerHTML = buzzerTeams
+    .map(
+      (team) => `
+            <li class="player-score">
+                ${escapeHtml(team.name)} <strong>${team.score}</strong>
+            </li>
+        `,
+    )
+    .join("");
+
+  document.getElementById("turn-indicator").textContent = buzzerTeams
+    .map((team) =>
+      translate("teamKeysHint", {
+        name: team.name,
+        keys: [...team.keys].join(" "),
+      }),
+    )
+    .join(" · ");
+}
 
-  const q2Title = document.getElementById("q2-title");
-  const q2Examples = document.getElementById("q2-examples");
-  const q2Strategy = document.getElementById("q2-strategy");
+/**
+ * Whether the current round is played by several people: hot seat or buzzer
+ * @returns {boolean} Whether it is a group round
+ */
+function isGroupMode() {
+  return [GAME_MODES.HOT_SEAT, GAME_MODES.BUZZER].includes(getRoundMode());
+}
 
-  const q3Title = document.getElementById("q3-title");
-  const q3Examples = document.getElementById("q3-examples");
-  const q3Strategy = document.getElementById("q3-strategy");
+/**
+ * Start a sort-the-board round: every activity of the round goes into the
+ * card pool, to be placed in the quadrants and checked all at once
+ */
+function startBoard() {
+  boardPlacements = shuffledActivities.map(() => null);
+  selectedBoardCard = null;
+  boardChecked = false;
+
+  setGameState(GAME_STATES.AWAITING_ANSWER);
+  currentActivityEl.textContent =
+    translations[currentLanguage].boardInstructions;
+  hideFeedback();
+  renderBoard();
+}
 
-  const q4Title = document.getElementById("q4-title");
-  const q4Examples = document.getElementById("q4-examples");
-  const q4Strategy = document.getElementById("q4-strategy");
+/**
+ * Remove the cards of a previous sort-the-board round
+ */
+function clearBoard() {
+  boardPlacements = [];
+  selectedBoardCard = null;
+  boardChecked = false;
+  renderBoard();
+}
 
-  if (q1Title) q1Title.textContent = t.q1Title;
-  if (q1Examples) q1Examples.textContent = t.q1Examples;
-  if (q1Strategy) q1Strategy.textContent = t.q1Strategy;
+/**
+ * Render the card pool, the cards in each quadrant and the check controls
+ */
+function renderBoard() {
+  const poolEl = document.getElementById("card-pool");
+  const cardsByPlace = { pool: [] };
+  QUADRANTS.forEach((quadrant) => (cardsByPlace[quadrant] = []));
 
-  if (q2Title) q2Title.textContent = t.q2Title;
-  if (q2Examples) q2Examples.textContent = t.q2Examples;
-  if (q2Strategy) q2Strategy.textContent = t.q2Strategy;
+  boardPlacements.forEach((placement, index) => {
+    cardsByPlace[placement || "pool"].push(renderBoardCard(index));
+  });
 
-  if (q3Title) q3Title.textContent = t.q3Title;
-  if (q3Examples) q3Examples.textContent = t.q3Examples;
-  if (q3Strategy) q3Strategy.textContent = t.q3Strategy;
+  poolEl.innerHTML = cardsByPlace.pool.join("");
+  poolEl.classList.toggle("hidden", cardsByPlace.pool.length === 0);
 
-  if (q4Title) q4Title.textContent = t.q4Title;
-  if (q4Examples) q4Examples.textContent = t.q4Examples;
-  if (q4Strategy) q4Strategy.textContent = t.q4Strategy;
+  document.querySelectorAll(".quadrant").forEach((quadrantEl) => {
+    quadrantEl.querySelector(".quadrant-cards").innerHTML =
+      cardsByPlace[quadrantEl.dataset.quadrant].join("");
+  });
 
-  // Update scoring section
-  const scoringTitle = document.getElementById("scoring-title");
-  if (scoringTitle) scoringTitle.textContent = t.scoringTitle;
+  if (boardPlacements.length === 0) return;
 
-  const scoringCorrect = document.getElementById("scoring-correct");
-  const scoringIncorrect = document.getElementById("scoring-incorrect");
-  const scoringProgress = document.getElementById("scoring-progress");
+  const placed = boardPlacements.filter(Boolean).length;
+  renderProgress(placed);
 
-  if (scoringCorrect) scoringCorrect.textContent = t.scoringCorrect;
-  if (scoringIncorrect) scoringIncorrect.textContent = t.scoringIncorrect;
-  if (scoringProgress) scoringProgress.textContent = t.scoringProgress;
+  document.getElementById("board-status").textContent = translate(
+    "boardStatus",
+    { placed, total: totalActivities },
+  );
 
-  // Update learning goals
-  const learningGoalsTitle = document.getElementById("learning-goals-title");
-  if (learningGoalsTitle) learningGoalsTitle.textContent = t.learningGoals;
+  const checkBtn = document.getElementById("board-check-btn");
+  checkBtn.disabled =
+    boardChecked ||
+    placed < totalActivities ||
+    gameState !== GAME_STATES.AWAITING_ANSWER;
+  checkBtn.classList.toggle("hidden", boardChecked);
+}
 
-  const learningGoal1 = document.getElementById("learning-goal1");
-  const learningGoal2 = document.getElementById("learning-goal2");
-  const learningGoal3 = document.getElementById("learning-goal3");
-  const learningGoal4 = document.getElementById("learning-goal4");
+/**
+ * Build the markup for one card on the board
+ * After checking, wrong cards show where they belong and why.
+ * @param {number} index - Position of the activity in the round
+ * @returns {string} HTML markup for the card
+ */
+function renderBoardCard(index) {
+  const activity = shuffledActivities[index];
+  const classes = ["board-card"];
+  let mark = "";
+  let title = "";
 
-  if (learningGoal1) learningGoal1.textContent = t.learningGoal1;
-  if (learningGoal2) learningGoal2.textContent = t.learningGoal2;
-  if (learningGoal3) learningGoal3.textContent = t.learningGoal3;
-  if (learningGoal4) learningGoal4.textContent = t.learningGoal4;
+  if (index === selectedBoardCard) {
+    classes.push("selected");
+  }
 
-  // Update pro tip
-  const proTipTitle = document.getElementById("pro-tip-title");
-  const proTipText = document.getElementById("pro-tip-text");
+  if (boardChecked) {
+    const isCorrect = boardPlacements[index] === activity.correctQuadrant;
+    classes.push(isCorrect ? "board-correct" : "board-incorrect");
+    mark = isCorrect
+      ? `<span class="board-mark">✓</span>`
+      : `<span class="board-mark">✗ → ${activity.correctQuadrant.toUpperCase()}</span>`;
+    title = isCorrect ? "" : getActivityExplanation(activity);
+  }
 
-  if (proTipTitle) proTipTitle.textContent = t.proTip;
-  if (proTipText) proTipText.textContent = t.proTipText;
+  return `
+        <div class="${classes.join(" ")}" data-index="${index}" tabindex="0" role="button"
+            aria-pressed="${index === selectedBoardCard}" title="${escapeHtml(title)}">
+            ${escapeHtml(getActivityText(activity))}
+            ${mark}
+        </div>
+    `;
 }
 
 /**
- * Update language selector options
+ * Pick a card for placing with the quadrant buttons or keys 1-4
+ * Picking the same card again puts it down.
+ * @param {number} index - Position of the activity in the round
  */
-function updateLanguageSelectorOptions() {
-  if (!languageSelectEl) return;
-
-  // Clear existing options
-  languageSelectEl.innerHTML = "";
+function selectBoardCard(index) {
+  if (gameState !== GAME_STATES.AWAITING_ANSWER) return;
 
-  // Add English option
-  const enOption = document.createElement("option");
-  enOption.value = "en";
-  enOption.textContent = translations.en.english;
-  languageSelectEl.appendChild(enOption);
+  selectedBoardCard = selectedBoardCard === index ? null : index;
+  renderBoard();
+  focusBoardCard(index);
+}
 
-  // Add Portuguese option
-  const ptOption = document.createElement("option");
-  ptOption.value = "pt";
-  ptOption.textContent = translations.pt.portuguese;
-  languageSelectEl.appendChild(ptOption);
+/**
+ * Put a card in a quadrant, or back in the pool
+ * @param {number} index - Position of the activity in the round
+ * @param {string|null} quadrant - The quadrant code, or null for the pool
+ */
+function placeBoardCard(index, quadrant) {
+  if (gameState !== GAME_STATES.AWAITING_ANSWER) return;
+
+  boardPlacements[index] = quadrant;
+  selectedBoardCard = null;
+  renderBoard();
+  saveGame();
+
+  // Keep keyboard players moving: the next card in the pool is ready to pick
+  const nextCard = document.querySelector("#card-pool .board-card");
+  if (nextCard) {
+    nextCard.focus();
+  } else {
+    focusBoardCard(index);
+  }
+}
 
-  // Set current language
-  languageSelectEl.value = currentLanguage;
+/**
+ * Move focus to a card after the board was re-rendered
+ * @param {number} index - Position of the activity in the round
+ */
+function focusBoardCard(index) {
+  const cardEl = document.querySelector(`.board-card[data-index="${index}"]`);
+  if (cardEl) cardEl.focus();
 }
 
 /**
- * Update quadrant titles and descriptions in the matrix with current language
+ * Check the board: score every placement and show the results
  */
-function updateQuadrantTranslations() {
-  if (!translations || !translations[currentLanguage]) {
-    console.log("Translations not loaded or current language not found");
+function checkBoard() {
+  if (
+    gameState !== GAME_STATES.AWAITING_ANSWER ||
+    getRoundMode() !== GAME_MODES.BOARD ||
+    boardPlacements.some((placement) => !placement)
+  ) {
     return;
   }
 
-  const t = translations[currentLanguage];
-  console.log("Updating quadrant translations for language:", currentLanguage);
-  console.log("Translation data:", t);
-
-  // Update Q1 quadrant
-  const q1Header = document.querySelector(".quadrant.q1 .quadrant-header h3");
-  const q1Subtitle = document.querySelector(".quadrant.q1 .quadrant-header p");
-  const q1Description = document.querySelector(
-    ".quadrant.q1 .quadrant-description",
-  );
-  const q1Button = document.querySelector(".quadrant.q1 .select-btn");
-
-  console.log("Q1 elements found:", {
-    q1Header,
-    q1Subtitle,
-    q1Description,
-    q1Button,
-  });
-  console.log("Q1 translations:", {
-    q1Subtitle: t.q1Subtitle,
-    q1Description: t.q1Description,
-    q1Button: t.q1Button,
-  });
+  setGameState(GAME_STATES.SHOWING_FEEDBACK);
 
-  if (q1Header) q1Header.textContent = "Q1";
-  // if (q1Subtitle) q1Subtitle.textContent = t.q1Subtitle || 'Important & Urgent';
-  // if (q1Description) q1Description.textContent = t.q1Description || 'Crises, deadlines, emergencies';
-  // if (q1Button) q1Button.textContent = t.q1Button || 'Select Q1';
-  if (q1Subtitle) q1Subtitle.textContent = t.q1Title.split(": ")[1];
-  if (q1Description) q1Description.textContent = t.q1Examples;
-  if (q1Button) q1Button.textContent = `${t.q1Title.split(":")[0]}`;
-
-  // Update Q2 quadrant
-  const q2Header = document.querySelector(".quadrant.q2 .quadrant-header h3");
-  const q2Subtitle = document.querySelector(".quadrant.q2 .quadrant-header p");
-  const q2Description = document.querySelector(
-    ".quadrant.q2 .quadrant-description",
-  );
-  const q2Button = document.querySelector(".quadrant.q2 .select-btn");
+  // The board is answered as a whole, so there is no time per activity
+  boardPlacements.forEach((selectedQuadrant, index) => {
+    const activity = shuffledActivities[index];
+    const isCorrect = selectedQuadrant === activity.correctQuadrant;
 
-  console.log("Q2 elements found:", {
-    q1Header,
-    q1Subtitle,
-    q1Description,
-    q1Button,
-  });
-  console.log("Q2 translations:", {
-    q1Subtitle: t.q1Subtitle,
-    q1Description: t.q1Description,
-    q1Button: t.q1Button,
+    answerLog.push({
+      activity,
+      selectedQuadrant,
+      isCorrect,
+      responseTime: null,
+    });
+    updateScore(isCorrect, null);
   });
 
-  if (q2Header) q2Header.textContent = "Q2";
-//   if (q2Subtitle)
-//     q2Subtitle.textContent = t.q2Subtitle || "Important & Not Urgent";
-//   if (q2Description)
-//     q2Description.textContent =
-//       t.q2Description || "Planning, prevention, values";
-//   if (q2Button) q2Button.textContent = t.q2Button || "Select Q2";
-if (q2Subtitle) q2Subtitle.textContent = t.q2Title.split(': ')[1];
-if (q2Description) q2Description.textContent = t.q2Examples;
-if (q2Button) q2Button.textContent = `${t.q2Title.split(':')[0]}`;
-
-
-  // Update Q3 quadrant
-  const q3Header = document.querySelector(".quadrant.q3 .quadrant-header h3");
-  const q3Subtitle = document.querySelector(".quadrant.q3 .quadrant-header p");
-  const q3Description = document.querySelector(
-    ".quadrant.q3 .quadrant-description",
-  );
-  const q3Button = document.querySelector(".quadrant.q3 .select-btn");
-
-  if (q3Header) q3Header.textContent = "Q3";
-//   if (q3Subtitle)
-//     q3Subtitle.textContent = t.q3Subtitle || "Not Important & Urgent";
-//   if (q3Description)
-//     q3Description.textContent = t.q3Description || "Interruptions, some calls";
-//   if (q3Button) q3Button.textContent = t.q3Button || "Select Q3";
-if (q3Subtitle) q3Subtitle.textContent = t.q3Title.split(': ')[1];
-if (q3Description) q3Description.textContent = t.q3Examples;
-if (q3Button) q3Button.textContent = `${t.q3Title.split(':')[0]}`;
-
-
-  // Update Q4 quadrant
-  const q4Header = document.querySelector(".quadrant.q4 .quadrant-header h3");
-  const q4Subtitle = document.querySelector(".quadrant.q4 .quadrant-header p");
-  const q4Description = document.querySelector(
-    ".quadrant.q4 .quadrant-description",
-  );
-  const q4Button = document.querySelector(".quadrant.q4 .select-btn");
-
-  if (q4Header) q4Header.textContent = "Q4";
-//   if (q4Subtitle)
-//     q4Subtitle.textContent = t.q4Subtitle || "Not Important & Not Urgent";
-//   if (q4Description)
-//     q4Description.textContent =
-//       t.q4Description || "Time wasters, entertainment";
-//   if (q4Button) q4Button.textContent = t.q4Button || "Select Q4";
-if (q4Subtitle) q4Subtitle.textContent = t.q4Title.split(': ')[1];
-if (q4Description) q4Description.textContent = t.q4Examples;
-if (q4Button) q4Button.textContent = `${t.q4Title.split(':')[0]}`;
-
+  boardChecked = true;
+  selectedBoardCard = null;
+  renderBoard();
+  endGame();
+}
 
-  console.log("Quadrant translations updated successfully");
+/**
+ * Let the player drag cards onto the quadrants
+ * Pointer events cover mouse, touch and pen alike. The activity card is
+ * answered through selectQuadrant when dropped on a quadrant; board cards are
+ * placed in the quadrant or pool they're dropped on. Anywhere else the card
+ * slides back.
+ */
+function setupCardDragging() {
+  document.addEventListener("pointerdown", startCardDrag);
+  document.addEventListener("pointermove", moveCardDrag);
+  document.addEventListener("pointerup", endCardDrag);
+  document.addEventListener("pointercancel", cancelCardDrag);
 }
 
 /**
- * Change language and update UI
- * @param {string} language - The language code (e.g., 'en', 'pt')
+ * Start tracking a press on a card
+ * @param {PointerEvent} event - The pointerdown event
  */
-function changeLanguage(language) {
-  if (!translations || !translations[language]) {
-    console.error("Language not available:", language);
+function startCardDrag(event) {
+  const cardEl =
+    event.target.closest &&
+    event.target.closest("#current-activity, .board-card");
+
+  if (
+    !cardEl ||
+    !canDragCard(cardEl) ||
+    !event.isPrimary ||
+    event.button !== 0
+  ) {
     return;
   }
 
-  // Update current language
-  currentLanguage = language;
-
-  // Save to localStorage
-  localStorage.setItem("timeMatrixLanguage", language);
-
-  // Apply translations
-  applyTranslations();
+  cardDrag = {
+    element: cardEl,
+    pointerId: event.pointerId,
+    startX: event.clientX,
+    startY: event.clientY,
+    dragging: false,
+    target: null,
+  };
 
-  // Update quadrant translations specifically
-  // updateQuadrantTranslations();
+  // Keep receiving the pointer's events even when it leaves the card
+  cardEl.setPointerCapture(event.pointerId);
+}
 
-  // Reset the game to start from the beginning with the new language
-  resetGameToLanguage();
+/**
+ * Check whether a card can be dragged right now
+ * @param {HTMLElement} cardEl - The activity card or a board card
+ * @returns {boolean} True if the card can be dragged
+ */
+function canDragCard(cardEl) {
+  if (gameState !== GAME_STATES.AWAITING_ANSWER) {
+    return false;
+  }
 
-  // Update help modal if open
-  const modal = document.getElementById("help-modal");
-  if (modal && modal.classList.contains("active")) {
-    updateHelpModalTranslations();
+  if (cardEl === currentActivityEl) {
+    return (
+      getRoundMode() !== GAME_MODES.TWO_AXIS &&
+      getRoundMode() !== GAME_MODES.BOARD
+    );
   }
+
+  return getRoundMode() === GAME_MODES.BOARD;
 }
 
 /**
- * Reset the game to start from the beginning with the current language
+ * Move the card with the pointer and highlight the quadrant under it
+ * @param {PointerEvent} event - The pointermove event
  */
-function resetGameToLanguage() {
-  score = 0;
-  currentActivityIndex = 0;
-  scoreEl.textContent = "0";
+function moveCardDrag(event) {
+  if (!cardDrag || event.pointerId !== cardDrag.pointerId) return;
 
-  // Show the matrix again
-  document.querySelector(".time-matrix").style.display = "grid";
+  const dx = event.clientX - cardDrag.startX;
+  const dy = event.clientY - cardDrag.startY;
 
-  // Reset progress display
-  progressEl.textContent = `0 / ${totalActivities}`;
+  // A small wobble is still a click, not a drag
+  if (!cardDrag.dragging && Math.hypot(dx, dy) < DRAG_THRESHOLD) {
+    return;
+  }
 
-  // Clear any previous feedback
-  hideFeedback();
+  cardDrag.dragging = true;
+  cardDrag.element.classList.add("dragging");
+  cardDrag.element.style.transform = `translate(${dx}px, ${dy}px)`;
 
-  // Start the game from the beginning with the current language
-  if (activities.length > 0) {
-    displayActivity(0);
-  }
+  cardDrag.target = getDropTarget(
+    cardDrag.element,
+    event.clientX,
+    event.clientY,
+  );
+  document.querySelectorAll(".quadrant").forEach((quadrantEl) => {
+    quadrantEl.classList.toggle(
+      "drop-target",
+      quadrantEl.dataset.quadrant === cardDrag.target,
+    );
+  });
 }
 
 /**
- * Toggle the help modal visibility
+ * Drop the card where it was released, or send it back
+ * A board card that was pressed without moving is picked instead.
+ * @param {PointerEvent} event - The pointerup event
  */
-function toggleHelp() {
-  const modal = document.getElementById("help-modal");
+function endCardDrag(event) {
+  if (!cardDrag || event.pointerId !== cardDrag.pointerId) return;
 
-  if (modal) {
-    if (modal.classList.contains("active")) {
-      modal.classList.remove("active");
-      // Remove active class from body to prevent scrolling issues
-      document.body.style.overflow = "";
-    } else {
-      modal.classList.add("active");
-      // Prevent background scrolling when modal is open
-      document.body.style.overflow = "hidden";
+  const { element, dragging, target } = cardDrag;
+  clearCardDrag();
 
-      // Update help modal content if language has changed
-      updateHelpModalTranslations();
+  if (!dragging) {
+    if (element !== currentActivityEl) {
+      selectBoardCard(Number(element.dataset.index));
     }
+    return;
   }
-}
 
-/**
- * Show text feedback message to the user with translations
- * @param {boolean} isCorrect - Whether the selection was correct
- * @param {Object} activity - The current activity object
- */
-function showTextFeedback(isCorrect, activity) {
-  if (!translations || !translations[currentLanguage]) {
-    // Fallback to default English if translations not loaded
-    if (isCorrect) {
-      feedbackEl.textContent = "✅ Correct! Well done!";
-      feedbackEl.className = "feedback success";
-    } else {
-      const correctQuadrantName = getQuadrantName(activity.correctQuadrant);
-      feedbackEl.textContent = `❌ Incorrect. This activity belongs in ${correctQuadrantName}.`;
-      feedbackEl.className = "feedback error";
-    }
+  // The answer may have been locked meanwhile (time ran out, help opened)
+  if (!target || gameState !== GAME_STATES.AWAITING_ANSWER) {
+    snapCardBack(element);
     return;
   }
 
-  const t = translations[currentLanguage];
+  element.style.transform = "";
 
-  if (isCorrect) {
-    feedbackEl.textContent = t.correctFeedback;
-    feedbackEl.className = "feedback success";
+  if (element === currentActivityEl) {
+    selectQuadrant(target);
   } else {
-    const correctQuadrantName = getQuadrantName(activity.correctQuadrant);
-    feedbackEl.textContent = `${t.incorrectFeedback} ${correctQuadrantName}.`;
-    feedbackEl.className = "feedback error";
+    placeBoardCard(
+      Number(element.dataset.index),
+      target === "pool" ? null : target,
+    );
   }
 }
 
 /**
- * End the game and display final results with translations
+ * Abandon a drag the browser interrupted (e.g. a touch turned into a scroll)
+ * @param {PointerEvent} event - The pointercancel event
  */
-function endGame() {
-  if (!translations || !translations[currentLanguage]) {
-    // Fallback to default English if translations not loaded
-    currentActivityEl.innerHTML = `
-            <div style="text-align: center;">
-                <h3 style="color: var(--primary-color); margin-bottom: 10px;">Game Complete!</h3>
-                <p style="font-size: 1.2rem; margin-bottom: 10px;">Final Score: ${score} / ${totalActivities}</p>
-                <p style="color: #666;">Accuracy: ${Math.round((score / totalActivities) * 100)}%</p>
-                <button onclick="resetGame()" style="margin-top: 20px; padding: 10px 20px; background-color: var(--secondary-color); color: white; border: none; border-radius: 4px; cursor: pointer;">Play Again</button>
-            </div>
-        `;
-    document.querySelector(".time-matrix").style.display = "none";
-    return;
+function cancelCardDrag(event) {
+  if (!cardDrag || event.pointerId !== cardDrag.pointerId) return;
+
+  const { element, dragging } = cardDrag;
+  clearCardDrag();
+
+  if (dragging) {
+    snapCardBack(element);
   }
+}
 
-  const t = translations[currentLanguage];
+/**
+ * Forget the current drag and remove its highlights
+ */
+function clearCardDrag() {
+  cardDrag.element.classList.remove("dragging");
+  cardDrag = null;
+  document.querySelectorAll(".quadrant.drop-target").forEach((quadrantEl) => {
+    quadrantEl.classList.remove("drop-target");
+  });
+}
 
-  currentActivityEl.innerHTML = `
-        <div style="text-align: center;">
-            <h3 style="color: var(--primary-color); margin-bottom: 10px;">${t.gameComplete}</h3>
-            <p style="font-size: 1.2rem; margin-bottom: 10px;">${t.finalScore} ${score} / ${totalActivities}</p>
-            <p style="color: #666;">${t.accuracy}: ${Math.round((score / totalActivities) * 100)}%</p>
-            <button onclick="resetGame()" style="margin-top: 20px; padding: 10px 20px; background-color: var(--secondary-color); color: white; border: none; border-radius: 4px; cursor: pointer;">${t.playAgain}</button>
-        </div>
-    `;
+/**
+ * Animate a card back to its place after an invalid drop
+ * @param {HTMLElement} cardEl - The dragged card
+ */
+function snapCardBack(cardEl) {
+  cardEl.classList.add("snap-back");
+  cardEl.style.transform = "";
 
-  // Hide the matrix when game is over
-  document.querySelector(".time-matrix").style.display = "none";
+  setTimeout(() => cardEl.classList.remove("snap-back"), 300);
 }
 
 /**
- * Reset the game to start over
+ * Find where a dragged card would land
+ * @param {HTMLElement} cardEl - The dragged card
+ * @param {number} x - Horizontal position in the viewport
+ * @param {number} y - Vertical position in the viewport
+ * @returns {string|null} A quadrant code, 'pool' for a board card over the
+ *   card pool, or null if the point is outside every drop zone
  */
-function resetGame() {
-  score = 0;
-  currentActivityIndex = 0;
-  scoreEl.textContent = "0";
+function getDropTarget(cardEl, x, y) {
+  // The dragged card covers what's under it, so compare positions instead of hit testing
+  const contains = (element) => {
+    const rect = element.getBoundingClientRect();
+    return (
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+    );
+  };
 
-  // Show the matrix again
-  document.querySelector(".time-matrix").style.display = "grid";
+  const quadrantEl = [...document.querySelectorAll(".quadrant")].find(contains);
+  if (quadrantEl) {
+    return quadrantEl.dataset.quadrant;
+  }
 
-  // Start the game again
-  startGame();
+  const poolEl = document.getElementById("card-pool");
+  if (
+    cardEl !== currentActivityEl &&
+    !poolEl.classList.contains("hidden") &&
+    contains(poolEl)
+  ) {
+    return "pool";
+  }
+
+  return null;
 }
 
 /**
@@ -1194,20 +6064,42 @@ function resetGame() {
  * Allow users to select quadrants using number keys (1-4)
  */
 document.addEventListener("keydown", function (event) {
-  // Only respond to number keys when game is active
-  if (event.key >= "1" && event.key <= "4") {
-    const quadrantMap = {
-      1: "q1",
-      2: "q2",
-      3: "q3",
-      4: "q4",
-    };
+  // Only respond to answer keys while an answer is expected
+  if (gameState !== GAME_STATES.AWAITING_ANSWER) {
+    return;
+  }
+
+  // Don't hijack typing in form fields
+  if (event.target.closest && event.target.closest("input, select, textarea")) {
+    return;
+  }
+
+  // Two-axis mode is answered with its own questions, not by quadrant
+  if (getRoundMode() === GAME_MODES.TWO_AXIS) {
+    return;
+  }
+
+  // Board cards are picked with Enter or Space, then placed with 1-4
+  const boardCard = event.target.closest && event.target.closest(".board-card");
+  if (boardCard && (event.key === "Enter" || event.key === " ")) {
+    event.preventDefault();
+    selectBoardCard(Number(boardCard.dataset.index));
+    return;
+  }
+
+  // Leave browser shortcuts such as Ctrl+R alone
+  if (event.ctrlKey || event.metaKey || event.altKey) {
+    return;
+  }
 
-    const quadrant = quadrantMap[event.key];
-    selectQuadrant(quadrant);
+  const binding = getKeyBindings()[event.key.toLowerCase()];
+  if (binding) {
+    selectQuadrant(binding.quadrant, binding.team);
   }
 });
 
 // Export functions for potential use in other scripts (optional)
 window.selectQuadrant = selectQuadrant;
 window.resetGame = resetGame;
+window.showPackPicker = showPackPicker;
+window.startSelectedPack = startSelectedPack;
@@ -0,0 +1,88 @@
+/**
+ * Bundle the game content into content.js
+ *
+ * lang.json, packs.json and every pack file listed in packs.json are the only
+ * place game content is edited. Browsers block fetch when index.html is opened
+ * from disk (file://), so this script copies the same files into content.js,
+ * which script.js falls back to (see loadContentFile).
+ *
+ * Usage:
+ *   node scripts/build-content.js          Regenerate content.js
+ *   node scripts/build-content.js --check  Fail if content.js is out of date
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const OUTPUT = path.join(ROOT, "content.js");
+
+/**
+ * Read and parse a JSON file of the game
+ * @param {string} file - Path relative to the game root
+ * @returns {Object} The parsed file
+ */
+function readJson(file) {
+  const text = fs.readFileSync(path.join(ROOT, file), "utf8");
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Collect every content file, keyed by the path script.js loads it from
+ * @returns {Object} Parsed files keyed by path
+ */
+function collectContent() {
+  const content = {
+    "lang.json": readJson("lang.json"),
+    "packs.json": readJson("packs.json"),
+  };
+
+  const packs = content["packs.json"].packs || [];
+  packs.forEach((pack) => {
+    if (pack && typeof pack.file === "string" && !content[pack.file]) {
+      content[pack.file] = readJson(pack.file);
+    }
+  });
+
+  return content;
+}
+
+/**
+ * Build the source of content.js
+ * @param {Object} content - Parsed files keyed by path
+ * @returns {string} The module source
+ */
+function renderModule(content) {
+  return `/**
+ * Game content bundled for file:// mode
+ *
+ * GENERATED by scripts/build-content.js from ${Object.keys(content).join(", ")}.
+ * Don't edit this file: change the JSON files and run
+ * \`node scripts/build-content.js\` again.
+ */
+window.TIME_MATRIX_CONTENT = ${JSON.stringify(content, null, 2)};
+`;
+}
+
+const source = renderModule(collectContent());
+
+if (process.argv.includes("--check")) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, "utf8") : "";
+
+  if (current !== source) {
+    console.error(
+      "content.js is out of date. Run `node scripts/build-content.js`.",
+    );
+    process.exit(1);
+  }
+
+  console.log("content.js is up to date.");
+} else {
+  fs.writeFileSync(OUTPUT, source);
+  console.log(`Wrote ${path.relative(ROOT, OUTPUT)}`);
+}